@@ -0,0 +1,69 @@
+/**
+ * Compare the default transport with per-request connections (the "request"
+ * module, used before transports were introduced, without keep-alive agent;
+ * node 19+ global agent keeps connections alive).
+ *
+ * Usage:
+ *
+ *    node bench/transport.js [requests] [concurrency]
+ *
+ * It writes to an emulator over plain HTTP; against Firebase, each new
+ * connection also pays for a TLS handshake.
+ */
+
+'use strict';
+
+const request = require('request');
+const restFirebase = require('../');
+const emulator = require('../emulator');
+const transfer = require('../src/transfer');
+
+const total = parseInt(process.argv[2], 10) || 2000;
+const concurrency = parseInt(process.argv[3], 10) || 50;
+
+const perRequest = req => new Promise((resolve, reject) => {
+  const opts = {method: req.method, url: req.url, headers: req.headers, body: req.body, agent: false};
+
+  request(opts, (err, resp, body) => {
+    if (err) {
+      reject(err);
+      return;
+    }
+
+    resolve({statusCode: resp.statusCode, statusMessage: resp.statusMessage, headers: resp.headers, body});
+  });
+});
+
+function bench(name, server, transport) {
+  const ref = restFirebase.factory(server.url, {transport})({paths: name});
+  const run = transfer.limiter(concurrency);
+  const writes = [];
+  const start = process.hrtime();
+
+  for (let i = 0; i < total; i++) {
+    writes.push(run(() => ref.child(`item${i}`).set({i})));
+  }
+
+  return Promise.all(writes).then(() => {
+    const elapsed = process.hrtime(start);
+    const ms = elapsed[0] * 1e3 + elapsed[1] / 1e6;
+
+    console.log('%s: %d writes in %dms (%d req/s)', name, total, Math.round(ms), Math.round(total / ms * 1000));
+  });
+}
+
+const server = emulator.createServer();
+
+server.listen().then(
+  () => bench('request', server, perRequest)
+).then(
+  () => bench('keep-alive', server, restFirebase.createHttpTransport({maxSockets: concurrency}))
+).then(
+  () => server.close()
+).then(
+  () => process.exit(0),
+  err => {
+    console.error(err);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,168 @@
+/**
+ * Request cancellation.
+ *
+ * Requests accept an AbortSignal-like "signal" option: an object with an
+ * "aborted" property and "addEventListener" / "removeEventListener" methods
+ * for "abort" events (e.g. the signal of a node 15+ AbortController).
+ */
+
+'use strict';
+
+const ABORT_CODE = 'ABORT_ERR';
+
+/**
+ * Minimal AbortSignal, aborted by its abort() method.
+ */
+class Signal {
+
+  constructor() {
+    this.aborted = false;
+    this.$listeners = [];
+  }
+
+  addEventListener(type, listener) {
+    if (type === 'abort') {
+      this.$listeners.push(listener);
+    }
+  }
+
+  removeEventListener(type, listener) {
+    this.$listeners = this.$listeners.filter(other => other !== listener);
+  }
+
+  abort() {
+    if (this.aborted) {
+      return;
+    }
+
+    this.aborted = true;
+    this.$listeners.slice().forEach(listener => listener({type: 'abort'}));
+  }
+}
+
+/**
+ * Abort a signal when another one is.
+ *
+ * @param  {object}   source AbortSignal-like object (optional)
+ * @param  {Signal}   target
+ * @return {function}        remove the link
+ */
+function link(source, target) {
+  if (!source) {
+    return () => undefined;
+  }
+
+  if (source.aborted) {
+    target.abort();
+    return () => undefined;
+  }
+
+  const listener = () => target.abort();
+
+  source.addEventListener('abort', listener);
+
+  return () => source.removeEventListener('abort', listener);
+}
+
+/**
+ * Set of the pending requests of a client factory.
+ */
+class AbortGroup {
+
+  constructor() {
+    this.$signals = new Set();
+  }
+
+  get size() {
+    return this.$signals.size;
+  }
+
+  /**
+   * Register the signal of a pending request.
+   *
+   * @param  {Signal}   signal
+   * @return {function}        unregister the signal
+   */
+  track(signal) {
+    this.$signals.add(signal);
+
+    return () => this.$signals.delete(signal);
+  }
+
+  /**
+   * Abort the pending requests.
+   */
+  abortAll() {
+    const signals = [];
+
+    this.$signals.forEach(signal => signals.push(signal));
+    this.$signals.clear();
+    signals.forEach(signal => signal.abort());
+  }
+}
+
+/**
+ * Create the error a transport rejects aborted requests with.
+ *
+ * @return {Error}
+ */
+function abortError() {
+  const err = new Error('The request was aborted.');
+
+  err.name = 'AbortError';
+  err.code = ABORT_CODE;
+
+  return err;
+}
+
+/**
+ * Pick the "signal" and "deadline" options of a call, to forward them to the
+ * requests it sends.
+ *
+ * @param  {object} [opts]
+ * @return {object}
+ */
+function callOptions(opts) {
+  const result = {};
+
+  if (opts && opts.signal) {
+    result.signal = opts.signal;
+  }
+
+  if (opts && opts.deadline !== undefined) {
+    result.deadline = opts.deadline;
+  }
+
+  return result;
+}
+
+/**
+ * Return the error a call sending several requests should stop with, once
+ * its signal is aborted or its deadline passed.
+ *
+ * @param  {object} [opts] "signal" and "deadline" options
+ * @return {Error|undefined}
+ */
+function interruption(opts) {
+  if (opts && opts.signal && opts.signal.aborted) {
+    return abortError();
+  }
+
+  if (opts && opts.deadline !== undefined && Date.now() >= +opts.deadline) {
+    const err = new Error('The deadline has passed.');
+
+    err.code = 'ETIMEDOUT';
+
+    return err;
+  }
+
+  return undefined;
+}
+
+exports.ABORT_CODE = ABORT_CODE;
+exports.Signal = Signal;
+exports.AbortGroup = AbortGroup;
+exports.link = link;
+exports.abortError = abortError;
+exports.callOptions = callOptions;
+exports.interruption = interruption;
@@ -0,0 +1,150 @@
+/**
+ * Security rules debug messages ("x-firebase-auth-debug" header).
+ *
+ * A trace lists the rules evaluated for an operation:
+ *
+ *    {
+ *      operation: 'write',
+ *      path: '/users/alice',
+ *      auth: {uid: 'alice'},
+ *      data: {score: 10},
+ *      rules: [
+ *        {path: '/users/alice', type: '.write', expression: 'auth.uid === $uid', result: true},
+ *        {path: '/users/alice', type: '.validate', expression: 'newData.hasChildren()', result: true}
+ *      ],
+ *      allowed: true
+ *    }
+ *
+ * and is formatted like the Firebase simulator output:
+ *
+ *    Attempt to write {"score":10} to /users/alice with auth={"uid":"alice"}
+ *        /users/alice:.write: "auth.uid === $uid"
+ *            => true
+ *        /users/alice:.validate: "newData.hasChildren()"
+ *            => true
+ *    Write was allowed.
+ */
+
+'use strict';
+
+const INDENT = '    ';
+const ATTEMPT_WRITE = /^Attempt to write (.*) to (\/\S*) with auth=(.*)$/;
+const ATTEMPT_READ = /^Attempt to read (\/\S*) with auth=(.*)$/;
+const RULE = /^\s+(\/\S*?):(\.read|\.write|\.validate): (".*")$/;
+const RESULT = /^\s+=> (.*)$/;
+const OUTCOME = /^(Read|Write) was (allowed|denied)\.$/;
+
+/**
+ * Format a trace as a multi-line message.
+ *
+ * @param  {object} trace
+ * @return {string}
+ */
+function format(trace) {
+  const lines = [];
+  const target = trace.operation === 'write' ?
+    `write ${JSON.stringify(trace.data === undefined ? null : trace.data)} to ${trace.path}` :
+    `read ${trace.path}`;
+  const operation = trace.operation === 'write' ? 'Write' : 'Read';
+
+  lines.push(`Attempt to ${target} with auth=${JSON.stringify(trace.auth === undefined ? null : trace.auth)}`);
+
+  trace.rules.forEach(rule => {
+    lines.push(`${INDENT}${rule.path}:${rule.type}: ${JSON.stringify(rule.expression)}`);
+    lines.push(`${INDENT}${INDENT}=> ${rule.error === undefined ? rule.result : `error: ${rule.error}`}`);
+  });
+
+  if (!trace.allowed && !trace.rules.some(rule => rule.type === '.validate' && rule.result === false)) {
+    lines.push(`No .${trace.operation} rule allowed the operation.`);
+  }
+
+  lines.push(`${operation} was ${trace.allowed ? 'allowed' : 'denied'}.`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Parse a debug message into a trace.
+ *
+ * Lines it cannot parse are ignored; the trace "allowed" property is
+ * undefined if the outcome of the operation is missing.
+ *
+ * @param  {string} message
+ * @return {object}
+ */
+function parse(message) {
+  const trace = {operation: undefined, path: undefined, auth: undefined, rules: [], allowed: undefined};
+
+  message.split('\n').forEach(line => {
+    let match;
+
+    if ((match = ATTEMPT_WRITE.exec(line))) {
+      trace.operation = 'write';
+      trace.data = parseJSON(match[1]);
+      trace.path = match[2];
+      trace.auth = parseJSON(match[3]);
+    } else if ((match = ATTEMPT_READ.exec(line))) {
+      trace.operation = 'read';
+      trace.path = match[1];
+      trace.auth = parseJSON(match[2]);
+    } else if ((match = RULE.exec(line))) {
+      trace.rules.push({path: match[1], type: match[2], expression: parseJSON(match[3])});
+    } else if ((match = RESULT.exec(line)) && trace.rules.length) {
+      const rule = trace.rules[trace.rules.length - 1];
+
+      if (match[1].startsWith('error: ')) {
+        rule.result = false;
+        rule.error = match[1].slice(7);
+      } else {
+        rule.result = match[1] === 'true';
+      }
+    } else if ((match = OUTCOME.exec(line))) {
+      trace.allowed = match[2] === 'allowed';
+    }
+  });
+
+  return trace;
+}
+
+function parseJSON(str) {
+  try {
+    return JSON.parse(str);
+  } catch (e) {
+    return str;
+  }
+}
+
+/**
+ * Encode a message as a header value; new lines, backslashes and non-ASCII
+ * characters are escaped.
+ *
+ * @param  {string} message
+ * @return {string}
+ */
+function encode(message) {
+  return message.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(
+    /[^\x20-\x7E]/g,
+    c => `\\u${`000${c.charCodeAt(0).toString(16)}`.slice(-4)}`
+  );
+}
+
+/**
+ * Decode a message encoded with encode().
+ *
+ * @param  {string} header
+ * @return {string}
+ */
+function decode(header) {
+  return header.replace(/\\(\\|n|u[0-9a-fA-F]{4})/g, (match, code) => {
+    if (code === '\\') {
+      return '\\';
+    }
+
+    return code === 'n' ? '\n' : String.fromCharCode(parseInt(code.slice(1), 16));
+  });
+}
+
+exports.format = format;
+exports.parse = parse;
+exports.encode = encode;
+exports.decode = decode;
@@ -0,0 +1,178 @@
+/**
+ * Bulk writes with a bounded number of concurrent requests.
+ *
+ * A batch queues "set", "update", "push" and "remove" operations and runs
+ * them with at most "concurrency" pending requests, starting at most
+ * "rateLimit" of them per second. It emits a "progress" event after each
+ * operation, and done() resolves with the outcome of each of them.
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const transfer = require('./transfer');
+
+const DEFAULT_CONCURRENCY = 5;
+const METHODS = ['set', 'update', 'push', 'remove'];
+
+const ERR_INVALID_CONCURRENCY = 'The concurrency should be a positive integer.';
+const ERR_INVALID_RATE_LIMIT = 'The rate limit should be a positive number of operations per second.';
+const ERR_INVALID_REF = 'Batch operations require a reference.';
+const ERR_NO_PUSH_VALUE = 'Batch push operations require a value (a push without value writes nothing).';
+
+class Batch extends EventEmitter {
+
+  /**
+   * Options:
+   *
+   * - concurrency: maximum number of pending requests (5 by default);
+   * - rateLimit: maximum number of operations started per second
+   *   (unlimited by default).
+   *
+   * @param  {object} [opts]
+   */
+  constructor(opts) {
+    super();
+
+    const concurrency = opts && opts.concurrency !== undefined ? opts.concurrency : DEFAULT_CONCURRENCY;
+    const rateLimit = opts && opts.rateLimit;
+
+    if (typeof concurrency !== 'number' || concurrency < 1 || Math.floor(concurrency) !== concurrency) {
+      throw new Error(ERR_INVALID_CONCURRENCY);
+    }
+
+    if (rateLimit !== undefined && (typeof rateLimit !== 'number' || rateLimit <= 0)) {
+      throw new Error(ERR_INVALID_RATE_LIMIT);
+    }
+
+    this.concurrency = concurrency;
+    this.rateLimit = rateLimit;
+    this.$run = transfer.limiter(concurrency);
+    this.$throttle = throttle(rateLimit);
+    this.$operations = [];
+    this.$pending = [];
+  }
+
+  /**
+   * Queue an operation.
+   *
+   * It resolves with the operation outcome once it ran (it does not reject;
+   * see done()). A "push" operation requires a value.
+   *
+   * @param  {string}  method  "set", "update", "push" or "remove"
+   * @param  {Request} ref
+   * @param  {array}   [args]  arguments of the reference method
+   * @return {Promise<object>}
+   */
+  add(method, ref, args) {
+    if (METHODS.indexOf(method) === -1) {
+      throw new Error(`Unsupported batch operation: "${method}".`);
+    }
+
+    if (!ref || typeof ref[method] !== 'function') {
+      throw new Error(ERR_INVALID_REF);
+    }
+
+    if (method === 'push' && (!args || args[0] === undefined)) {
+      throw new Error(ERR_NO_PUSH_VALUE);
+    }
+
+    const operation = {method, path: ref.path, ok: undefined, value: undefined, error: undefined};
+    const pending = this.$run(
+      () => this.$throttle().then(() => ref[method].apply(ref, args || []))
+    ).then(value => {
+      operation.ok = true;
+      operation.value = value;
+    }, err => {
+      operation.ok = false;
+      operation.error = err;
+    }).then(() => {
+      this.emit('progress', Object.assign(this.$stats(), {operation}));
+
+      return operation;
+    });
+
+    this.$operations.push(operation);
+    this.$pending.push(pending);
+
+    return pending;
+  }
+
+  set(ref, value, qs) {
+    return this.add('set', ref, [value, qs]);
+  }
+
+  update(ref, value, qs) {
+    return this.add('update', ref, [value, qs]);
+  }
+
+  push(ref, value, qs) {
+    return this.add('push', ref, [value, qs]);
+  }
+
+  remove(ref, qs) {
+    return this.add('remove', ref, [qs]);
+  }
+
+  /**
+   * Resolve once every queued operation (including operations queued while
+   * waiting) ran.
+   *
+   * The result lists the operations in the order they were queued, with
+   * their method, path, outcome ("ok") and result ("value") or error:
+   *
+   *    {
+   *      total: 2, succeeded: 1, failed: 1,
+   *      operations: [
+   *        {method: 'set', path: '/users/alice', ok: true, value: {...}},
+   *        {method: 'push', path: '/logs', ok: false, error: RateLimitedError}
+   *      ]
+   *    }
+   *
+   * @return {Promise<object>}
+   */
+  done() {
+    const count = this.$pending.length;
+
+    return Promise.all(this.$pending).then(
+      () => (this.$pending.length > count ? this.done() : Object.assign(this.$stats(), {
+        operations: this.$operations.slice()
+      }))
+    );
+  }
+
+  $stats() {
+    const settled = this.$operations.filter(operation => operation.ok !== undefined);
+    const succeeded = settled.filter(operation => operation.ok).length;
+
+    return {
+      total: this.$operations.length,
+      completed: settled.length,
+      succeeded,
+      failed: settled.length - succeeded
+    };
+  }
+}
+
+/**
+ * Create a function resolving when the next operation can start, at most
+ * "rateLimit" times per second.
+ *
+ * @param  {number}   [rateLimit]
+ * @return {function}
+ */
+function throttle(rateLimit) {
+  const interval = rateLimit ? 1000 / rateLimit : 0;
+  let next = 0;
+
+  return () => {
+    const now = Date.now();
+    const start = Math.max(now, next);
+
+    next = start + interval;
+
+    return start > now ? new Promise(resolve => setTimeout(resolve, start - now)) : Promise.resolve();
+  };
+}
+
+exports.Batch = Batch;
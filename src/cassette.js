@@ -0,0 +1,300 @@
+/**
+ * HTTP traffic recording and replay.
+ *
+ * A cassette is a JSON file holding a list of interactions, each a request
+ * (method, path, query and body) and its response (status, headers and
+ * body):
+ *
+ *    {
+ *      "version": 1,
+ *      "interactions": [{
+ *        "request": {"method": "GET", "path": "/foo.json", "query": {"auth": "[REDACTED]"}},
+ *        "response": {"statusCode": 200, "statusMessage": "OK", "headers": {...}, "body": "{\"bar\":1}"}
+ *      }]
+ *    }
+ *
+ * A recorder wraps a transport and saves each request with its response;
+ * auth tokens ("auth" and "access_token" query parameters, "authorization"
+ * header) and secrets are redacted. A player serves the recorded responses
+ * without network; each interaction is served once, in the recorded order.
+ *
+ * Push IDs are generated by the client (see "pushid.js") and differ between
+ * the recording and the replay; path segments looking like a push ID (20
+ * characters of the push ID alphabet) match any other push ID, in the
+ * request path and in the JSON strings of its body (e.g. the keys of a
+ * multi-path update).
+ *
+ * Event streams (`ref.on()`) are not sent with the transport: they are not
+ * recorded, and cannot be opened in replay mode.
+ *
+ * The transports of a client share its cassette: a reference transport is
+ * recorded with the client ones, and not used in replay mode (see
+ * `through()`).
+ */
+
+'use strict';
+
+const fs = require('fs');
+const url = require('url');
+const querystring = require('querystring');
+
+const MODES = ['record', 'replay', 'passthrough'];
+const VERSION = 1;
+const REDACTED = '[REDACTED]';
+const REDACTED_PARAMS = ['auth', 'access_token'];
+const REDACTED_HEADERS = ['authorization'];
+const IGNORED_HEADERS = ['connection', 'content-encoding', 'content-length', 'date', 'keep-alive', 'transfer-encoding'];
+const UNMATCHED_CODE = 'ERR_UNMATCHED_REQUEST';
+const PUSH_ID = /^[-\dA-Za-z_]{20}(\.json)?$/;
+const PUSH_ID_WILDCARD = '*$1';
+const JSON_STRING = /"((?:[^"\\]|\\.)*)"/g;
+
+const ERR_INVALID_MODE = `The mode option should be one of ${MODES.map(mode => `"${mode}"`).join(', ')}.`;
+const ERR_NO_CASSETTE = 'The cassette option is required in record and replay modes.';
+
+/**
+ * Wrap a transport according to the "mode" and "cassette" options.
+ *
+ * Options:
+ *
+ * - mode: "record", "replay" or "passthrough" (default);
+ * - cassette: path of the cassette file;
+ * - secrets: other strings to redact (e.g. the Firebase secret).
+ *
+ * @param  {function} transport
+ * @param  {object}   [opts]
+ * @return {function}
+ */
+function wrap(transport, opts) {
+  const mode = opts && opts.mode || 'passthrough';
+
+  validate(opts);
+
+  if (mode === 'record') {
+    return createRecorder(transport, opts.cassette, opts.secrets);
+  }
+
+  if (mode === 'replay') {
+    return createPlayer(opts.cassette, opts.secrets);
+  }
+
+  return transport;
+}
+
+function validate(opts) {
+  const mode = opts && opts.mode;
+
+  if (mode !== undefined && MODES.indexOf(mode) === -1) {
+    throw new Error(ERR_INVALID_MODE);
+  }
+
+  if ((mode === 'record' || mode === 'replay') && !opts.cassette) {
+    throw new Error(ERR_NO_CASSETTE);
+  }
+}
+
+/**
+ * Create a transport sending requests with "transport" and saving them with
+ * their response to "file".
+ *
+ * The cassette is saved after each response; the request resolves once it
+ * is saved. An existing cassette is replaced. The recorder "through(send)"
+ * method creates a recorder sending requests with "send" instead, saving
+ * them to the same cassette.
+ *
+ * @param  {function} transport
+ * @param  {string}   file
+ * @param  {array}    [secrets]
+ * @return {function}
+ */
+function createRecorder(transport, file, secrets) {
+  const interactions = [];
+  let saving = Promise.resolve();
+
+  function save() {
+    const cassette = JSON.stringify({version: VERSION, interactions}, null, 2);
+
+    saving = saving.then(() => new Promise((resolve, reject) => {
+      fs.writeFile(file, cassette, err => (err ? reject(err) : resolve()));
+    }));
+
+    return saving;
+  }
+
+  function through(send) {
+    function recorder(req) {
+      return send(req).then(resp => {
+        interactions.push({
+          request: requestEntry(req, secrets),
+          response: responseEntry(resp, secrets)
+        });
+
+        return save().then(() => resp);
+      });
+    }
+
+    recorder.through = through;
+
+    return recorder;
+  }
+
+  return through(transport);
+}
+
+/**
+ * Create a transport serving the responses recorded in "file".
+ *
+ * Requests are matched by method, path, query and body (once redacted; push
+ * IDs matching any push ID); unmatched requests reject with an error with
+ * the "ERR_UNMATCHED_REQUEST" code.
+ *
+ * @param  {string}   file
+ * @param  {array}    [secrets]
+ * @return {function}
+ */
+function createPlayer(file, secrets) {
+  let loading;
+
+  function player(req) {
+    if (!loading) {
+      loading = load(file).then(cassette => cassette.interactions.map(
+        interaction => ({key: matchKey(interaction.request), response: interaction.response, used: false})
+      ));
+    }
+
+    return loading.then(interactions => {
+      const key = matchKey(requestEntry(req, secrets));
+      const match = interactions.filter(interaction => !interaction.used && interaction.key === key)[0];
+
+      if (!match) {
+        const err = new Error(`No recorded response in "${file}" for ${key.split('\n').join(' ')}.`);
+
+        err.code = UNMATCHED_CODE;
+        throw err;
+      }
+
+      match.used = true;
+
+      return {
+        statusCode: match.response.statusCode,
+        statusMessage: match.response.statusMessage,
+        headers: Object.assign({}, match.response.headers),
+        body: match.response.body
+      };
+    });
+  }
+
+  player.replaying = true;
+  player.through = () => player;
+
+  return player;
+}
+
+/**
+ * Wrap another transport with the cassette of a recorder or player: the
+ * recorder saves its requests to the same cassette, and the player ignores
+ * it. Other transports are returned as is.
+ *
+ * @param  {function} wrapped   transport returned by wrap()
+ * @param  {function} transport
+ * @return {function}
+ */
+function through(wrapped, transport) {
+  return wrapped && wrapped.through ? wrapped.through(transport) : transport;
+}
+
+/**
+ * Test if a transport serves the responses of a cassette.
+ *
+ * @param  {function} transport
+ * @return {boolean}
+ */
+function isReplaying(transport) {
+  return Boolean(transport && transport.replaying);
+}
+
+function load(file) {
+  return new Promise((resolve, reject) => {
+    fs.readFile(file, 'utf8', (err, text) => (err ? reject(err) : resolve(text)));
+  }).then(text => {
+    const cassette = JSON.parse(text);
+
+    if (!cassette || !Array.isArray(cassette.interactions)) {
+      throw new Error(`"${file}" is not a cassette.`);
+    }
+
+    return cassette;
+  });
+}
+
+function requestEntry(req, secrets) {
+  const target = url.parse(req.url);
+  const query = querystring.parse(target.query || '');
+  const entry = {method: req.method, path: target.pathname, query: {}};
+
+  Object.keys(query).sort().forEach(key => {
+    entry.query[key] = REDACTED_PARAMS.indexOf(key) > -1 ? REDACTED : redact(query[key], secrets);
+  });
+
+  if (req.body !== undefined) {
+    entry.body = redact(req.body, secrets);
+  }
+
+  return entry;
+}
+
+function responseEntry(resp, secrets) {
+  const headers = {};
+
+  Object.keys(resp.headers || {}).filter(
+    name => IGNORED_HEADERS.indexOf(name.toLowerCase()) === -1
+  ).forEach(name => {
+    const value = resp.headers[name];
+
+    headers[name] = REDACTED_HEADERS.indexOf(name.toLowerCase()) > -1 ? REDACTED : redact(value, secrets);
+  });
+
+  return {
+    statusCode: resp.statusCode,
+    statusMessage: resp.statusMessage,
+    headers,
+    body: redact(resp.body, secrets)
+  };
+}
+
+function redact(value, secrets) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  return (secrets || []).filter(Boolean).reduce(
+    (text, secret) => text.split(secret).join(REDACTED),
+    value
+  );
+}
+
+function matchKey(request) {
+  const body = typeof request.body === 'string' ?
+    request.body.replace(JSON_STRING, (literal, text) => `"${wildcardPushIds(text)}"`) :
+    '';
+
+  return [
+    request.method,
+    `${wildcardPushIds(request.path)}?${querystring.stringify(request.query)}`,
+    body
+  ].join('\n');
+}
+
+function wildcardPushIds(path) {
+  return path.split('/').map(segment => segment.replace(PUSH_ID, PUSH_ID_WILDCARD)).join('/');
+}
+
+exports.MODES = MODES;
+exports.REDACTED = REDACTED;
+exports.UNMATCHED_CODE = UNMATCHED_CODE;
+exports.wrap = wrap;
+exports.validate = validate;
+exports.createRecorder = createRecorder;
+exports.createPlayer = createPlayer;
+exports.isReplaying = isReplaying;
+exports.through = through;
@@ -0,0 +1,401 @@
+/**
+ * Command-line interface.
+ *
+ * Usage:
+ *
+ *    rest-firebase get some-id users --order-by score --limit-to-last 10
+ *    echo '{"score": 10}' | rest-firebase update some-id users/alice
+ *    rest-firebase rules set some-id rules.json
+ *
+ * See USAGE for the commands and options.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const restFirebase = require('./index');
+
+const ENV_AUTH = 'FIREBASE_AUTH';
+
+const USAGE = `Usage: rest-firebase <command> <target> [path] [options]
+
+Commands:
+  get <target> [path]           print the value of a location
+  set <target> <path> [file]    replace the value of a location
+  update <target> <path> [file] update the children of a location
+  push <target> <path> [file]   add a child with a push ID; print its key
+  remove <target> <path>        remove a location
+  rules get <target>            print the security rules document
+  rules set <target> [file]     save the security rules document
+
+<target> is a Firebase ID or URL. set, update, push and rules set read the
+JSON value from the file, or from stdin when it is missing or "-".
+
+Options:
+  --auth <token>                auth token or secret (defaults to $${ENV_AUTH})
+  --as <uid>                    sign a custom token for <uid> with the secret
+  --debug                       with --as, get the security rules evaluation
+  --timeout <ms>                request timeout
+  --raw                         print compact JSON
+  --shallow                     get: only fetch the keys of the children
+  --order-by <child>            get: order by a child, $key, $value or $priority
+  --start-at <value>            get: query start point
+  --end-at <value>              get: query end point
+  --equal-to <value>            get: query equality constraint
+  --limit-to-first <n>          get: limit to the first n children
+  --limit-to-last <n>           get: limit to the last n children
+  --help                        print this message
+
+Exit codes:
+  0 success, 1 other error, 2 invalid arguments, 3 network error or timeout,
+  4 bad request (400 and other 4xx), 5 server error (5xx), 6 permission denied
+  (401 and 403), 7 not found (404), 8 precondition failed (412), 9 payload too
+  large (413), 10 rate limited (429).
+`;
+
+const FLAGS = {
+  'auth': 'string',
+  'as': 'string',
+  'debug': 'boolean',
+  'timeout': 'number',
+  'raw': 'boolean',
+  'shallow': 'boolean',
+  'order-by': 'string',
+  'start-at': 'value',
+  'end-at': 'value',
+  'equal-to': 'value',
+  'limit-to-first': 'number',
+  'limit-to-last': 'number',
+  'help': 'boolean'
+};
+
+const ORDER_BY = {
+  $key: ref => ref.orderByKey(),
+  $value: ref => ref.orderByValue(),
+  $priority: ref => ref.orderByPriority()
+};
+
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+
+// Most specific classes first.
+const EXIT_CODES = [
+  [restFirebase.NetworkError, 3],
+  [restFirebase.TimeoutError, 3],
+  [restFirebase.ServerError, 5],
+  [restFirebase.PermissionDeniedError, 6],
+  [restFirebase.NotFoundError, 7],
+  [restFirebase.PreconditionFailedError, 8],
+  [restFirebase.PayloadTooLargeError, 9],
+  [restFirebase.RateLimitedError, 10],
+  [restFirebase.ResponseError, 4]
+];
+
+const ERR_UNKNOWN_COMMAND = 'Unknown command';
+const ERR_UNKNOWN_OPTION = 'Unknown option';
+const ERR_MISSING_VALUE = 'Missing value for option';
+const ERR_INVALID_NUMBER = 'Invalid number for option';
+const ERR_MISSING_TARGET = 'Missing target.';
+const ERR_MISSING_PATH = 'Missing path.';
+const ERR_DEBUG_WITHOUT_AS = 'The --debug option requires --as.';
+const ERR_QUERY_OPTIONS = 'Query options are only supported by the get command.';
+
+class UsageError extends Error {
+
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Parse the command-line arguments.
+ *
+ * Returns the positional arguments ("args") and the options ("opts", keyed
+ * by flag name). Option values are checked against FLAGS; "value" options
+ * are parsed as JSON when possible (e.g. "--start-at 10").
+ *
+ * @param  {array}  argv
+ * @return {object}
+ */
+function parse(argv) {
+  const args = [];
+  const opts = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '-' || !arg.startsWith('--')) {
+      args.push(arg);
+      continue;
+    }
+
+    const eq = arg.indexOf('=');
+    const name = arg.slice(2, eq > -1 ? eq : undefined);
+    const type = FLAGS[name];
+
+    if (type === undefined) {
+      throw new UsageError(`${ERR_UNKNOWN_OPTION}: "${arg}".`);
+    }
+
+    if (type === 'boolean') {
+      opts[name] = true;
+      continue;
+    }
+
+    let value = eq > -1 ? arg.slice(eq + 1) : argv[++i];
+
+    if (value === undefined) {
+      throw new UsageError(`${ERR_MISSING_VALUE}: "--${name}".`);
+    }
+
+    if (type === 'number') {
+      value = Number(value);
+
+      if (isNaN(value)) {
+        throw new UsageError(`${ERR_INVALID_NUMBER}: "--${name}".`);
+      }
+    } else if (type === 'value') {
+      value = parseValue(value);
+    }
+
+    opts[name] = value;
+  }
+
+  return {args, opts};
+}
+
+function parseValue(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+}
+
+/**
+ * Create the client factory (or user client factory) of the target.
+ *
+ * @param  {string}   target
+ * @param  {object}   opts
+ * @param  {object}   env
+ * @return {function}
+ */
+function client(target, opts, env) {
+  const auth = opts.auth === undefined ? env[ENV_AUTH] : opts.auth;
+  const factoryOpts = opts.timeout === undefined ? {} : {timeout: opts.timeout};
+
+  if (opts.debug && opts.as === undefined) {
+    throw new UsageError(ERR_DEBUG_WITHOUT_AS);
+  }
+
+  if (opts.as !== undefined) {
+    return restFirebase.factory(target, Object.assign(factoryOpts, {secret: auth})).asUser(
+      opts.as, {}, {debug: opts.debug}
+    );
+  }
+
+  const firebase = restFirebase.factory(target, factoryOpts);
+
+  return refOpts => firebase(Object.assign({}, refOpts, {auth}));
+}
+
+function query(ref, opts) {
+  let result = ref;
+
+  if (opts['order-by'] !== undefined) {
+    const orderBy = ORDER_BY[opts['order-by']];
+
+    result = orderBy ? orderBy(result) : result.orderByChild(opts['order-by']);
+  }
+
+  if (opts['start-at'] !== undefined) {
+    result = result.startAt(opts['start-at']);
+  }
+
+  if (opts['end-at'] !== undefined) {
+    result = result.endAt(opts['end-at']);
+  }
+
+  if (opts['equal-to'] !== undefined) {
+    result = result.equalTo(opts['equal-to']);
+  }
+
+  if (opts['limit-to-first'] !== undefined) {
+    result = result.limitToFirst(opts['limit-to-first']);
+  }
+
+  if (opts['limit-to-last'] !== undefined) {
+    result = result.limitToLast(opts['limit-to-last']);
+  }
+
+  return result;
+}
+
+function hasQuery(opts) {
+  return ['shallow', 'order-by', 'start-at', 'end-at', 'equal-to', 'limit-to-first', 'limit-to-last'].some(
+    name => opts[name] !== undefined
+  );
+}
+
+/**
+ * Read a file, or stdin when the file is missing or "-".
+ *
+ * @param  {string}          file
+ * @param  {stream.Readable} stdin
+ * @return {Promise<string,Error>}
+ */
+function read(file, stdin) {
+  if (file !== undefined && file !== '-') {
+    return new Promise((resolve, reject) => {
+      fs.readFile(file, 'utf8', (err, text) => (err ? reject(err) : resolve(text)));
+    });
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+
+    stdin.on('data', data => chunks.push(new Buffer(data)));
+    stdin.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    stdin.on('error', reject);
+  });
+}
+
+function readJSON(file, stdin) {
+  return read(file, stdin).then(text => JSON.parse(text));
+}
+
+const COMMANDS = {
+
+  get(ref, args, opts) {
+    return query(ref, opts).get(opts.shallow ? {shallow: true} : undefined).then(value => json(value, opts));
+  },
+
+  set(ref, args, opts, io) {
+    return readJSON(args[0], io.stdin).then(value => ref.set(value)).then(value => json(value, opts));
+  },
+
+  update(ref, args, opts, io) {
+    return readJSON(args[0], io.stdin).then(value => ref.update(value)).then(value => json(value, opts));
+  },
+
+  push(ref, args, opts, io) {
+    return readJSON(args[0], io.stdin).then(value => ref.push(value)).then(child => json(child.key, opts));
+  },
+
+  remove(ref) {
+    return ref.remove().then(() => undefined);
+  }
+};
+
+// The rules document is printed as saved, comments included.
+const RULES_COMMANDS = {
+
+  get(ref) {
+    return ref.rules();
+  },
+
+  set(ref, args, opts, io) {
+    return read(args[0], io.stdin).then(text => ref.rules(text)).then(() => undefined);
+  }
+};
+
+function json(value, opts) {
+  return opts.raw ? JSON.stringify(value) : JSON.stringify(value, null, 2);
+}
+
+/**
+ * Run a command and resolve with the exit code.
+ *
+ * The command output is written to "io.stdout" and errors to "io.stderr";
+ * "io.stdin" is read by commands missing a file argument and "io.env"
+ * holds the environment variables.
+ *
+ * @param  {array}  argv command-line arguments (without the node and script paths)
+ * @param  {object} io   {stdin, stdout, stderr, env}
+ * @return {Promise<number>}
+ */
+function run(argv, io) {
+  const env = io.env || {};
+
+  return new Promise(resolve => resolve(parse(argv))).then(parsed => {
+    const args = parsed.args;
+    const opts = parsed.opts;
+
+    if (opts.help || args.length === 0) {
+      io.stdout.write(USAGE);
+      return EXIT_OK;
+    }
+
+    const isRules = args[0] === 'rules';
+    const commands = isRules ? RULES_COMMANDS : COMMANDS;
+    const name = isRules ? args[1] : args[0];
+    const rest = args.slice(isRules ? 2 : 1);
+    const command = commands.hasOwnProperty(name) ? commands[name] : undefined;
+
+    if (command === undefined) {
+      throw new UsageError(`${ERR_UNKNOWN_COMMAND}: "${args.slice(0, isRules ? 2 : 1).join(' ')}".`);
+    }
+
+    if (rest[0] === undefined) {
+      throw new UsageError(ERR_MISSING_TARGET);
+    }
+
+    if (!isRules && name !== 'get' && rest[1] === undefined) {
+      throw new UsageError(ERR_MISSING_PATH);
+    }
+
+    if ((isRules || name !== 'get') && hasQuery(opts)) {
+      throw new UsageError(ERR_QUERY_OPTIONS);
+    }
+
+    const firebase = client(rest[0], opts, env);
+    const ref = firebase({paths: isRules ? '' : rest[1], logger: {warn: () => undefined}});
+
+    return command(ref, rest.slice(isRules ? 1 : 2), opts, io).then(output => {
+      if (output !== undefined) {
+        io.stdout.write(`${output}\n`);
+      }
+
+      return EXIT_OK;
+    });
+  }).catch(err => {
+    io.stderr.write(`${errorMessage(err)}\n`);
+
+    if (err instanceof UsageError) {
+      io.stderr.write('See "rest-firebase --help".\n');
+      return EXIT_USAGE;
+    }
+
+    return exitCode(err);
+  });
+}
+
+function errorMessage(err) {
+  const message = `Error: ${err.message}`;
+
+  if (!err.authDebug || err instanceof restFirebase.PermissionDeniedError) {
+    return message;
+  }
+
+  return `${message}\n${err.authDebug}`;
+}
+
+/**
+ * Return the exit code of an error.
+ *
+ * @param  {Error}  err
+ * @return {number}
+ */
+function exitCode(err) {
+  const match = EXIT_CODES.filter(pair => err instanceof pair[0])[0];
+
+  return match ? match[1] : EXIT_ERROR;
+}
+
+exports.USAGE = USAGE;
+exports.UsageError = UsageError;
+exports.parse = parse;
+exports.run = run;
+exports.exitCode = exitCode;
@@ -0,0 +1,88 @@
+/**
+ * Google OAuth2 access tokens.
+ *
+ * Requests can be authenticated with an OAuth2 access token (sent as the
+ * "access_token" query parameter) instead of a Firebase secret or custom
+ * token. The token is a string, or is given by a provider: a function
+ * returning (a promise resolving with) a string or with an
+ * "{accessToken, expiresAt}" object ("expiresAt" being a Date or a timestamp
+ * in ms).
+ *
+ * Tokens with an expiry date are kept until a minute before it; the provider
+ * is then called again. Others are requested for each request.
+ *
+ * See https://firebase.google.com/docs/database/rest/auth#google_oauth2_access_tokens
+ */
+
+'use strict';
+
+const PARAM = 'access_token';
+const REFRESH_MARGIN = 60000;
+
+const ERR_INVALID_ACCESS_TOKEN = 'The accessToken option should be a string or a token provider function.';
+const ERR_INVALID_PROVIDED_TOKEN = 'A token provider should resolve with a string or {accessToken, expiresAt}.';
+
+function validate(source) {
+  if (source !== undefined && typeof source !== 'string' && typeof source !== 'function') {
+    throw new Error(ERR_INVALID_ACCESS_TOKEN);
+  }
+}
+
+/**
+ * Create a function resolving with the current access token.
+ *
+ * Concurrent calls share the same provider call; a failed call is not kept.
+ *
+ * @param  {string|function} source access token or token provider
+ * @return {function}
+ */
+function accessToken(source) {
+  let cached, pending;
+
+  validate(source);
+
+  if (typeof source !== 'function') {
+    return () => Promise.resolve(source);
+  }
+
+  return function currentToken() {
+    if (cached && Date.now() < cached.refreshAt) {
+      return Promise.resolve(cached.token);
+    }
+
+    if (!pending) {
+      pending = new Promise(resolve => resolve(source())).then(result => {
+        const token = parseToken(result);
+
+        pending = undefined;
+        cached = token.expiresAt === undefined ? undefined : {
+          token: token.accessToken,
+          refreshAt: +token.expiresAt - REFRESH_MARGIN
+        };
+
+        return token.accessToken;
+      }).then(null, err => {
+        // Failed provider calls and invalid results are not kept.
+        pending = undefined;
+        throw err;
+      });
+    }
+
+    return pending;
+  };
+}
+
+function parseToken(result) {
+  const token = typeof result === 'string' ? {accessToken: result} : result;
+
+  if (!token || typeof token.accessToken !== 'string' || !token.accessToken) {
+    throw new Error(ERR_INVALID_PROVIDED_TOKEN);
+  }
+
+  return token;
+}
+
+exports.PARAM = PARAM;
+exports.REFRESH_MARGIN = REFRESH_MARGIN;
+exports.validate = validate;
+exports.accessToken = accessToken;
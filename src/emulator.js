@@ -0,0 +1,801 @@
+/**
+ * Local Firebase REST emulator.
+ *
+ * Serves an in-memory JSON tree over the Firebase REST API, for offline
+ * tests.
+ *
+ * Usage:
+ *
+ *    const emulator = require('rest-firebase/emulator');
+ *    const restFirebase = require('rest-firebase');
+ *    const server = emulator.createServer({data: {users: {}}});
+ *
+ *    server.listen(0).then(() => {
+ *      const firebase = restFirebase.factory(server.url);
+ *
+ *      // ...
+ *
+ *      return server.close();
+ *    });
+ *
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const url = require('url');
+const authdebug = require('./authdebug');
+const keys = require('./keys');
+const pushid = require('./pushid');
+const query = require('./query');
+const ruleset = require('./ruleset');
+const tokens = require('./token');
+const tree = require('./tree');
+
+const RULES_PATH = '/.settings/rules.json';
+const DEFAULT_RULES = '{\n  "rules": {\n    ".read": true,\n    ".write": true\n  }\n}';
+const FILTER_PARAMS = ['startAt', 'endAt', 'equalTo', 'limitToFirst', 'limitToLast'];
+const PRIORITY_KEY = '.priority';
+const VALUE_KEY = '.value';
+const SPECIAL_KEYS = [PRIORITY_KEY, VALUE_KEY, '.sv'];
+const ARRAY_INDEX = /^(0|[1-9]\d*)$/;
+
+const ERR_NOT_FOUND = 'Not Found';
+const ERR_METHOD_NOT_ALLOWED = 'Method Not Allowed';
+const ERR_PERMISSION_DENIED = 'Permission denied';
+const ERR_INVALID_JSON = 'Invalid data; couldn\'t parse JSON object, array, or value.';
+const ERR_INVALID_KEY = 'Invalid data; couldn\'t parse key beginning at';
+const ERR_INVALID_PATH = (
+  'Invalid path. Paths must be non-empty strings and can\'t contain ".", "#", "$", "[", or "]".'
+);
+const ERR_INVALID_PATCH = 'Invalid data; PATCH payload should be an object.';
+const ERR_ANCESTOR_PATHS = 'Invalid data; a PATCH path is an ancestor of another one.';
+const ERR_INVALID_RULES = 'Invalid rules; couldn\'t parse the rules document.';
+const ERR_NO_ORDER_BY = 'orderBy must be defined when other query parameters are defined';
+const ERR_SHALLOW_QUERY = 'Mixing shallow with other query parameters is not supported';
+const ERR_INVALID_PARAM = 'Invalid query parameter:';
+const ERR_INVALID_LIMIT = 'Limits must be positive integers';
+const ERR_BOTH_LIMITS = 'Only one of limitToFirst and limitToLast can be set';
+
+class HttpError extends Error {
+
+  constructor(status, message, opts) {
+    super(message);
+    this.name = 'HttpError';
+
+    this.status = status;
+    this.body = opts && opts.body !== undefined ? opts.body : {error: message};
+    this.headers = opts && opts.headers;
+  }
+}
+
+class Emulator {
+
+  /**
+   * Options:
+   *
+   * - data: initial DB value (with priorities in the export format);
+   * - rules: initial rules document (string or object; default to public
+   *   read and write access); ".read", ".write" and ".validate" rules are
+   *   enforced for requests not authenticated with the secret;
+   * - secret: secret required to read and write the rules and to verify the
+   *   custom auth token signatures (no restriction by default);
+   * - clock: function returning the server time in ms (default to Date.now);
+   * - requireIndexes: reject queries ordered by child or by value without
+   *   ".indexOn" rule, like Firebase does (false by default).
+   *
+   * @param  {object} [opts]
+   */
+  constructor(opts) {
+    opts = opts || {};
+
+    this.data = importValue(opts.data);
+    this.rules = opts.rules === undefined ? DEFAULT_RULES : stringify(opts.rules);
+    this.secret = opts.secret;
+    this.clock = opts.clock || Date.now;
+    this.requireIndexes = opts.requireIndexes === true;
+    this.server = http.createServer((req, resp) => this.handle(req, resp));
+    this.$ruleset = undefined;
+    this.$streams = [];
+    this.$sockets = new Set();
+
+    this.server.on('connection', socket => {
+      this.$sockets.add(socket);
+      socket.on('close', () => this.$sockets.delete(socket));
+    });
+  }
+
+  get port() {
+    const address = this.server.address();
+
+    return address ? address.port : undefined;
+  }
+
+  get url() {
+    return `http://127.0.0.1:${this.port}`;
+  }
+
+  /**
+   * Start listening; resolve once the server is ready.
+   *
+   * @param  {number} [port]     default to a random port
+   * @param  {string} [hostname] default to 127.0.0.1
+   * @return {Promise<Emulator>}
+   */
+  listen(port, hostname) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port || 0, hostname || '127.0.0.1', () => {
+        this.server.removeListener('error', reject);
+        resolve(this);
+      });
+    });
+  }
+
+  /**
+   * Stop listening and close the connections (including the kept alive
+   * ones); resolve once the server is closed.
+   *
+   * @return {Promise<void>}
+   */
+  close() {
+    this.$streams.forEach(stream => stream.resp.end());
+    this.$streams = [];
+
+    const closed = new Promise(resolve => this.server.close(() => resolve()));
+
+    this.$sockets.forEach(socket => socket.destroy());
+    this.$sockets.clear();
+
+    return closed;
+  }
+
+  /**
+   * Replace the DB value.
+   *
+   * @param {any} data
+   */
+  reset(data) {
+    this.data = importValue(data);
+    this.notify();
+  }
+
+  handle(req, resp) {
+    const reqUrl = url.parse(req.url, true);
+
+    if (
+      req.method === 'GET' &&
+      reqUrl.pathname !== RULES_PATH &&
+      (req.headers.accept || '').indexOf('text/event-stream') > -1
+    ) {
+      this.stream(resp, reqUrl);
+      return;
+    }
+
+    readBody(req).then(
+      body => this.dispatch(req, reqUrl, body)
+    ).then(
+      result => send(resp, result)
+    ).catch(
+      err => sendError(resp, err)
+    );
+  }
+
+  dispatch(req, reqUrl, body) {
+    const params = reqUrl.query;
+
+    if (reqUrl.pathname === RULES_PATH) {
+      return this.handleRules(req, params, body);
+    }
+
+    if (!reqUrl.pathname.endsWith('.json')) {
+      throw new HttpError(404, ERR_NOT_FOUND);
+    }
+
+    const segments = parsePath(reqUrl.pathname);
+    const session = this.authenticate(params);
+    let result;
+
+    if (req.method === 'GET') {
+      result = {headers: this.authorizeRead(session, segments)};
+      result.body = this.read(segments, params);
+    } else if (req.method === 'PUT') {
+      this.checkETag(req, segments);
+      result = this.write(session, segments, [{segments, value: parseJSON(body)}]);
+      result.body = exportArrays(query.stripExport(tree.getAt(this.data, segments)));
+    } else if (req.method === 'PATCH') {
+      result = this.patch(session, segments, parseJSON(body));
+    } else if (req.method === 'POST') {
+      result = this.push(session, segments, parseJSON(body));
+    } else if (req.method === 'DELETE') {
+      this.checkETag(req, segments);
+      result = this.write(session, segments, [{segments, value: null}]);
+      result.body = null;
+    } else {
+      throw new HttpError(405, ERR_METHOD_NOT_ALLOWED);
+    }
+
+    if (req.headers['x-firebase-etag'] === 'true') {
+      result.headers = Object.assign({ETag: etag(tree.getAt(this.data, segments))}, result.headers);
+    }
+
+    if (params.print === 'pretty') {
+      result.pretty = true;
+    } else if (params.print === 'silent') {
+      result = {status: 204, headers: result.headers};
+    }
+
+    return result;
+  }
+
+  handleRules(req, params, body) {
+    if (this.secret && params.auth !== this.secret) {
+      throw new HttpError(401, ERR_PERMISSION_DENIED);
+    }
+
+    if (req.method === 'GET') {
+      return {raw: this.rules};
+    }
+
+    if (req.method !== 'PUT') {
+      throw new HttpError(405, ERR_METHOD_NOT_ALLOWED);
+    }
+
+    try {
+      this.$ruleset = new ruleset.Ruleset(body);
+    } catch (e) {
+      throw new HttpError(400, `${ERR_INVALID_RULES} ${e.message}`);
+    }
+
+    this.rules = body;
+
+    return {body: {status: 'ok'}};
+  }
+
+  read(segments, params) {
+    const exported = this.filter(segments, tree.getAt(this.data, segments), params);
+    const value = query.stripExport(exported);
+
+    if (params.shallow !== 'true' || !tree.isObject(value)) {
+      return params.format === 'export' ? exported : exportArrays(value);
+    }
+
+    return Object.keys(value).reduce((result, key) => {
+      result[key] = tree.isObject(value[key]) ? true : value[key];
+      return result;
+    }, {});
+  }
+
+  filter(segments, value, params) {
+    const isQuery = params.orderBy !== undefined || FILTER_PARAMS.some(name => params[name] !== undefined);
+
+    if (!isQuery) {
+      return value;
+    }
+
+    if (params.orderBy === undefined) {
+      throw new HttpError(400, ERR_NO_ORDER_BY);
+    }
+
+    if (params.shallow !== undefined) {
+      throw new HttpError(400, ERR_SHALLOW_QUERY);
+    }
+
+    const orderBy = parseParam(params, 'orderBy');
+    const startAt = parseParam(params, 'startAt');
+    const endAt = parseParam(params, 'endAt');
+    const equalTo = parseParam(params, 'equalTo');
+    const limitToFirst = parseLimit(params, 'limitToFirst');
+    const limitToLast = parseLimit(params, 'limitToLast');
+
+    if (limitToFirst !== undefined && limitToLast !== undefined) {
+      throw new HttpError(400, ERR_BOTH_LIMITS);
+    }
+
+    this.checkIndex(segments, orderBy);
+
+    if (!tree.isObject(value)) {
+      return value;
+    }
+
+    // Children are stored in export format; only priorities need it to sort.
+    const sortable = entry => (orderBy === query.PRIORITY ? entry : [entry[0], query.stripExport(entry[1])]);
+    const sortValue = orderBy === query.KEY ? null : query.sortValueOf(orderBy);
+    const compare = query.comparator(orderBy);
+    const compareTo = (entry, bound) => (
+      sortValue ? query.compareValues(sortValue(sortable(entry)[1]), bound) : query.compareKeys(entry[0], bound)
+    );
+    let entries = Object.keys(value).filter(
+      key => key !== PRIORITY_KEY && key !== VALUE_KEY
+    ).map(
+      key => [key, value[key]]
+    ).sort(
+      (a, b) => compare(sortable(a), sortable(b))
+    );
+
+    if (equalTo !== undefined) {
+      entries = entries.filter(entry => compareTo(entry, equalTo) === 0);
+    }
+
+    if (startAt !== undefined) {
+      entries = entries.filter(entry => compareTo(entry, startAt) >= 0);
+    }
+
+    if (endAt !== undefined) {
+      entries = entries.filter(entry => compareTo(entry, endAt) <= 0);
+    }
+
+    if (limitToFirst !== undefined) {
+      entries = entries.slice(0, limitToFirst);
+    }
+
+    if (limitToLast !== undefined) {
+      entries = entries.slice(-limitToLast);
+    }
+
+    return entries.reduce((result, entry) => {
+      result[entry[0]] = entry[1];
+      return result;
+    }, {});
+  }
+
+  checkIndex(segments, orderBy) {
+    if (!this.requireIndexes || orderBy === query.KEY || orderBy === query.PRIORITY) {
+      return;
+    }
+
+    const field = orderBy === query.VALUE ? '.value' : orderBy;
+
+    if (this.ruleset().indexOn(segments).indexOf(field) === -1) {
+      throw new HttpError(
+        400, `Index not defined, add ".indexOn": "${field}", for path "/${segments.join('/')}", to the rules`
+      );
+    }
+  }
+
+  checkETag(req, segments) {
+    const ifMatch = req.headers['if-match'];
+
+    if (ifMatch === undefined) {
+      return;
+    }
+
+    const current = tree.getAt(this.data, segments);
+    const currentETag = etag(current);
+
+    if (ifMatch !== currentETag) {
+      throw new HttpError(412, 'Precondition Failed', {
+        body: exportArrays(query.stripExport(current)),
+        headers: {ETag: currentETag}
+      });
+    }
+  }
+
+  /**
+   * Resolve the session of the request "auth" parameter.
+   *
+   * Without auth, the session is unauthenticated. The emulator secret, or any
+   * legacy secret when the emulator has none, grants admin access. Custom
+   * tokens are decoded (and their signature verified if the emulator has a
+   * secret); their data is the rules "auth" variable.
+   *
+   * @param  {object} params
+   * @return {{admin: boolean, debug: boolean, auth: object}}
+   */
+  authenticate(params) {
+    const token = params.auth;
+
+    if (token === undefined) {
+      return {admin: false, debug: false, auth: null};
+    }
+
+    if (token === this.secret || (!this.secret && token.split('.').length !== 3)) {
+      return {admin: true, debug: false, auth: null};
+    }
+
+    let claims;
+
+    try {
+      claims = tokens.decodeToken(token, this.secret, this.clock());
+    } catch (e) {
+      throw new HttpError(401, e.message);
+    }
+
+    return {admin: claims.admin === true, debug: claims.debug === true, auth: claims.d || null};
+  }
+
+  ruleset() {
+    if (!this.$ruleset) {
+      this.$ruleset = new ruleset.Ruleset(this.rules);
+    }
+
+    return this.$ruleset;
+  }
+
+  authorizeRead(session, segments) {
+    if (session.admin) {
+      return undefined;
+    }
+
+    return this.authorize(session, this.ruleset().read(segments, {
+      auth: session.auth,
+      now: this.clock(),
+      root: this.data
+    }));
+  }
+
+  authorizeWrite(session, segments, updates, newRoot, data) {
+    if (session.admin) {
+      return undefined;
+    }
+
+    return this.authorize(session, this.ruleset().write(segments, updates.map(update => update.segments), {
+      auth: session.auth,
+      now: this.clock(),
+      root: this.data,
+      newRoot,
+      data
+    }));
+  }
+
+  authorize(session, trace) {
+    const headers = session.debug ? {'X-Firebase-Auth-Debug': authdebug.encode(authdebug.format(trace))} : undefined;
+
+    if (!trace.allowed) {
+      throw new HttpError(401, ERR_PERMISSION_DENIED, {headers});
+    }
+
+    return headers;
+  }
+
+  /**
+   * Apply a list of updates ({segments, value}) if the session is allowed to.
+   *
+   * @param  {object} session
+   * @param  {array}  segments base path of the request
+   * @param  {array}  updates
+   * @param  {any}    [data]   request payload, for the rules debug message
+   * @return {object} response with the rules debug message header
+   */
+  write(session, segments, updates, data) {
+    const now = this.clock();
+    const newRoot = importValue(updates.reduce((root, update) => {
+      validateKeys(update.value);
+
+      return applyUpdate(root, update.segments, resolveServerValues(update.value, now));
+    }, this.data));
+    const headers = this.authorizeWrite(
+      session,
+      withoutPriority(segments),
+      updates.map(update => ({segments: withoutPriority(update.segments)})),
+      newRoot,
+      data === undefined ? updates[0].value : data
+    );
+
+    this.data = newRoot;
+    this.notify();
+
+    return {headers};
+  }
+
+  patch(session, segments, payload) {
+    if (!tree.isObject(payload)) {
+      throw new HttpError(400, ERR_INVALID_PATCH);
+    }
+
+    const updates = Object.keys(payload).map(key => ({
+      segments: segments.concat(tree.splitPath(key)),
+      value: payload[key]
+    }));
+
+    updates.forEach(a => updates.forEach(b => {
+      if (a !== b && isAncestor(a.segments, b.segments)) {
+        throw new HttpError(400, ERR_ANCESTOR_PATHS);
+      }
+    }));
+
+    const result = this.write(session, segments, updates, payload);
+
+    result.body = payload;
+
+    return result;
+  }
+
+  push(session, segments, value) {
+    const name = pushid.generatePushId(this.clock());
+    const result = this.write(session, segments, [{segments: segments.concat(name), value}]);
+
+    result.body = {name};
+
+    return result;
+  }
+
+  stream(resp, reqUrl) {
+    let segments, headers;
+
+    try {
+      segments = parsePath(reqUrl.pathname);
+      headers = this.authorizeRead(this.authenticate(reqUrl.query), segments);
+    } catch (err) {
+      sendError(resp, err);
+      return;
+    }
+
+    const stream = {segments, resp, value: undefined};
+
+    resp.writeHead(200, Object.assign({'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache'}, headers));
+    this.$streams.push(stream);
+    this.notify();
+
+    resp.on('close', () => {
+      this.$streams = this.$streams.filter(other => other !== stream);
+    });
+  }
+
+  notify() {
+    this.$streams.forEach(stream => {
+      const value = query.stripExport(tree.getAt(this.data, stream.segments));
+
+      if (stream.value === undefined || !tree.deepEqual(stream.value, value)) {
+        stream.value = value;
+        stream.resp.write(`event: put\ndata: ${JSON.stringify({path: '/', data: exportArrays(value)})}\n\n`);
+      }
+    });
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function send(resp, result) {
+  const headers = Object.assign({'Content-Type': 'application/json; charset=utf-8'}, result.headers);
+  let body;
+
+  if (result.raw !== undefined) {
+    body = result.raw;
+  } else if (result.body !== undefined) {
+    body = result.pretty ? JSON.stringify(result.body, null, 2) : JSON.stringify(result.body);
+  }
+
+  resp.writeHead(result.status || 200, headers);
+  resp.end(body);
+}
+
+function sendError(resp, err) {
+  send(resp, {
+    status: err.status || 500,
+    body: err.body || {error: err.message},
+    headers: err.headers
+  });
+}
+
+function stringify(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+}
+
+function parsePath(pathname) {
+  let segments;
+
+  try {
+    segments = keys.decodePath(pathname.replace(/\.json$/, ''));
+  } catch (e) {
+    throw new HttpError(400, ERR_INVALID_PATH);
+  }
+
+  if (!withoutPriority(segments).every(keys.isValidKey)) {
+    throw new HttpError(400, ERR_INVALID_PATH);
+  }
+
+  return segments;
+}
+
+function parseJSON(body) {
+  try {
+    return JSON.parse(body);
+  } catch (e) {
+    throw new HttpError(400, ERR_INVALID_JSON);
+  }
+}
+
+function parseParam(params, name) {
+  if (params[name] === undefined) {
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(params[name]);
+  } catch (e) {
+    throw new HttpError(400, `${ERR_INVALID_PARAM} ${name}`);
+  }
+}
+
+function parseLimit(params, name) {
+  if (params[name] === undefined) {
+    return undefined;
+  }
+
+  const limit = Number(params[name]);
+
+  if (!(limit > 0) || Math.floor(limit) !== limit) {
+    throw new HttpError(400, ERR_INVALID_LIMIT);
+  }
+
+  return limit;
+}
+
+function isAncestor(a, b) {
+  return a.length <= b.length && a.every((key, i) => key === b[i]);
+}
+
+function withoutPriority(segments) {
+  return segments[segments.length - 1] === PRIORITY_KEY ? segments.slice(0, -1) : segments;
+}
+
+/**
+ * Convert a value to the export format the data are stored in.
+ *
+ * Like tree.normalize(), it converts arrays and removes null and empty
+ * nodes; primitive values with a priority are wrapped in a ".value" node and
+ * other ".value" nodes are unwrapped.
+ *
+ * @param  {any} value
+ * @return {any}
+ */
+function importValue(value) {
+  if (!tree.isObject(value)) {
+    return value === undefined ? null : value;
+  }
+
+  const priority = value[PRIORITY_KEY] === undefined ? null : value[PRIORITY_KEY];
+
+  if (value[VALUE_KEY] !== undefined) {
+    return withPriority(importValue(value[VALUE_KEY]), priority);
+  }
+
+  const node = Object.keys(value).reduce((result, key) => {
+    const child = key === PRIORITY_KEY ? null : importValue(value[key]);
+
+    if (child !== null) {
+      result[key] = child;
+    }
+
+    return result;
+  }, {});
+
+  return withPriority(Object.keys(node).length ? node : null, priority);
+}
+
+/**
+ * Set (or remove, with a null priority) the priority of a value in export
+ * format.
+ *
+ * @param  {any}           value
+ * @param  {number|string} priority
+ * @return {any}
+ */
+function withPriority(value, priority) {
+  const current = tree.isObject(value) && value[VALUE_KEY] !== undefined ? value[VALUE_KEY] : value;
+
+  if (!tree.isObject(current)) {
+    return priority === null || current === null ? current : {[VALUE_KEY]: current, [PRIORITY_KEY]: priority};
+  }
+
+  const node = Object.assign({}, current);
+
+  if (priority === null) {
+    delete node[PRIORITY_KEY];
+  } else {
+    node[PRIORITY_KEY] = priority;
+  }
+
+  return node;
+}
+
+/**
+ * Write a value, or a priority when the path ends with ".priority".
+ */
+function applyUpdate(root, segments, value) {
+  if (segments[segments.length - 1] !== PRIORITY_KEY) {
+    return tree.setAt(root, segments, importValue(value));
+  }
+
+  const parent = segments.slice(0, -1);
+
+  return tree.setAt(root, parent, withPriority(tree.getAt(root, parent), value));
+}
+
+function validateKeys(value) {
+  if (!tree.isObject(value)) {
+    return;
+  }
+
+  Object.keys(value).forEach(key => {
+    if (SPECIAL_KEYS.indexOf(key) === -1 && !keys.isValidKey(key)) {
+      throw new HttpError(400, `${ERR_INVALID_KEY} ${JSON.stringify(key)}`);
+    }
+
+    validateKeys(value[key]);
+  });
+}
+
+/**
+ * Convert the nodes stored from arrays back to arrays, like Firebase does for
+ * nodes whose keys are all array indexes, when more than half of the indexes
+ * up to the largest one are set (missing elements are null).
+ *
+ * @param  {any} value value without priorities
+ * @return {any}
+ */
+function exportArrays(value) {
+  if (!tree.isObject(value)) {
+    return value;
+  }
+
+  const keys = Object.keys(value);
+  const node = keys.reduce((result, key) => {
+    result[key] = exportArrays(value[key]);
+    return result;
+  }, {});
+
+  if (!keys.length || !keys.every(key => ARRAY_INDEX.test(key))) {
+    return node;
+  }
+
+  const length = Math.max.apply(null, keys.map(Number)) + 1;
+
+  if (keys.length * 2 <= length) {
+    return node;
+  }
+
+  const list = [];
+
+  for (let i = 0; i < length; i++) {
+    list.push(node[i] === undefined ? null : node[i]);
+  }
+
+  return list;
+}
+
+function resolveServerValues(value, now) {
+  if (!tree.isObject(value)) {
+    return value;
+  }
+
+  if (value['.sv'] === 'timestamp') {
+    return now;
+  }
+
+  return Object.keys(value).reduce((result, key) => {
+    result[key] = resolveServerValues(value[key], now);
+    return result;
+  }, {});
+}
+
+/**
+ * ETag of a value; the hash of its JSON encoding, with sorted keys.
+ */
+function etag(value) {
+  return crypto.createHash('sha1').update(canonicalJSON(value)).digest('base64');
+}
+
+function canonicalJSON(value) {
+  if (!tree.isObject(value)) {
+    return JSON.stringify(value);
+  }
+
+  const keys = Object.keys(value).sort();
+
+  return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+}
+
+exports.Emulator = Emulator;
+exports.HttpError = HttpError;
+exports.createServer = opts => new Emulator(opts);
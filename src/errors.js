@@ -0,0 +1,348 @@
+/**
+ * Errors returned by the Firebase REST client.
+ *
+ * Request failures are RequestError instances; they share the request "url"
+ * and "method" and the response "status" (undefined for network errors):
+ *
+ *    RequestError
+ *    ├── ResponseError                (any failure status code)
+ *    │   ├── IndexNotDefinedError     (400, missing ".indexOn" rule)
+ *    │   ├── PermissionDeniedError    (401 and 403)
+ *    │   ├── NotFoundError            (404)
+ *    │   ├── PreconditionFailedError  (412)
+ *    │   ├── PayloadTooLargeError     (413)
+ *    │   ├── RateLimitedError         (429)
+ *    │   └── ServerError              (5xx)
+ *    ├── TimeoutError
+ *    ├── NetworkError
+ *    └── AbortError                   (aborted with a signal or abortAll())
+ */
+
+'use strict';
+
+const abort = require('./abort');
+const authdebug = require('./authdebug');
+const tree = require('./tree');
+
+const INDEX_NOT_DEFINED = /^Index not defined, add "\.indexOn": "([^"]*)", for path "([^"]*)"/;
+const TIMEOUT_CODES = ['ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+
+class RequestError extends Error {
+
+  constructor(opts, message, status) {
+    super(message);
+    this.name = 'RequestError';
+
+    this.url = opts.url;
+    this.method = opts.method;
+    this.status = status;
+  }
+}
+
+/**
+ * Response with a failure status code.
+ *
+ * The message is the error message of the body if any, or the status
+ * message otherwise. "authDebug" holds the rules debug message and
+ * "authTrace" the rules evaluation parsed from it (see "authdebug.parse()").
+ */
+class ResponseError extends RequestError {
+
+  constructor(opts, resp, body) {
+    super(opts, errorMessage(body) || resp.statusMessage, resp.statusCode);
+    this.name = 'ResponseError';
+
+    this.authDebug = debugMessage(resp);
+    this.authTrace = this.authDebug === undefined ? undefined : authdebug.parse(this.authDebug);
+    this.body = body;
+  }
+}
+
+/**
+ * Return the decoded rules debug message of a response (if any).
+ *
+ * @param  {http.IncomingMessage} resp
+ * @return {string|undefined}
+ */
+function debugMessage(resp) {
+  const header = resp.headers['x-firebase-auth-debug'];
+
+  return header === undefined ? undefined : authdebug.decode(header);
+}
+
+function errorMessage(body) {
+  if (body && typeof body.error === 'string') {
+    return body.error;
+  }
+
+  if (typeof body !== 'string') {
+    return undefined;
+  }
+
+  try {
+    return errorMessage(JSON.parse(body));
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Rejection of a query ordered by a child (or by value) without index.
+ *
+ * "path" and "field" hold the location and the field the ".indexOn" rule
+ * should be set to (".value" for queries ordered by value).
+ */
+class IndexNotDefinedError extends ResponseError {
+
+  constructor(opts, resp, body, match) {
+    super(opts, resp, body);
+    this.name = 'IndexNotDefinedError';
+
+    this.field = match[1];
+    this.path = match[2];
+  }
+}
+
+/**
+ * Rejection by the security rules (or of an invalid auth token).
+ *
+ * With a debug token, the message explains which rules denied the
+ * operation.
+ */
+class PermissionDeniedError extends ResponseError {
+
+  constructor(opts, resp, body) {
+    super(opts, resp, body);
+    this.name = 'PermissionDeniedError';
+
+    if (this.authDebug) {
+      this.message = `${this.message}\n${this.authDebug}`;
+    }
+  }
+}
+
+class NotFoundError extends ResponseError {
+
+  constructor(opts, resp, body) {
+    super(opts, resp, body);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * Rejection of a conditional request ("if-match" header).
+ *
+ * "value" and "etag" hold the current location value and ETag.
+ */
+class PreconditionFailedError extends ResponseError {
+
+  constructor(opts, resp, body) {
+    super(opts, resp, body);
+    this.name = 'PreconditionFailedError';
+
+    this.value = body;
+    this.etag = resp.headers.etag;
+  }
+}
+
+class PayloadTooLargeError extends ResponseError {
+
+  constructor(opts, resp, body) {
+    super(opts, resp, body);
+    this.name = 'PayloadTooLargeError';
+  }
+}
+
+/**
+ * Rejection of a rate limited request.
+ *
+ * "retryAfter" holds the delay (in s) of the "retry-after" header, if any.
+ */
+class RateLimitedError extends ResponseError {
+
+  constructor(opts, resp, body) {
+    super(opts, resp, body);
+    this.name = 'RateLimitedError';
+
+    const retryAfter = parseInt(resp.headers['retry-after'], 10);
+
+    this.retryAfter = isNaN(retryAfter) ? undefined : retryAfter;
+  }
+}
+
+class ServerError extends ResponseError {
+
+  constructor(opts, resp, body) {
+    super(opts, resp, body);
+    this.name = 'ServerError';
+  }
+}
+
+/**
+ * Request which timed out; "code" holds the original error code.
+ */
+class TimeoutError extends RequestError {
+
+  constructor(opts, err) {
+    super(opts, `Request timed out after ${opts.timeout}ms.`);
+    this.name = 'TimeoutError';
+
+    this.code = err.code;
+    this.cause = err;
+  }
+}
+
+/**
+ * Request which failed before a response was received; "code" holds the
+ * original error code (e.g. "ECONNREFUSED").
+ */
+class NetworkError extends RequestError {
+
+  constructor(opts, err) {
+    super(opts, err.message);
+    this.name = 'NetworkError';
+
+    this.code = err.code;
+    this.cause = err;
+  }
+}
+
+/**
+ * Request aborted by its "signal" option or by the client factory
+ * abortAll() method; "code" is "ABORT_ERR".
+ */
+class AbortError extends RequestError {
+
+  constructor(opts, err) {
+    super(opts, 'The request was aborted.');
+    this.name = 'AbortError';
+
+    this.code = abort.ABORT_CODE;
+    this.cause = err;
+  }
+}
+
+/**
+ * Wait for a location value which timed out (see `ref.waitFor()`).
+ *
+ * "value" holds the last value seen (undefined if none was received); with
+ * an expected value, "expected" holds it and "diff" the changes from the last
+ * value to it (see "tree.js").
+ */
+class WaitTimeoutError extends Error {
+
+  constructor(opts) {
+    const details = opts.diff ? tree.formatDiff(opts.diff) : `Last value: ${JSON.stringify(opts.value)}`;
+
+    super(`Timed out after ${opts.timeout}ms waiting for ${opts.path}.\n${details}`);
+    this.name = 'WaitTimeoutError';
+
+    this.path = opts.path;
+    this.timeout = opts.timeout;
+    this.value = opts.value;
+    this.expected = opts.expected;
+    this.diff = opts.diff;
+  }
+}
+
+/**
+ * Failure of a scenario step (see "scenario.js").
+ *
+ * "user" and "step" identify the step, "cause" holds its error, "seed" (for
+ * random interleavings) and "order" the interleaving to run again, and
+ * "results" and "timeline" what the users did until then.
+ */
+class ScenarioError extends Error {
+
+  constructor(run, user, step, err) {
+    const replay = run.seed === undefined ? `order: ${run.order.join(', ')}` : `seed: ${run.seed}`;
+
+    super(`Step ${step} of "${user}" failed (${replay}): ${err && err.message}`);
+    this.name = 'ScenarioError';
+
+    this.user = user;
+    this.step = step;
+    this.seed = run.seed;
+    this.order = run.order;
+    this.results = run.results;
+    this.timeline = run.timeline;
+    this.cause = err;
+  }
+}
+
+class CancelError extends Error {
+
+  constructor(type, reason) {
+    super(`Listener cancelled by Firebase (${type}).`);
+    this.name = 'CancelError';
+
+    this.type = type;
+    this.reason = reason;
+  }
+}
+
+const STATUS_ERRORS = {
+  401: PermissionDeniedError,
+  403: PermissionDeniedError,
+  404: NotFoundError,
+  412: PreconditionFailedError,
+  413: PayloadTooLargeError,
+  429: RateLimitedError
+};
+
+/**
+ * Create the error for a response with a failure status code.
+ *
+ * @param  {object}               opts request options
+ * @param  {http.IncomingMessage} resp
+ * @param  {any}                  body
+ * @return {ResponseError}
+ */
+function fromResponse(opts, resp, body) {
+  const status = resp.statusCode;
+  const match = status === 400 && INDEX_NOT_DEFINED.exec(errorMessage(body) || '');
+  const ErrorClass = STATUS_ERRORS[status] || (status >= 500 ? ServerError : ResponseError);
+  const err = match ? new IndexNotDefinedError(opts, resp, body, match) : new ErrorClass(opts, resp, body);
+
+  return err;
+}
+
+/**
+ * Wrap an error of a request which failed before a response was received.
+ *
+ * @param  {object} opts request options
+ * @param  {Error}  err
+ * @return {TimeoutError|NetworkError|AbortError}
+ */
+function fromRequestError(opts, err) {
+  let wrapped;
+
+  if (err.code === abort.ABORT_CODE) {
+    wrapped = new AbortError(opts, err);
+  } else if (TIMEOUT_CODES.indexOf(err.code) > -1) {
+    wrapped = new TimeoutError(opts, err);
+  } else {
+    wrapped = new NetworkError(opts, err);
+  }
+
+  return wrapped;
+}
+
+exports.RequestError = RequestError;
+exports.ResponseError = ResponseError;
+exports.IndexNotDefinedError = IndexNotDefinedError;
+exports.PermissionDeniedError = PermissionDeniedError;
+exports.NotFoundError = NotFoundError;
+exports.PreconditionFailedError = PreconditionFailedError;
+exports.PayloadTooLargeError = PayloadTooLargeError;
+exports.RateLimitedError = RateLimitedError;
+exports.ServerError = ServerError;
+exports.TimeoutError = TimeoutError;
+exports.NetworkError = NetworkError;
+exports.AbortError = AbortError;
+exports.WaitTimeoutError = WaitTimeoutError;
+exports.ScenarioError = ScenarioError;
+exports.CancelError = CancelError;
+exports.debugMessage = debugMessage;
+exports.fromResponse = fromResponse;
+exports.fromRequestError = fromRequestError;
@@ -0,0 +1,326 @@
+/**
+ * Firebase REST streaming.
+ *
+ * See https://www.firebase.com/docs/rest/api/#section-streaming
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const request = require('request');
+const StringDecoder = require('string_decoder').StringDecoder;
+const credentials = require('./credentials');
+const errors = require('./errors');
+const tree = require('./tree');
+
+const RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 30000;
+const STREAM_EVENTS = ['put', 'patch', 'keep-alive', 'cancel', 'auth_revoked'];
+const EVENT_TYPES = ['value', 'child_added', 'child_changed', 'child_removed'];
+const ERR_INVALID_EVENT_TYPE = 'Invalid event type.';
+
+const children = tree.children;
+const deepEqual = tree.deepEqual;
+const setAt = tree.setAt;
+const splitPath = tree.splitPath;
+
+/**
+ * Connection to a Firebase location event stream.
+ *
+ * Emits the "put", "patch", "keep-alive", "cancel" and "auth_revoked" events
+ * with their parsed data. The connection is reopened when it drops, until the
+ * stream is closed or cancelled by Firebase.
+ */
+class EventStream extends EventEmitter {
+
+  constructor(opts) {
+    super();
+    this.url = opts.url;
+    this.qs = opts.qs;
+    this.$accessToken = opts.accessToken;
+    this.reconnectDelay = opts.reconnectDelay || RECONNECT_DELAY;
+    this.closed = true;
+    this.$logger = opts.logger || console;
+    this.$req = undefined;
+    this.$timer = undefined;
+    this.$delay = this.reconnectDelay;
+    this.$buffer = '';
+  }
+
+  open() {
+    if (this.closed) {
+      this.closed = false;
+      this.connect();
+    }
+  }
+
+  close() {
+    this.closed = true;
+    clearTimeout(this.$timer);
+
+    if (this.$req) {
+      this.$req.abort();
+      this.$req = undefined;
+    }
+  }
+
+  connect() {
+    if (!this.$accessToken) {
+      this.$connect(this.qs);
+      return;
+    }
+
+    // The token might have been refreshed since the last connection.
+    this.$accessToken().then(accessToken => {
+      if (!this.closed && !this.$req) {
+        this.$connect(accessToken ? Object.assign({}, this.qs, {[credentials.PARAM]: accessToken}) : this.qs);
+      }
+    }, () => this.reconnect());
+  }
+
+  $connect(qs) {
+    const opts = {
+      url: this.url,
+      method: 'GET',
+      qs,
+      headers: {Accept: 'text/event-stream'}
+    };
+    const req = request(opts);
+    // Multibyte characters can be split between chunks.
+    const decoder = new StringDecoder('utf8');
+    let failure;
+
+    this.$req = req;
+    this.$buffer = '';
+
+    req.on('response', resp => {
+      const debugMessage = errors.debugMessage(resp);
+
+      if (debugMessage) {
+        this.$logger.warn(debugMessage);
+      }
+
+      if (resp.statusCode >= 300) {
+        failure = {resp, body: ''};
+        return;
+      }
+
+      this.$delay = this.reconnectDelay;
+    });
+
+    req.on('data', chunk => {
+      if (failure) {
+        failure.body += decoder.write(chunk);
+      } else {
+        this.parse(decoder.write(chunk));
+      }
+    });
+
+    req.on('end', () => {
+      if (req !== this.$req) {
+        return;
+      }
+
+      if (failure) {
+        this.cancel(errors.fromResponse(opts, failure.resp, parseData(failure.body)));
+      } else {
+        this.reconnect();
+      }
+    });
+
+    req.on('error', () => {
+      if (req === this.$req) {
+        this.reconnect();
+      }
+    });
+  }
+
+  reconnect() {
+    this.$req = undefined;
+
+    if (this.closed) {
+      return;
+    }
+
+    this.$timer = setTimeout(() => this.connect(), this.$delay);
+    this.$delay = Math.min(this.$delay * 2, MAX_RECONNECT_DELAY);
+  }
+
+  cancel(err) {
+    this.close();
+    this.emit('cancel', err);
+  }
+
+  parse(chunk) {
+    const blocks = (this.$buffer + chunk).replace(/\r\n?/g, '\n').split('\n\n');
+
+    this.$buffer = blocks.pop();
+    blocks.forEach(block => this.dispatch(block));
+  }
+
+  dispatch(block) {
+    const data = [];
+    let event;
+
+    block.split('\n').forEach(line => {
+      const sep = line.indexOf(':');
+      const field = sep < 0 ? line : line.slice(0, sep);
+      const value = sep < 0 ? '' : line.slice(sep + 1).replace(/^ /, '');
+
+      if (field === 'event') {
+        event = value;
+      } else if (field === 'data') {
+        data.push(value);
+      }
+    });
+
+    if (STREAM_EVENTS.indexOf(event) === -1) {
+      return;
+    }
+
+    const payload = parseData(data.join('\n'));
+
+    if (event === 'cancel' || event === 'auth_revoked') {
+      this.cancel(new errors.CancelError(event, payload));
+    } else {
+      this.emit(event, payload);
+    }
+  }
+}
+
+/**
+ * Keep a local copy of a location updated by an event stream and dispatch
+ * its changes to "value", "child_added", "child_changed" and "child_removed"
+ * callbacks.
+ */
+class Subscription {
+
+  constructor(stream) {
+    this.stream = stream;
+    this.value = null;
+    this.loaded = false;
+    this.listeners = [];
+
+    stream.on('put', data => this.update(
+      setAt(this.value, splitPath(data.path), data.data)
+    ));
+
+    stream.on('patch', data => this.update(
+      Object.keys(data.data || {}).reduce(
+        (tree, key) => setAt(tree, splitPath(data.path).concat(splitPath(key)), data.data[key]),
+        this.value
+      )
+    ));
+
+    stream.on('cancel', err => this.cancel(err));
+  }
+
+  isEmpty() {
+    return this.listeners.length === 0;
+  }
+
+  add(eventType, callback, cancelCallback) {
+    if (EVENT_TYPES.indexOf(eventType) === -1) {
+      throw new Error(ERR_INVALID_EVENT_TYPE);
+    }
+
+    const listener = {eventType, callback, cancelCallback};
+
+    this.listeners.push(listener);
+
+    if (this.loaded) {
+      replay(listener, this.value);
+    }
+
+    this.stream.open();
+  }
+
+  remove(eventType, callback) {
+    this.listeners = this.listeners.filter(listener => (
+      (eventType && listener.eventType !== eventType) ||
+      (callback && listener.callback !== callback)
+    ));
+
+    if (this.isEmpty()) {
+      this.stream.close();
+      this.reset();
+    }
+  }
+
+  reset() {
+    this.value = null;
+    this.loaded = false;
+  }
+
+  update(value) {
+    const prev = this.value;
+    const listeners = this.listeners.slice();
+
+    this.value = value;
+
+    if (!this.loaded) {
+      this.loaded = true;
+      listeners.forEach(listener => replay(listener, value));
+      return;
+    }
+
+    const prevChildren = children(prev);
+    const nextChildren = children(value);
+
+    Object.keys(prevChildren).filter(key => !(key in nextChildren)).forEach(
+      key => notify(listeners, 'child_removed', prevChildren[key], key)
+    );
+
+    Object.keys(nextChildren).forEach(key => {
+      if (!(key in prevChildren)) {
+        notify(listeners, 'child_added', nextChildren[key], key);
+      } else if (!deepEqual(prevChildren[key], nextChildren[key])) {
+        notify(listeners, 'child_changed', nextChildren[key], key);
+      }
+    });
+
+    if (!deepEqual(prev, value)) {
+      notify(listeners, 'value', value);
+    }
+  }
+
+  cancel(err) {
+    const listeners = this.listeners;
+
+    this.listeners = [];
+    this.reset();
+    listeners.filter(listener => listener.cancelCallback).forEach(
+      listener => listener.cancelCallback(err)
+    );
+  }
+}
+
+function replay(listener, value) {
+  if (listener.eventType === 'value') {
+    listener.callback(value);
+    return;
+  }
+
+  if (listener.eventType === 'child_added') {
+    const nodes = children(value);
+
+    Object.keys(nodes).forEach(key => listener.callback(nodes[key], key));
+  }
+}
+
+function notify(listeners, eventType, value, key) {
+  listeners.filter(listener => listener.eventType === eventType).forEach(
+    listener => listener.callback(value, key)
+  );
+}
+
+function parseData(data) {
+  try {
+    return JSON.parse(data);
+  } catch (e) {
+    return data;
+  }
+}
+
+exports.EventStream = EventStream;
+exports.Subscription = Subscription;
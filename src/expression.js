@@ -0,0 +1,517 @@
+/**
+ * Firebase security rule expressions.
+ *
+ * Parse and evaluate the javascript-like expressions of ".read", ".write" and
+ * ".validate" rules.
+ *
+ * See https://www.firebase.com/docs/security/api/
+ */
+
+'use strict';
+
+const PUNCTUATORS = [
+  '===', '!==', '==', '!=', '<=', '>=', '&&', '||',
+  '<', '>', '+', '-', '*', '/', '%', '!', '(', ')', '[', ']', '.', ',', '?', ':'
+];
+const BINARY_PRECEDENCE = {
+  '||': 1,
+  '&&': 2,
+  '==': 3, '!=': 3, '===': 3, '!==': 3,
+  '<': 4, '>': 4, '<=': 4, '>=': 4,
+  '+': 5, '-': 5,
+  '*': 6, '/': 6, '%': 6
+};
+const LITERALS = {'true': true, 'false': false, 'null': null};
+const STRING_ESCAPES = {n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0'};
+
+const ERR_UNEXPECTED_END = 'Unexpected end of expression.';
+const ERR_UNEXPECTED_TOKEN = 'Unexpected token';
+const ERR_UNTERMINATED_STRING = 'Unterminated string.';
+const ERR_UNTERMINATED_REGEXP = 'Unterminated regular expression.';
+const ERR_UNKNOWN_VARIABLE = 'Unknown variable';
+const ERR_NULL_PROPERTY = 'Cannot read a property of null';
+const ERR_NO_METHOD = 'No such method';
+const ERR_TYPE = 'Type error:';
+
+class ExpressionError extends Error {
+
+  constructor(message) {
+    super(message);
+    this.name = 'ExpressionError';
+  }
+}
+
+/**
+ * Split an expression into tokens.
+ *
+ * @param  {string} source
+ * @return {array}
+ */
+function tokenize(source) {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < source.length) {
+    const c = source[pos];
+    const prev = tokens[tokens.length - 1];
+
+    if (/\s/.test(c)) {
+      pos += 1;
+    } else if (/[0-9]/.test(c) || (c === '.' && /[0-9]/.test(source[pos + 1] || ''))) {
+      const match = /^(\d*\.?\d+(?:[eE][-+]?\d+)?|\d+\.)/.exec(source.slice(pos));
+
+      tokens.push({type: 'literal', value: parseFloat(match[0])});
+      pos += match[0].length;
+    } else if (/[a-zA-Z_$]/.test(c)) {
+      const name = /^[\w$]+/.exec(source.slice(pos))[0];
+
+      tokens.push(name in LITERALS ? {type: 'literal', value: LITERALS[name]} : {type: 'name', value: name});
+      pos += name.length;
+    } else if (c === '"' || c === '\'') {
+      const result = readString(source, pos);
+
+      tokens.push({type: 'literal', value: result.value});
+      pos = result.end;
+    } else if (c === '/' && regexpAllowed(prev)) {
+      const result = readRegExp(source, pos);
+
+      tokens.push({type: 'literal', value: result.value});
+      pos = result.end;
+    } else {
+      const punctuator = PUNCTUATORS.find(p => source.startsWith(p, pos));
+
+      if (!punctuator) {
+        throw new ExpressionError(`${ERR_UNEXPECTED_TOKEN} "${c}".`);
+      }
+
+      tokens.push({type: 'punctuator', value: punctuator});
+      pos += punctuator.length;
+    }
+  }
+
+  return tokens;
+}
+
+function regexpAllowed(prev) {
+  return !prev || (prev.type === 'punctuator' && [')', ']'].indexOf(prev.value) === -1);
+}
+
+function readString(source, start) {
+  const quote = source[start];
+  let value = '';
+  let pos = start + 1;
+
+  while (pos < source.length && source[pos] !== quote) {
+    if (source[pos] === '\\') {
+      const next = source[pos + 1];
+
+      value += next in STRING_ESCAPES ? STRING_ESCAPES[next] : next;
+      pos += 2;
+    } else {
+      value += source[pos];
+      pos += 1;
+    }
+  }
+
+  if (pos >= source.length) {
+    throw new ExpressionError(ERR_UNTERMINATED_STRING);
+  }
+
+  return {value, end: pos + 1};
+}
+
+function readRegExp(source, start) {
+  let pos = start + 1;
+  let inClass = false;
+
+  while (pos < source.length && (source[pos] !== '/' || inClass)) {
+    if (source[pos] === '\\') {
+      pos += 1;
+    } else if (source[pos] === '[') {
+      inClass = true;
+    } else if (source[pos] === ']') {
+      inClass = false;
+    }
+
+    pos += 1;
+  }
+
+  if (pos >= source.length) {
+    throw new ExpressionError(ERR_UNTERMINATED_REGEXP);
+  }
+
+  const flags = /^[a-z]*/.exec(source.slice(pos + 1))[0];
+
+  return {
+    value: new RegExp(source.slice(start + 1, pos), flags),
+    end: pos + 1 + flags.length
+  };
+}
+
+/**
+ * Recursive descent parser building an expression AST.
+ */
+class Parser {
+
+  constructor(source) {
+    this.tokens = tokenize(source);
+    this.pos = 0;
+  }
+
+  parse() {
+    const node = this.conditional();
+
+    if (this.pos < this.tokens.length) {
+      this.unexpected();
+    }
+
+    return node;
+  }
+
+  peek(value) {
+    const token = this.tokens[this.pos];
+
+    return token !== undefined && token.type === 'punctuator' && token.value === value;
+  }
+
+  next() {
+    const token = this.tokens[this.pos];
+
+    if (token === undefined) {
+      throw new ExpressionError(ERR_UNEXPECTED_END);
+    }
+
+    this.pos += 1;
+
+    return token;
+  }
+
+  expect(value) {
+    if (!this.peek(value)) {
+      this.unexpected();
+    }
+
+    this.pos += 1;
+  }
+
+  unexpected() {
+    const token = this.next();
+
+    throw new ExpressionError(`${ERR_UNEXPECTED_TOKEN} "${token.value}".`);
+  }
+
+  conditional() {
+    const test = this.binary(1);
+
+    if (!this.peek('?')) {
+      return test;
+    }
+
+    this.pos += 1;
+
+    const consequent = this.conditional();
+
+    this.expect(':');
+
+    return {type: 'conditional', test, consequent, alternate: this.conditional()};
+  }
+
+  binary(minPrecedence) {
+    let left = this.unary();
+
+    for (;;) {
+      const token = this.tokens[this.pos];
+      const precedence = token && token.type === 'punctuator' ? BINARY_PRECEDENCE[token.value] : undefined;
+
+      if (precedence === undefined || precedence < minPrecedence) {
+        return left;
+      }
+
+      this.pos += 1;
+      left = {type: 'binary', op: token.value, left, right: this.binary(precedence + 1)};
+    }
+  }
+
+  unary() {
+    if (this.peek('!') || this.peek('-')) {
+      const op = this.next().value;
+
+      return {type: 'unary', op, arg: this.unary()};
+    }
+
+    return this.postfix(this.primary());
+  }
+
+  primary() {
+    const token = this.next();
+
+    if (token.type === 'literal') {
+      return {type: 'literal', value: token.value};
+    }
+
+    if (token.type === 'name') {
+      return {type: 'name', name: token.value};
+    }
+
+    if (token.value === '(') {
+      const node = this.conditional();
+
+      this.expect(')');
+
+      return node;
+    }
+
+    if (token.value === '[') {
+      const elements = this.list(']');
+
+      return {type: 'array', elements};
+    }
+
+    throw new ExpressionError(`${ERR_UNEXPECTED_TOKEN} "${token.value}".`);
+  }
+
+  postfix(node) {
+    for (;;) {
+      if (this.peek('.')) {
+        this.pos += 1;
+
+        const token = this.next();
+
+        if (token.type !== 'name') {
+          throw new ExpressionError(`${ERR_UNEXPECTED_TOKEN} "${token.value}".`);
+        }
+
+        node = {type: 'member', object: node, property: {type: 'literal', value: token.value}};
+      } else if (this.peek('[')) {
+        this.pos += 1;
+
+        const property = this.conditional();
+
+        this.expect(']');
+        node = {type: 'member', object: node, property};
+      } else if (this.peek('(')) {
+        this.pos += 1;
+        node = {type: 'call', callee: node, args: this.list(')')};
+      } else {
+        return node;
+      }
+    }
+  }
+
+  list(end) {
+    const items = [];
+
+    while (!this.peek(end)) {
+      items.push(this.conditional());
+
+      if (!this.peek(end)) {
+        this.expect(',');
+      }
+    }
+
+    this.pos += 1;
+
+    return items;
+  }
+}
+
+/**
+ * Parse a rule expression.
+ *
+ * @param  {string} source
+ * @return {object} AST
+ */
+function parse(source) {
+  return new Parser(source).parse();
+}
+
+/**
+ * Evaluate a parsed expression.
+ *
+ * "scope" maps variable names ("auth", "now", "root", "data", "newData" and
+ * "$" variables) to their value. Snapshot objects should expose the methods
+ * rules can call in a "ruleMethods" list.
+ *
+ * @param  {object} node
+ * @param  {object} scope
+ * @return {any}
+ */
+function evaluate(node, scope) {
+  switch (node.type) {
+  case 'literal':
+    return node.value;
+  case 'array':
+    return node.elements.map(element => evaluate(element, scope));
+  case 'name':
+    if (!scope.hasOwnProperty(node.name)) {
+      throw new ExpressionError(`${ERR_UNKNOWN_VARIABLE} "${node.name}".`);
+    }
+
+    return scope[node.name];
+  case 'member':
+    return property(evaluate(node.object, scope), evaluate(node.property, scope));
+  case 'call':
+    return call(node, scope);
+  case 'unary':
+    return unary(node.op, evaluate(node.arg, scope));
+  case 'binary':
+    return binary(node, scope);
+  case 'conditional':
+    return assertBoolean(evaluate(node.test, scope), '?') ?
+      evaluate(node.consequent, scope) :
+      evaluate(node.alternate, scope);
+  default:
+    throw new ExpressionError(`${ERR_UNEXPECTED_TOKEN} "${node.type}".`);
+  }
+}
+
+function property(object, name) {
+  if (object === null || object === undefined) {
+    throw new ExpressionError(`${ERR_NULL_PROPERTY} ("${name}").`);
+  }
+
+  if (typeof object === 'string') {
+    if (name === 'length') {
+      return object.length;
+    }
+
+    throw new ExpressionError(`${ERR_NO_METHOD} "${name}".`);
+  }
+
+  if (typeof object !== 'object' || object.ruleMethods) {
+    throw new ExpressionError(`${ERR_NO_METHOD} "${name}".`);
+  }
+
+  return object.hasOwnProperty(name) ? object[name] : null;
+}
+
+const STRING_METHODS = {
+  contains: (str, sub) => str.indexOf(assertString(sub, 'contains')) > -1,
+  beginsWith: (str, sub) => str.startsWith(assertString(sub, 'beginsWith')),
+  endsWith: (str, sub) => str.endsWith(assertString(sub, 'endsWith')),
+  replace: (str, sub, replacement) => str.split(assertString(sub, 'replace')).join(
+    assertString(replacement, 'replace')
+  ),
+  toLowerCase: str => str.toLowerCase(),
+  toUpperCase: str => str.toUpperCase(),
+  matches: (str, re) => {
+    if (!(re instanceof RegExp)) {
+      throw new ExpressionError(`${ERR_TYPE} matches() requires a regular expression.`);
+    }
+
+    return re.test(str);
+  }
+};
+
+function call(node, scope) {
+  if (node.callee.type !== 'member') {
+    throw new ExpressionError(`${ERR_NO_METHOD}.`);
+  }
+
+  const object = evaluate(node.callee.object, scope);
+  const name = evaluate(node.callee.property, scope);
+  const args = node.args.map(arg => evaluate(arg, scope));
+
+  if (typeof object === 'string' && STRING_METHODS.hasOwnProperty(name)) {
+    return STRING_METHODS[name].apply(null, [object].concat(args));
+  }
+
+  if (object && object.ruleMethods && object.ruleMethods.indexOf(name) > -1) {
+    return object[name].apply(object, args);
+  }
+
+  throw new ExpressionError(`${ERR_NO_METHOD} "${name}".`);
+}
+
+function unary(op, value) {
+  if (op === '!') {
+    return !assertBoolean(value, op);
+  }
+
+  return -assertNumber(value, op);
+}
+
+function binary(node, scope) {
+  const op = node.op;
+  const left = evaluate(node.left, scope);
+
+  if (op === '&&') {
+    return assertBoolean(left, op) && assertBoolean(evaluate(node.right, scope), op);
+  }
+
+  if (op === '||') {
+    return assertBoolean(left, op) || assertBoolean(evaluate(node.right, scope), op);
+  }
+
+  const right = evaluate(node.right, scope);
+
+  switch (op) {
+  case '==':
+  case '===':
+    return left === right;
+  case '!=':
+  case '!==':
+    return left !== right;
+  case '<':
+    return assertComparable(left, right, op) && left < right;
+  case '>':
+    return assertComparable(left, right, op) && left > right;
+  case '<=':
+    return assertComparable(left, right, op) && left <= right;
+  case '>=':
+    return assertComparable(left, right, op) && left >= right;
+  case '+':
+    if (typeof left === 'string' || typeof right === 'string') {
+      return `${left}${right}`;
+    }
+
+    return assertNumber(left, op) + assertNumber(right, op);
+  case '-':
+    return assertNumber(left, op) - assertNumber(right, op);
+  case '*':
+    return assertNumber(left, op) * assertNumber(right, op);
+  case '/':
+    return assertNumber(left, op) / assertNumber(right, op);
+  default:
+    return assertNumber(left, op) % assertNumber(right, op);
+  }
+}
+
+function assertBoolean(value, op) {
+  if (typeof value !== 'boolean') {
+    throw new ExpressionError(`${ERR_TYPE} "${op}" requires boolean operands.`);
+  }
+
+  return value;
+}
+
+function assertNumber(value, op) {
+  if (typeof value !== 'number') {
+    throw new ExpressionError(`${ERR_TYPE} "${op}" requires number operands.`);
+  }
+
+  return value;
+}
+
+function assertString(value, method) {
+  if (typeof value !== 'string') {
+    throw new ExpressionError(`${ERR_TYPE} ${method}() requires string arguments.`);
+  }
+
+  return value;
+}
+
+function assertComparable(left, right, op) {
+  const type = typeof left;
+
+  if ((type !== 'number' && type !== 'string') || typeof right !== type) {
+    throw new ExpressionError(`${ERR_TYPE} "${op}" requires two numbers or two strings.`);
+  }
+
+  return true;
+}
+
+exports.ExpressionError = ExpressionError;
+exports.tokenize = tokenize;
+exports.parse = parse;
+exports.evaluate = evaluate;
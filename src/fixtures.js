@@ -0,0 +1,214 @@
+/**
+ * E2E fixtures.
+ *
+ * Seed, reset, snapshot and restore the DB data of a test run (using the
+ * Firebase secret). The data are scoped to a random root by default, so that
+ * concurrent runs sharing a DB do not collide.
+ */
+
+'use strict';
+
+const pushid = require('./pushid');
+const tree = require('./tree');
+
+const DEFAULT_PREFIX = 'test-runs';
+
+const ERR_NO_SNAPSHOT = 'No snapshot to restore.';
+const ERR_UNSCOPED_TEARDOWN = 'Fixtures scoped to the whole DB need a snapshot (see setup()) to tear down.';
+
+class Fixtures {
+
+  /**
+   * Options:
+   *
+   * - root: path of the run data (`test-runs/<push id>` by default); an
+   *   empty string scopes the fixtures to the whole DB.
+   *
+   * @param  {function} firebase client factory, with a secret
+   * @param  {object}   [opts]
+   */
+  constructor(firebase, opts) {
+    const root = opts && opts.root !== undefined ? opts.root : `${DEFAULT_PREFIX}/${pushid.generatePushId()}`;
+
+    this.$firebase = firebase;
+    this.$snapshot = undefined;
+    this.root = tree.splitPath(root).join('/');
+  }
+
+  /**
+   * Return the path of a location relative to the run root.
+   *
+   * @param  {string|array} [paths]
+   * @return {string}
+   */
+  path(paths) {
+    return tree.splitPath(this.root).concat(
+      tree.splitPath([].concat(paths || '').join('/'))
+    ).join('/');
+  }
+
+  /**
+   * Return a reference to a location relative to the run root,
+   * authenticated with the Firebase secret.
+   *
+   * @param  {string|array} [paths]
+   * @return {Request}
+   */
+  ref(paths) {
+    return this.$firebase.admin({paths: this.path(paths)});
+  }
+
+  /**
+   * Create a client factory bound to a user auth token (see
+   * `restFirebase.asUser()`) whose paths are relative to the run root.
+   *
+   * Usage:
+   *
+   *    const alice = fixtures.asUser('alice');
+   *    const ref = alice({paths: 'users/alice'});
+   *
+   * @param  {string}   uid
+   * @param  {object}   [claims]
+   * @param  {object}   [opts]
+   * @return {function}
+   */
+  asUser(uid, claims, opts) {
+    const user = this.$firebase.asUser(uid, claims, opts);
+
+    const scoped = refOpts => user(
+      Object.assign({}, refOpts, {paths: this.path(refOpts && refOpts.paths)})
+    );
+
+    scoped.uid = user.uid;
+    scoped.auth = user.auth;
+
+    return scoped;
+  }
+
+  /**
+   * Seed the run root with a value or a JSON file (see `Request.import()`).
+   *
+   * The value is merged with the current one.
+   *
+   * @param  {object|string} source value or path of a JSON file
+   * @param  {object}        [opts] import options
+   * @return {Promise<object,Error>} resolves with the number of written updates and bytes
+   */
+  load(source, opts) {
+    return this.$admin().then(ref => ref.import(source, opts));
+  }
+
+  /**
+   * Remove locations relative to the run root, or the whole run data.
+   *
+   * @param  {string|array} [paths]
+   * @return {Promise<void,Error>}
+   */
+  reset(paths) {
+    const list = [].concat(paths || []);
+
+    return this.$admin().then(ref => {
+      if (list.length === 0) {
+        return ref.remove();
+      }
+
+      return ref.update(list.reduce((payload, path) => {
+        payload[tree.splitPath(path).join('/')] = null;
+        return payload;
+      }, {}));
+    }).then(() => undefined);
+  }
+
+  /**
+   * Save the run data, to restore them later.
+   *
+   * @return {Promise<any,Error>} resolves with the saved data
+   */
+  snapshot() {
+    return this.$admin().then(ref => ref.export()).then(value => {
+      this.$snapshot = value;
+      return value;
+    });
+  }
+
+  /**
+   * Restore the run data saved by the last snapshot.
+   *
+   * @return {Promise<void,Error>}
+   */
+  restore() {
+    if (this.$snapshot === undefined) {
+      return Promise.reject(new Error(ERR_NO_SNAPSHOT));
+    }
+
+    return this.$admin().then(ref => ref.set(this.$snapshot)).then(() => undefined);
+  }
+
+  /**
+   * Prepare the run data: remove them and seed the run root.
+   *
+   * When the fixtures are scoped to the whole DB, the data are saved first
+   * and restored by teardown().
+   *
+   * @param  {object|string} [source] value or path of a JSON file
+   * @return {Promise<void,Error>}
+   */
+  setup(source) {
+    const saved = this.root ? Promise.resolve() : this.snapshot();
+
+    return saved.then(
+      () => this.reset()
+    ).then(
+      () => (source === undefined ? undefined : this.load(source))
+    ).then(
+      () => undefined
+    );
+  }
+
+  /**
+   * Remove the run data (or restore the DB data saved by setup()).
+   *
+   * Fixtures scoped to the whole DB reject without snapshot, rather than
+   * removing the whole DB.
+   *
+   * @return {Promise<void,Error>}
+   */
+  teardown() {
+    if (this.root) {
+      return this.reset();
+    }
+
+    if (this.$snapshot === undefined) {
+      return Promise.reject(new Error(ERR_UNSCOPED_TEARDOWN));
+    }
+
+    return this.restore();
+  }
+
+  /**
+   * Return before/after hooks calling setup() and teardown(), for mocha or
+   * jest.
+   *
+   * Usage:
+   *
+   *    const hooks = fixtures.hooks('tests/fixtures.json');
+   *
+   *    before(hooks.before);
+   *    after(hooks.after);
+   *
+   * @param  {object|string} [source] value or path of a JSON file
+   * @return {object}
+   */
+  hooks(source) {
+    return {
+      before: () => this.setup(source),
+      after: () => this.teardown()
+    };
+  }
+
+  $admin() {
+    return new Promise(resolve => resolve(this.ref()));
+  }
+}
+
+exports.Fixtures = Fixtures;
@@ -4,28 +4,46 @@
 
 'use strict';
 
-const request = require('request');
+const querystring = require('querystring');
+const abort = require('./abort');
+const cassette = require('./cassette');
+const credentials = require('./credentials');
+const errors = require('./errors');
+const eventstream = require('./eventstream');
+const interceptors = require('./interceptors');
+const keys = require('./keys');
+const pushid = require('./pushid');
+const retry = require('./retry');
+const transfer = require('./transfer');
+const transport = require('./transport');
+const tree = require('./tree');
+const wait = require('./wait');
+const Batch = require('./batch').Batch;
+const Fixtures = require('./fixtures').Fixtures;
+const Indexes = require('./indexes').Indexes;
+const Rules = require('./rules').Rules;
+const Scenario = require('./scenario').Scenario;
+const Query = require('./query').Query;
+const DataSnapshot = require('./snapshot').DataSnapshot;
+const token = require('./token');
 
 const TIMEOUT = 5000;
-const baseRequest = request.defaults({timeout: TIMEOUT, json: true});
 const VALID_ID = /^[-0-9a-zA-Z]{2,}$/;
-const VALID_URL = /^https?:\/\/[\da-z\.-]+(\:\d+)?\/?$/;
+const VALID_URL = /^(https?:\/\/[\da-z\.-]+(?:\:\d+)?)\/?(?:\?ns=([-\da-z]+))?$/;
+const VALID_REGION = /^[a-z]+-[a-z]+\d+$/;
 const ERR_INVALID_ID = 'Invalid Firebase id.';
+const ERR_INVALID_REGION = 'Invalid Firebase region.';
 const ERR_NO_SECRET = 'A Firebase secret is required for this operation.';
-
-class ResponseError extends Error {
-
-  constructor(opts, resp, body) {
-    super(resp.statusMessage);
-    this.name = 'ResponseError';
-
-    this.url = opts.url;
-    this.method = opts.method;
-    this.status = resp.statusCode;
-    this.authDebug = resp.headers['x-firebase-auth-debug'];
-    this.body = body;
-  }
-}
+const ERR_MAX_RETRIES = 'The transaction was aborted after too many retries.';
+const ERR_INVALID_PRIORITY = 'A priority should be null, a number or a string.';
+const ERR_ONCE_EVENT_TYPE = 'Only "value" events are supported by once().';
+const ERR_STREAM_REPLAY = 'Event streams are not recorded and cannot be opened in replay mode.';
+const TRANSACTION_MAX_RETRIES = 25;
+const REQUEST_OPTIONS = ['etag', 'ifMatch', 'retry', 'signal', 'deadline'];
+const PRIORITY_KEY = '.priority';
+const PATH_SUFFIX = /\/?\.json$|\/$/;
+const JSON_CODEC = {encode: value => JSON.stringify(value), decode: text => parseBody(text)};
+const TEXT_CODEC = {encode: value => value, decode: text => text};
 
 class Request {
 
@@ -33,93 +51,558 @@ class Request {
     this.rootPath = trimPath(opts.rootPath);
     this.url = opts.url;
     this.auth = opts.auth;
+    this.namespace = opts.namespace;
+    this.reconnectDelay = opts.reconnectDelay;
+    this.timeout = opts.timeout === undefined ? TIMEOUT : opts.timeout;
+    this.retry = opts.retry;
+    this.query = opts.query;
     this.$logger = opts.logger || console;
+    this.$transport = opts.transport || transport.getDefaultTransport();
+    this.$interceptors = [].concat(opts.interceptors || []);
+    this.$abortGroup = opts.abortGroup;
+    this.$credentials = opts.credentials;
+    this.$subscription = undefined;
+    this.$opts = opts;
   }
 
   toString() {
     return Request.fixUrl(this.url);
   }
 
+  /**
+   * Path of the reference location, relative to the DB root (e.g. "/foo/bar").
+   *
+   * @type {string}
+   */
+  get path() {
+    return `/${this.$segments().join('/')}`;
+  }
+
+  /**
+   * Last segment of the reference path; null for the DB root.
+   *
+   * @type {string|null}
+   */
+  get key() {
+    const segments = this.$segments();
+
+    return segments.length ? segments[segments.length - 1] : null;
+  }
+
+  $segments() {
+    const path = this.url.slice(this.rootPath.length).replace(/\.json$/, '');
+
+    return keys.decodePath(path);
+  }
+
+  /**
+   * Create a reference to a location relative to this reference.
+   *
+   * It keeps the reference auth, logger and DB root. It throws if one of the
+   * path segments is not a valid key.
+   *
+   * @param  {string|array} paths
+   * @return {Request}
+   */
+  child(paths) {
+    const segments = this.$segments().concat(splitPath(paths));
+
+    keys.validatePath(segments);
+
+    return this.$spawn(segments);
+  }
+
+  /**
+   * Create a reference to the parent location; null for the DB root.
+   *
+   * @return {Request|null}
+   */
+  parent() {
+    const segments = this.$segments();
+
+    return segments.length ? this.$spawn(segments.slice(0, -1)) : null;
+  }
+
+  /**
+   * Create a reference to the DB root.
+   *
+   * @return {Request}
+   */
+  root() {
+    return this.$spawn([]);
+  }
+
+  /**
+   * Create a reference running an interceptor for each request (see
+   * "interceptors.js").
+   *
+   * The interceptor is kept by the references created from the new one.
+   *
+   * Usage:
+   *
+   *    const traced = ref.use({
+   *      request(req) {
+   *        req.headers['x-trace-id'] = traceId;
+   *      },
+   *      response(req, resp) {
+   *        metrics.timing(req.method, resp.duration);
+   *      }
+   *    });
+   *
+   * @param  {object}  interceptor
+   * @return {Request}
+   */
+  use(interceptor) {
+    interceptors.validate(interceptor);
+
+    return this.$clone({interceptors: this.$interceptors.concat(interceptor)});
+  }
+
+  $spawn(segments) {
+    return this.$clone({
+      url: `${this.rootPath}/${keys.encodePath(segments)}`,
+      query: undefined
+    });
+  }
+
+  $clone(opts) {
+    return new Request(Object.assign({}, this.$opts, {
+      rootPath: this.rootPath,
+      url: this.url,
+      auth: this.auth,
+      namespace: this.namespace,
+      credentials: this.$credentials,
+      logger: this.$logger,
+      transport: this.$transport,
+      interceptors: this.$interceptors,
+      abortGroup: this.$abortGroup,
+      reconnectDelay: this.reconnectDelay,
+      timeout: this.timeout,
+      retry: this.retry,
+      query: this.query
+    }, opts));
+  }
+
+  /**
+   * Create a query ordered by a child value.
+   *
+   * Queries are immutable; each query method returns a new reference. They
+   * throw if the constraint is invalid or conflicts with the existing ones.
+   *
+   * Usage:
+   *
+   *    ref.orderByChild('score').startAt(10).limitToFirst(5).get().then(
+   *      top => console.log(top)
+   *    );
+   *
+   * @param  {string}  path
+   * @return {Request}
+   */
+  orderByChild(path) {
+    return this.$withQuery(query => query.orderByChild(path));
+  }
+
+  orderByKey() {
+    return this.$withQuery(query => query.orderByKey());
+  }
+
+  orderByValue() {
+    return this.$withQuery(query => query.orderByValue());
+  }
+
+  orderByPriority() {
+    return this.$withQuery(query => query.orderByPriority());
+  }
+
+  startAt(value) {
+    return this.$withQuery(query => query.startAt(value));
+  }
+
+  endAt(value) {
+    return this.$withQuery(query => query.endAt(value));
+  }
+
+  equalTo(value) {
+    return this.$withQuery(query => query.equalTo(value));
+  }
+
+  limitToFirst(limit) {
+    return this.$withQuery(query => query.limitToFirst(limit));
+  }
+
+  limitToLast(limit) {
+    return this.$withQuery(query => query.limitToLast(limit));
+  }
+
+  $withQuery(fn) {
+    return this.$clone({query: fn(this.query || new Query())});
+  }
+
   static fixUrl(url) {
     return url.endsWith('.json') ? url : `${url}.json`;
   }
 
-  process(url, method, qs, payload) {
-    return new Promise((resolve, reject) => {
-      const opts = {
-        url: Request.fixUrl(url),
-        method: method,
-        qs: Object.assign({auth: this.auth}, qs)
-      };
-
-      if (payload !== undefined) {
-        opts.body = payload;
-      }
+  /**
+   * Build the request options.
+   *
+   * "qs" holds the query parameters and the request options: "etag" and
+   * "ifMatch" are sent as headers, a numeric "timeout" (in ms) overrides the
+   * reference timeout and "retry" the reference retry policy (a string
+   * "timeout", like "3s", is sent to Firebase as a write timeout); "signal"
+   * (AbortSignal-like object, see "abort.js") aborts the request and
+   * "deadline" (a Date or a timestamp in ms) bounds the duration of all its
+   * attempts.
+   *
+   * @param  {string} url
+   * @param  {string} method
+   * @param  {object} [qs]
+   * @return {object}
+   */
+  requestOpts(url, method, qs) {
+    const params = Object.assign({}, qs);
+    const headers = {};
 
-      baseRequest(opts, (err, resp, body) => {
-        if (err) {
-          reject(err);
-          return;
-        }
+    if (params.etag) {
+      headers['X-Firebase-ETag'] = 'true';
+    }
 
-        const debugMessage = resp.headers['x-firebase-auth-debug'];
+    if (params.ifMatch !== undefined) {
+      headers['if-match'] = params.ifMatch;
+    }
 
-        if (debugMessage) {
-          this.$logger.warn(debugMessage);
-        }
+    const timeout = typeof params.timeout === 'number' ? params.timeout : this.timeout;
 
-        if (resp.statusCode >= 300) {
-          reject(new ResponseError(opts, resp, body));
-          return;
-        }
+    if (typeof params.timeout === 'number') {
+      delete params.timeout;
+    }
 
-        resolve(body);
-      });
+    REQUEST_OPTIONS.forEach(name => delete params[name]);
+
+    return {
+      url: Request.fixUrl(url),
+      method: method,
+      qs: Object.assign({auth: this.auth, ns: this.namespace}, params),
+      headers,
+      timeout,
+      signal: qs && qs.signal,
+      deadline: qs && qs.deadline
+    };
+  }
+
+  /**
+   * Send a request, retrying it according to the reference retry policy
+   * (merged with the "retry" option).
+   *
+   * The final error "attempts" property holds the number of attempts.
+   *
+   * The request can be aborted by its "signal" option or by the factory
+   * abortAll() method until it settles.
+   *
+   * @param  {object}   opts request options
+   * @param  {object}   [qs]
+   * @param  {function} send send the request (with the options of the
+   *                         attempt) and return a promise
+   * @return {Promise<any,Error>}
+   */
+  $retry(opts, qs, send) {
+    const signal = new abort.Signal();
+    const unlink = abort.link(opts.signal, signal);
+    const untrack = this.$abortGroup ? this.$abortGroup.track(signal) : () => undefined;
+    const attemptOpts = Object.assign({}, opts, {signal});
+    const done = () => {
+      unlink();
+      untrack();
+    };
+
+    return new Promise(
+      resolve => resolve(retry.policy([this.retry, qs && qs.retry]))
+    ).then(
+      policy => retry.run(policy, opts.method, () => send(attemptOpts), opts.deadline, signal)
+    ).then(result => {
+      done();
+      return result;
+    }, err => {
+      done();
+
+      // Aborted while waiting for a retry.
+      if (err.code === abort.ABORT_CODE && !(err instanceof errors.RequestError)) {
+        throw Object.assign(errors.fromRequestError(opts, err), {attempts: err.attempts});
+      }
+
+      throw err;
     });
   }
 
-  rules(rules) {
-    if (!this.auth) {
+  /**
+   * Send a request and resolve with the response body.
+   *
+   * With the "etag" option, it resolves with the response body and ETag
+   * ({value, etag}).
+   *
+   * @param  {string} url
+   * @param  {string} method
+   * @param  {object} [qs]
+   * @param  {any}    [payload]
+   * @return {Promise<any>}
+   */
+  process(url, method, qs, payload) {
+    const opts = this.requestOpts(url, method, qs);
+
+    return this.$retry(opts, qs, attemptOpts => this.$exchange(attemptOpts, payload, JSON_CODEC).then(
+      resp => (qs && qs.etag ? {value: resp.body, etag: resp.headers.etag} : resp.body)
+    ));
+  }
+
+  rules(rules, qs) {
+    if (!this.auth && !this.$credentials) {
       return Promise.reject(new Error(ERR_NO_SECRET));
     }
 
     const opts = {
-      'method': 'GET',
-      'url': `${this.rootPath}/.settings/rules.json`,
-      'qs': {auth: this.auth}
+      method: rules ? 'PUT' : 'GET',
+      url: `${this.rootPath}/.settings/rules.json`,
+      qs: {auth: this.auth, ns: this.namespace},
+      headers: {},
+      timeout: qs && typeof qs.timeout === 'number' ? qs.timeout : this.timeout,
+      signal: qs && qs.signal,
+      deadline: qs && qs.deadline
     };
+    const codec = rules && typeof rules === 'object' ? JSON_CODEC : TEXT_CODEC;
+
+    return this.$retry(opts, qs, attemptOpts => this.$exchange(attemptOpts, rules || undefined, codec).then(
+      resp => resp.body
+    ));
+  }
+
+  /**
+   * Run the interceptors and send a request.
+   *
+   * References without "auth" send the current access token, if any (see
+   * "credentials.js"), as the "access_token" parameter.
+   *
+   * It resolves with the response (its body decoded), or rejects with a
+   * RequestError.
+   *
+   * @param  {object} opts    request options (see requestOpts())
+   * @param  {any}    payload
+   * @param  {object} codec   payload encoder and body decoder
+   * @return {Promise<object,Error>}
+   */
+  $exchange(opts, payload, codec) {
+    const list = [interceptors.logger(this.$logger)].concat(this.$interceptors);
+    const req = Object.assign({}, opts, {
+      qs: Object.assign({}, opts.qs),
+      headers: Object.assign({}, opts.headers),
+      payload,
+      ref: this
+    });
+    const start = Date.now();
 
-    return new Promise((resolve, reject) => {
-      if (rules) {
-        opts.method = 'PUT';
-        opts.body = rules;
-        opts.json = typeof(rules) === 'object';
+    // Replayed requests are matched with redacted tokens: the provider is
+    // not called.
+    const token = this.$credentials && !this.auth ?
+      (cassette.isReplaying(this.$transport) ? Promise.resolve(cassette.REDACTED) : this.$credentials()) :
+      Promise.resolve();
+
+    return token.then(accessToken => {
+      if (accessToken) {
+        req.qs[credentials.PARAM] = accessToken;
       }
 
-      request(opts, (err, resp, body) => {
-        if (err) {
-          reject(err);
-          return;
-        }
+      return interceptors.request(list, req);
+    }).then(
+      cached => (cached ? interceptors.normalize(cached) : this.$send(req, codec))
+    ).then(resp => {
+      resp.duration = Date.now() - start;
+      resp.authDebug = errors.debugMessage(resp);
 
+      return interceptors.response(list, req, resp).then(() => {
         if (resp.statusCode >= 300) {
-          reject(new ResponseError(opts, resp, body));
-          return;
+          throw errors.fromResponse(req, resp, resp.body);
         }
 
-        resolve(body);
+        return resp;
       });
+    }).catch(
+      err => interceptors.error(list, req, err)
+    );
+  }
+
+  /**
+   * Send a request with the reference transport (see "transport.js").
+   *
+   * Failures to get a response reject with a TimeoutError, a NetworkError
+   * or an AbortError. The request is not sent if it is already aborted or
+   * past its deadline.
+   *
+   * @param  {object} req   request (see $exchange())
+   * @param  {object} codec
+   * @return {Promise<object,Error>} resolves with the response
+   */
+  $send(req, codec) {
+    const headers = Object.assign({accept: 'application/json'}, req.headers);
+    const body = req.payload === undefined ? undefined : codec.encode(req.payload);
+
+    if (body !== undefined) {
+      headers['content-type'] = 'application/json';
+    }
+
+    if (req.signal.aborted) {
+      return Promise.reject(errors.fromRequestError(req, abort.abortError()));
+    }
+
+    // A 0 timeout means no timeout; only a past deadline stops the request.
+    if (req.deadline !== undefined) {
+      const remaining = +req.deadline - Date.now();
+
+      if (remaining <= 0) {
+        return Promise.reject(errors.fromRequestError(req, {code: 'ETIMEDOUT'}));
+      }
+
+      req.timeout = req.timeout ? Math.min(req.timeout, remaining) : remaining;
+    }
+
+    // Custom transports may ignore the signal.
+    const aborted = new Promise((resolve, reject) => {
+      req.signal.addEventListener('abort', () => reject(abort.abortError()));
     });
+
+    return Promise.race([this.$transport({
+      method: req.method,
+      url: formatUrl(req.url, req.qs),
+      headers,
+      body,
+      timeout: req.timeout,
+      signal: req.signal
+    }), aborted]).then(
+      resp => Object.assign({}, resp, {body: codec.decode(resp.body)}),
+      err => {
+        throw errors.fromRequestError(req, err);
+      }
+    );
   }
 
   get(qs) {
-    return this.process(this.url, 'GET', qs);
+    if (!this.query) {
+      return this.process(this.url, 'GET', qs);
+    }
+
+    return this.$getQuery(qs).then(result => {
+      if (qs && qs.etag) {
+        return {value: sortResult(this.query, result.value), etag: result.etag};
+      }
+
+      return sortResult(this.query, result);
+    });
   }
 
+  /**
+   * Resolve with the location children as a list of [key, value] pairs
+   * sorted in the query order (or by key).
+   *
+   * Unlike get() results, the order holds even for integer-like keys.
+   *
+   * @param  {object} qs
+   * @return {Promise<array>}
+   */
+  entries(qs) {
+    const query = this.query || new Query();
+
+    return this.$getQuery(qs).then(value => query.entries(value));
+  }
+
+  $getQuery(qs) {
+    const query = this.query || new Query();
+
+    return new Promise(resolve => resolve(query.toQueryString())).then(
+      params => this.process(this.url, 'GET', Object.assign(params, qs))
+    );
+  }
+
+  /**
+   * Resolve with a snapshot of the location (or query) value, priorities
+   * included.
+   *
+   * Only "value" events are supported.
+   *
+   * Usage:
+   *
+   *    ref.orderByPriority().once('value').then(snapshot => {
+   *      snapshot.forEach(child => console.log(child.key, child.getPriority(), child.val()));
+   *    });
+   *
+   * @param  {string} [eventType] "value"
+   * @param  {object} [qs]
+   * @return {Promise<DataSnapshot,Error>}
+   */
+  once(eventType, qs) {
+    if (eventType !== undefined && eventType !== 'value') {
+      return Promise.reject(new Error(ERR_ONCE_EVENT_TYPE));
+    }
+
+    return this.$getQuery(Object.assign({}, qs, {format: 'export', etag: false})).then(
+      value => new DataSnapshot(this, value)
+    );
+  }
+
+  /**
+   * Set the location value.
+   *
+   * It rejects without sending the request if one of the value keys is
+   * invalid.
+   *
+   * @param  {any}    payload
+   * @param  {object} [qs]
+   * @return {Promise<any,Error>}
+   */
   set(payload, qs) {
-    return this.process(this.url, 'PUT', qs, payload);
+    return new Promise(resolve => resolve(keys.validateValue(payload, this.$segments()))).then(
+      () => this.process(this.url, 'PUT', qs, payload)
+    );
+  }
+
+  /**
+   * Set the location value and priority.
+   *
+   * @param  {any}           payload
+   * @param  {number|string} priority (or null)
+   * @param  {object}        [qs]
+   * @return {Promise<any,Error>}
+   */
+  setWithPriority(payload, priority, qs) {
+    return new Promise(resolve => resolve(validatePriority(priority))).then(
+      () => this.set(withPriority(payload, priority), qs)
+    );
   }
 
+  /**
+   * Set the location priority; it has no effect if the location has no
+   * value.
+   *
+   * @param  {number|string} priority (or null)
+   * @param  {object}        [qs]
+   * @return {Promise<any,Error>}
+   */
+  setPriority(priority, qs) {
+    const segments = this.$segments().concat(PRIORITY_KEY);
+    const url = `${this.rootPath}/${keys.encodePath(segments)}`;
+
+    return new Promise(resolve => resolve(validatePriority(priority))).then(
+      () => this.process(url, 'PUT', qs, priority)
+    );
+  }
+
+  /**
+   * Update some children of the location.
+   *
+   * The payload keys can be paths, relative to the location, to update
+   * deeper children (multi-path update). It rejects without sending the
+   * request if one of the paths or value keys is invalid.
+   *
+   * @param  {object} payload
+   * @param  {object} [qs]
+   * @return {Promise<object,Error>}
+   */
   update(payload, qs) {
     let url;
 
@@ -133,22 +616,320 @@ class Request {
       url = `${this.url}/.json`;
     }
 
-    return this.process(url, 'PATCH', qs, payload);
+    return new Promise(resolve => resolve(validateUpdate(payload, this.$segments()))).then(
+      () => this.process(url, 'PATCH', qs, payload)
+    );
   }
 
-  push(patch, qs) {
-    return this.process(this.url, 'POST', qs, patch);
+  /**
+   * Create a child location with a chronological push ID.
+   *
+   * The ID is generated locally; without a value, it returns the child
+   * reference right away (to be used in a multi-path update for example).
+   * With a value, it sets the child value and resolves with its reference.
+   *
+   *    const child = ref.push();
+   *
+   *    ref.update({[`${child.key}/name`]: 'alice', count: 1});
+   *    ref.push({name: 'bob'}).then(child => console.log(child.key));
+   *
+   * @param  {any}    [value]
+   * @param  {object} [qs]
+   * @return {Request|Promise<Request,Error>}
+   */
+  push(value, qs) {
+    const child = this.child(pushid.generatePushId());
+
+    if (value === undefined) {
+      return child;
+    }
+
+    return child.set(value, qs).then(() => child);
   }
 
   remove(qs) {
     return this.process(this.url, 'DELETE', qs);
   }
+
+  /**
+   * Export the location value, walking the tree with shallow queries and
+   * fetching its subtrees with a bounded number of concurrent requests.
+   *
+   * Options are "depth", "concurrency", "file", "stream", "signal" and
+   * "deadline" (see "transfer.exportTree()").
+   *
+   *    ref.export({file: 'backup.json', concurrency: 10});
+   *
+   * @param  {object} [opts]
+   * @return {Promise<any,Error>} resolves with the exported value
+   */
+  export(opts) {
+    return transfer.exportTree(this, opts);
+  }
+
+  /**
+   * Import a value (or a JSON file or stream) with multi-path updates of
+   * bounded size.
+   *
+   * Options are "chunkSize", "progress", "signal" and "deadline" (see
+   * "transfer.importTree()").
+   *
+   *    ref.import('backup.json', {progress: p => console.log('%d/%d', p.updates, p.totalUpdates)});
+   *
+   * @param  {any|string|stream.Readable} source
+   * @param  {object}                     [opts]
+   * @return {Promise<object,Error>}
+   */
+  import(source, opts) {
+    return transfer.importTree(this, source, opts);
+  }
+
+  /**
+   * Send a large multi-path update as several updates of bounded size (its
+   * values are not split, and the whole update is not atomic).
+   *
+   * Options are "chunkSize", "progress", "signal" and "deadline" (see
+   * "transfer.bulkUpdate()").
+   *
+   *    ref.bulkUpdate(updates, {chunkSize: 256 * 1024});
+   *
+   * @param  {object} updates paths (relative to the reference) and their values
+   * @param  {object} [opts]
+   * @return {Promise<object,Error>}
+   */
+  bulkUpdate(updates, opts) {
+    return transfer.bulkUpdate(this, updates, opts);
+  }
+
+  /**
+   * Atomically modify the location value.
+   *
+   * "updateFn" is called with the current value and should return the new
+   * value, or undefined to abort the transaction. The new value is written
+   * only if the location was not modified in the meantime (using its ETag);
+   * otherwise "updateFn" is called again with the new current value, up to
+   * "maxRetries" times (25 by default). The "signal" and "deadline" options
+   * apply to each read and write, and stop the retries.
+   *
+   * It resolves with "committed" (false if the transaction was aborted) and
+   * the location value.
+   *
+   * @param  {function} updateFn
+   * @param  {object}   [opts]
+   * @return {Promise<{committed: boolean, value: any}>}
+   */
+  transaction(updateFn, opts) {
+    const maxRetries = opts && opts.maxRetries !== undefined ? opts.maxRetries : TRANSACTION_MAX_RETRIES;
+    const callOpts = abort.callOptions(opts);
+    const attempt = (current, retries) => {
+      const stop = abort.interruption(callOpts);
+
+      if (stop) {
+        return Promise.reject(errors.fromRequestError(this.requestOpts(this.url, 'PUT', callOpts), stop));
+      }
+
+      const value = updateFn(current.value);
+
+      if (value === undefined) {
+        return {committed: false, value: current.value};
+      }
+
+      return this.set(value, Object.assign({ifMatch: current.etag}, callOpts)).then(
+        result => ({committed: true, value: result === undefined ? value : result}),
+        err => {
+          if (!(err instanceof errors.PreconditionFailedError)) {
+            return Promise.reject(err);
+          }
+
+          if (retries >= maxRetries) {
+            return Promise.reject(new Error(ERR_MAX_RETRIES));
+          }
+
+          return attempt({value: err.value, etag: err.etag}, retries + 1);
+        }
+      );
+    };
+
+    return this.get(Object.assign({etag: true}, callOpts)).then(current => attempt(current, 0));
+  }
+
+  /**
+   * Listen for "value", "child_added", "child_changed" or "child_removed"
+   * events.
+   *
+   * The location is streamed (using "Accept: text/event-stream") and a local
+   * copy is kept so that callbacks get whole values. "value" callbacks are
+   * called with the location value; child callbacks with the child value and
+   * key. When Firebase cancels the stream (permission lost or auth revoked),
+   * the listeners are removed and their cancel callbacks are called with the
+   * reason.
+   *
+   * Streams are not sent with the reference transport; they throw in replay
+   * mode (see "cassette.js").
+   *
+   * @param  {string}   eventType
+   * @param  {function} callback
+   * @param  {function} [cancelCallback]
+   * @return {function} the callback
+   */
+  on(eventType, callback, cancelCallback) {
+    if (cassette.isReplaying(this.$transport)) {
+      throw new Error(ERR_STREAM_REPLAY);
+    }
+
+    if (!this.$subscription) {
+      const params = this.query ? this.query.toQueryString() : undefined;
+      const opts = Object.assign(this.requestOpts(this.url, 'GET', params), {
+        logger: this.$logger,
+        reconnectDelay: this.reconnectDelay,
+        accessToken: this.$credentials && !this.auth ? this.$credentials : undefined
+      });
+
+      this.$subscription = new eventstream.Subscription(new eventstream.EventStream(opts));
+    }
+
+    this.$subscription.add(eventType, callback, cancelCallback);
+
+    return callback;
+  }
+
+  /**
+   * Remove listeners; all of them, all the listeners for an event type or a
+   * specific callback.
+   *
+   * The stream is closed once no listener is left.
+   *
+   * @param {string}   [eventType]
+   * @param {function} [callback]
+   */
+  off(eventType, callback) {
+    if (this.$subscription) {
+      this.$subscription.remove(eventType, callback);
+    }
+  }
+
+  /**
+   * Resolve with the first location value matching the predicate, e.g. once
+   * a Cloud Function or another user wrote it.
+   *
+   * The location is streamed, unless the reference uses a custom transport
+   * (streams are not sent with it), and polled with a backoff otherwise or
+   * when the stream is cancelled. Options are "timeout" (5000 ms by
+   * default), "interval" and "maxInterval" (polling delay bounds), "stream",
+   * "signal" and "deadline" (see "wait.js"). On timeout, it rejects with a
+   * WaitTimeoutError holding the last value seen.
+   *
+   * Usage:
+   *
+   *    ref.child('status').waitFor(status => status === 'done', {timeout: 10000});
+   *
+   * @param  {function} predicate
+   * @param  {object}   [opts]
+   * @return {Promise<any,Error>}
+   */
+  waitFor(predicate, opts) {
+    const defaults = {stream: this.$transport === transport.getDefaultTransport()};
+
+    return wait.waitFor(this.$clone({}), predicate, Object.assign(defaults, opts));
+  }
+
+  /**
+   * Resolve with the location value once it equals "expected".
+   *
+   * Values are compared like Firebase stores them (arrays as objects,
+   * without null or empty nodes); on timeout, the WaitTimeoutError holds the
+   * diff from the last value seen to the expected one.
+   *
+   * @param  {any}    expected
+   * @param  {object} [opts]   see waitFor()
+   * @return {Promise<any,Error>}
+   */
+  waitForValue(expected, opts) {
+    const value = tree.normalize(expected);
+
+    return this.waitFor(
+      actual => tree.deepEqual(tree.normalize(actual), value),
+      Object.assign({}, opts, {expected})
+    );
+  }
 }
 
 function trimPath(path) {
   return path.replace(/\/+$/, '');
 }
 
+function formatUrl(url, qs) {
+  const params = Object.keys(qs || {}).reduce((result, name) => {
+    if (qs[name] !== undefined) {
+      result[name] = qs[name];
+    }
+
+    return result;
+  }, {});
+  const search = querystring.stringify(params);
+
+  return search ? `${url}?${search}` : url;
+}
+
+function parseBody(text) {
+  if (!text) {
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+}
+
+function sortResult(query, value) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  return query.entries(value).reduce((result, entry) => {
+    result[entry[0]] = entry[1];
+    return result;
+  }, {});
+}
+
+function splitPath(paths) {
+  return [].concat(paths || []).join('/').split('/').filter(Boolean);
+}
+
+function validatePriority(priority) {
+  if (priority !== null && typeof priority !== 'number' && typeof priority !== 'string') {
+    throw new Error(ERR_INVALID_PRIORITY);
+  }
+}
+
+function withPriority(value, priority) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (typeof value === 'object') {
+    return Object.assign({}, value, {[PRIORITY_KEY]: priority});
+  }
+
+  return {'.value': value, [PRIORITY_KEY]: priority};
+}
+
+function validateUpdate(payload, segments) {
+  Object.keys(payload || {}).forEach(path => {
+    const location = segments.concat(splitPath(path));
+
+    if (location[location.length - 1] === PRIORITY_KEY) {
+      keys.validatePath(location.slice(0, -1));
+      return;
+    }
+
+    keys.validatePath(location);
+    keys.validateValue(payload[path], location);
+  });
+}
+
 /**
  * Create a firebase rest client factory.
  *
@@ -167,32 +948,295 @@ function trimPath(path) {
  *        // ...
  *    });
  *
+ * The target is a Firebase ID (for "https://<id>.firebaseio.com", or
+ * "https://<id>.<region>.firebasedatabase.app" with the "region" option) or
+ * a DB URL, optionally with a "ns" namespace parameter sent with every
+ * request (e.g. "http://localhost:9000?ns=some-id" for a local emulator).
+ *
+ * Options:
+ *
+ * - secret: Firebase secret, used to sign users' auth tokens
+ *   (see `restFirebase.asUser(uid, claims, opts)`), to create admin
+ *   references (see `restFirebase.admin(refOpts)`) and to manage the
+ *   security rules (see `restFirebase.rules`);
+ * - accessToken: Google OAuth2 access token, or token provider (see
+ *   "credentials.js"), used by references without "auth" option;
+ * - region: DB region for Firebase ID targets (e.g. "europe-west1");
+ * - timeout: request timeout in ms (5000 by default);
+ * - retry: retry policy of failed requests:
+ *   - retries: number of retries (0 by default);
+ *   - minDelay / maxDelay: backoff bounds in ms (100 and 5000 by default);
+ *   - methods: HTTP methods to retry (GET, PUT and DELETE by default; add
+ *     PATCH or POST only if their requests are idempotent);
+ *   - retryOn: list of status codes, or function called with the error and
+ *     attempt number, to test an error should be retried (network errors,
+ *     timeouts, 429 and 5xx responses by default);
+ * - transport: function sending the requests (see "transport.js"); by
+ *   default, a transport keeping connections alive is shared by all
+ *   clients (see `restFirebase.createHttpTransport(opts)`);
+ * - interceptors: list of interceptors run for each request (see
+ *   "interceptors.js" and `ref.use(interceptor)`);
+ * - mode: "record" to save the requests and their response to the
+ *   "cassette" file, "replay" to serve them from it without network or
+ *   "passthrough" (default; see "cassette.js").
+ *
+ * Timeout and retry can be overridden by each reference options and each
+ * request options; the access token, transport and interceptors by each
+ * reference options (a reference transport is still recorded, or not used
+ * in replay mode).
+ *
  * @param  {string}   target Firebase ID or URL
+ * @param  {object}   [factoryOpts]
  * @return {function}
  *
  */
-function restFirebaseFactory(target) {
+function restFirebaseFactory(target, factoryOpts) {
+  const secret = factoryOpts && factoryOpts.secret;
+  const region = factoryOpts && factoryOpts.region;
+  const defaults = {
+    timeout: factoryOpts && factoryOpts.timeout,
+    retry: factoryOpts && factoryOpts.retry,
+    transport: factoryOpts && factoryOpts.transport,
+    interceptors: factoryOpts && factoryOpts.interceptors
+  };
+  const pending = new abort.AbortGroup();
   let rootPath;
 
-  if (VALID_URL.test(target)) {
-    rootPath = trimPath(target);
+  retry.policy([defaults.retry]);
+  [].concat(defaults.interceptors || []).forEach(interceptors.validate);
+  cassette.validate(factoryOpts);
+
+  if (factoryOpts && (factoryOpts.mode === 'record' || factoryOpts.mode === 'replay')) {
+    defaults.transport = cassette.wrap(defaults.transport || transport.getDefaultTransport(), {
+      mode: factoryOpts.mode,
+      cassette: factoryOpts.cassette,
+      secrets: [secret]
+    });
+  }
+
+  const match = VALID_URL.exec(target);
+
+  if (region !== undefined && !VALID_REGION.test(region)) {
+    throw new Error(ERR_INVALID_REGION);
+  }
+
+  if (match) {
+    rootPath = match[1];
+    defaults.namespace = match[2];
   } else if (VALID_ID.test(target)) {
-    rootPath = `https://${target}.firebaseio.com`;
+    rootPath = region ? `https://${target}.${region}.firebasedatabase.app` : `https://${target}.firebaseio.com`;
   } else {
     throw new Error(ERR_INVALID_ID);
   }
 
+  if (factoryOpts && factoryOpts.accessToken !== undefined) {
+    defaults.credentials = credentials.accessToken(factoryOpts.accessToken);
+  }
+
   function restFirebase(opts) {
-    const relPaths = opts && opts.paths || '';
-    const url = [rootPath].concat(relPaths).join('/');
+    const relPath = [].concat(opts && opts.paths || '').join('/');
+    const suffix = relPath.match(PATH_SUFFIX);
+    const segments = splitPath(suffix ? relPath.slice(0, suffix.index) : relPath);
 
-    return new Request(
-      Object.assign({}, opts, {rootPath, url})
-    );
+    keys.validatePath(segments);
+
+    const url = `${rootPath}/${keys.encodePath(segments)}${suffix && segments.length ? suffix[0] : ''}`;
+    const refOpts = Object.assign({}, defaults, opts, {rootPath, url, abortGroup: pending});
+
+    if (opts && opts.accessToken !== undefined) {
+      refOpts.credentials = credentials.accessToken(opts.accessToken);
+    }
+
+    if (opts && opts.transport) {
+      refOpts.transport = cassette.through(defaults.transport, opts.transport);
+    }
+
+    return new Request(refOpts);
   }
 
+  /**
+   * Abort the pending requests of the factory references (including the
+   * ones of `restFirebase.asUser()`, `restFirebase.rules` and
+   * `restFirebase.indexes`); they reject with an AbortError.
+   *
+   * Usage:
+   *
+   *    afterEach(() => firebase.abortAll());
+   */
+  restFirebase.abortAll = function() {
+    pending.abortAll();
+  };
+
+  /**
+   * Create a batch running "set", "update", "push" and "remove" operations
+   * with a bounded number of concurrent requests (see "batch.js").
+   *
+   * Usage:
+   *
+   *    const batch = firebase.batch({concurrency: 10, rateLimit: 100});
+   *    const logs = firebase.admin({paths: 'logs'});
+   *
+   *    batch.on('progress', p => console.log('%d/%d', p.completed, p.total));
+   *    items.forEach(item => batch.push(logs, item));
+   *    batch.done().then(result => console.log('%d failed', result.failed));
+   *
+   * @param  {object} [opts] "concurrency" and "rateLimit" (operations per second)
+   * @return {Batch}
+   */
+  restFirebase.batch = function(opts) {
+    return new Batch(opts);
+  };
+
+  /**
+   * Create a client factory bound to a user custom auth token.
+   *
+   * The token is signed with the factory secret. Options are the token
+   * options ("admin", "debug", "expires", "notBefore").
+   *
+   * Usage:
+   *
+   *    const firebase = restFirebase.factory('some-id', {secret: 'some-secret'});
+   *    const alice = firebase.asUser('alice', {role: 'admin'}, {debug: true});
+   *    const ref = alice({paths: 'some/path'});
+   *
+   * @param  {string}   uid
+   * @param  {object}   [claims] other auth data
+   * @param  {object}   [opts]
+   * @return {function}
+   */
+  restFirebase.asUser = function(uid, claims, opts) {
+    const auth = token.createToken(secret, Object.assign({}, claims, {uid}), opts);
+
+    function userFirebase(refOpts) {
+      return restFirebase(Object.assign({}, refOpts, {auth}));
+    }
+
+    userFirebase.uid = uid;
+    userFirebase.auth = auth;
+
+    return userFirebase;
+  };
+
+  /**
+   * Create a reference authenticated with the factory secret.
+   *
+   * Usage:
+   *
+   *    const firebase = restFirebase.factory('some-id', {secret: 'some-secret'});
+   *    const ref = firebase.admin({paths: 'some/path'});
+   *
+   * @param  {object}  [refOpts]
+   * @return {Request}
+   */
+  restFirebase.admin = function(refOpts) {
+    if (!secret) {
+      throw new Error(ERR_NO_SECRET);
+    }
+
+    return restFirebase(Object.assign({}, refOpts, {auth: secret}));
+  };
+
+  /**
+   * Security rules management, authenticated with the factory secret.
+   *
+   * Usage:
+   *
+   *    firebase.rules.backup('rules.backup.json').then(
+   *      () => firebase.rules.patch('users/$uid', {'.write': 'auth.uid === $uid'})
+   *    );
+   *
+   * @type {Rules}
+   */
+  restFirebase.rules = new Rules(() => restFirebase({auth: secret}));
+
+  /**
+   * Index management (see `restFirebase.rules`).
+   *
+   * Usage:
+   *
+   *    firebase.indexes.ensure({users: ['score', 'name']});
+   *
+   * @type {Indexes}
+   */
+  restFirebase.indexes = new Indexes(restFirebase.rules);
+
   return restFirebase;
 }
 
+/**
+ * Create e2e fixtures for a client factory with a secret.
+ *
+ * Usage:
+ *
+ *    const firebase = restFirebase.factory('some-id', {secret: 'some-secret'});
+ *    const fixtures = restFirebase.fixtures(firebase);
+ *    const hooks = fixtures.hooks({users: {alice: {name: 'Alice'}}});
+ *
+ *    before(hooks.before);
+ *    after(hooks.after);
+ *
+ *    it('should ...', function() {
+ *      return fixtures.asUser('alice')({paths: 'users/alice'}).get();
+ *    });
+ *
+ * @param  {function} firebase
+ * @param  {object}   [opts] see "fixtures.js"
+ * @return {Fixtures}
+ */
+function fixtures(firebase, opts) {
+  return new Fixtures(firebase, opts);
+}
+
+/**
+ * Create a multi-user scenario (see "scenario.js").
+ *
+ * Usage:
+ *
+ *    const scenario = restFirebase.scenario(firebase, {
+ *      users: {alice: firebase.asUser('alice', {}, {debug: true}), bob: bobToken}
+ *    });
+ *
+ *    scenario.explore({
+ *      alice: [db => db({paths: 'counter'}).transaction(n => (n || 0) + 1)],
+ *      bob: [db => db({paths: 'counter'}).transaction(n => (n || 0) + 1)]
+ *    }, {runs: 20, setup: () => fixtures.reset()}).catch(err => {
+ *      // err.seed reproduces the failing run: scenario.run(steps, {seed: err.seed})
+ *    });
+ *
+ * @param  {function} firebase client factory
+ * @param  {object}   opts     "users", see "scenario.js"
+ * @return {Scenario}
+ */
+function scenario(firebase, opts) {
+  return new Scenario(firebase, opts);
+}
+
 exports.Request = Request;
+exports.RequestError = errors.RequestError;
+exports.ResponseError = errors.ResponseError;
+exports.IndexNotDefinedError = errors.IndexNotDefinedError;
+exports.PermissionDeniedError = errors.PermissionDeniedError;
+exports.NotFoundError = errors.NotFoundError;
+exports.PreconditionFailedError = errors.PreconditionFailedError;
+exports.PayloadTooLargeError = errors.PayloadTooLargeError;
+exports.RateLimitedError = errors.RateLimitedError;
+exports.ServerError = errors.ServerError;
+exports.TimeoutError = errors.TimeoutError;
+exports.NetworkError = errors.NetworkError;
+exports.AbortError = errors.AbortError;
+exports.WaitTimeoutError = errors.WaitTimeoutError;
+exports.ScenarioError = errors.ScenarioError;
+exports.CancelError = errors.CancelError;
+exports.Batch = Batch;
+exports.DataSnapshot = DataSnapshot;
+exports.Fixtures = Fixtures;
+exports.Scenario = Scenario;
 exports.factory = restFirebaseFactory;
+exports.fixtures = fixtures;
+exports.scenario = scenario;
+exports.createHttpTransport = transport.createHttpTransport;
+exports.createToken = token.createToken;
+exports.generatePushId = pushid.generatePushId;
+exports.isValidKey = keys.isValidKey;
+exports.escapeKey = keys.escapeKey;
+exports.unescapeKey = keys.unescapeKey;
@@ -0,0 +1,96 @@
+/**
+ * Index management.
+ *
+ * Add missing ".indexOn" rules to the DB rules document.
+ */
+
+'use strict';
+
+const tree = require('./tree');
+
+const ERR_INVALID_SPEC = 'Indexes should be a map of paths to field names (a string or a list of strings).';
+
+class Indexes {
+
+  /**
+   * @param  {Rules} rules rules manager (see "rules.js")
+   */
+  constructor(rules) {
+    this.$rules = rules;
+  }
+
+  /**
+   * Make sure the locations are indexed on their fields.
+   *
+   * It reads the rules document, adds the missing fields to the ".indexOn"
+   * rule of each location and saves the document, if modified. The other
+   * rules are kept (but not the document comments when it is saved).
+   *
+   * Usage:
+   *
+   *    firebase.indexes.ensure({users: ['score', 'name'], 'posts/$uid': 'date'}).then(
+   *      added => console.log(added)
+   *    );
+   *
+   * @param  {object} spec map of paths (relative to the "rules" object) to
+   *                       field names
+   * @return {Promise<array,Error>} resolves with the list of added indexes
+   *                                ({path, field})
+   */
+  ensure(spec) {
+    return new Promise(resolve => resolve(normalize(spec))).then(
+      indexes => this.$rules.get().then(doc => {
+        const added = [];
+        const updated = indexes.reduce((result, index) => {
+          const segments = ['rules'].concat(tree.splitPath(index.path));
+          const current = [].concat(valueAt(result, segments.concat('.indexOn')) || []);
+          const missing = index.fields.filter(field => current.indexOf(field) === -1);
+
+          if (missing.length === 0) {
+            return result;
+          }
+
+          missing.forEach(field => added.push({path: index.path, field}));
+
+          return setAt(result, segments.concat('.indexOn'), current.concat(missing));
+        }, doc);
+
+        return added.length ? this.$rules.set(updated).then(() => added) : added;
+      })
+    );
+  }
+}
+
+function normalize(spec) {
+  if (!tree.isObject(spec) || Array.isArray(spec)) {
+    throw new Error(ERR_INVALID_SPEC);
+  }
+
+  return Object.keys(spec).map(path => {
+    const fields = [].concat(spec[path]);
+
+    if (fields.length === 0 || fields.some(field => typeof field !== 'string' || !field)) {
+      throw new Error(ERR_INVALID_SPEC);
+    }
+
+    return {path: `/${tree.splitPath(path).join('/')}`, fields};
+  });
+}
+
+function valueAt(node, segments) {
+  return segments.reduce((value, key) => (tree.isObject(value) ? value[key] : undefined), node);
+}
+
+function setAt(node, segments, value) {
+  if (segments.length === 0) {
+    return value;
+  }
+
+  const result = Object.assign({}, tree.children(node));
+
+  result[segments[0]] = setAt(result[segments[0]], segments.slice(1), value);
+
+  return result;
+}
+
+exports.Indexes = Indexes;
@@ -0,0 +1,133 @@
+/**
+ * Request interceptors.
+ *
+ * An interceptor is an object with optional hooks, which can return a
+ * promise to be waited for:
+ *
+ * - request(req): called before a request is sent; it can change the request
+ *   "headers", "qs" (query parameters, including "auth") and "payload", or
+ *   resolve with a response ({statusCode, headers, body}) to skip sending it
+ *   (and the next interceptors request hooks); other resolved values are
+ *   ignored;
+ * - response(req, resp): called after a response (even with a failure status
+ *   code); "resp" holds the "statusCode", "statusMessage", "headers",
+ *   decoded "body", "duration" (in ms) and "authDebug" message (if any);
+ * - error(req, err): called when the request fails (see "errors.js"); it can
+ *   throw another error.
+ *
+ * "req" holds the request "method", "url" (without query string), "qs",
+ * "headers", "payload", "timeout" and the reference sending it ("ref").
+ *
+ * Request hooks run in the order the interceptors were registered; response
+ * and error hooks run in the reverse order.
+ */
+
+'use strict';
+
+const HOOKS = ['request', 'response', 'error'];
+
+const ERR_INVALID_INTERCEPTOR = 'An interceptor should be an object with request, response or error hooks.';
+
+/**
+ * Throw if the interceptor is not an object with at least one hook.
+ *
+ * @param {object} interceptor
+ */
+function validate(interceptor) {
+  const valid = (
+    interceptor !== null &&
+    typeof interceptor === 'object' &&
+    HOOKS.some(hook => typeof interceptor[hook] === 'function') &&
+    HOOKS.every(hook => interceptor[hook] === undefined || typeof interceptor[hook] === 'function')
+  );
+
+  if (!valid) {
+    throw new Error(ERR_INVALID_INTERCEPTOR);
+  }
+}
+
+/**
+ * Run the request hooks, until one resolves with a response.
+ *
+ * @param  {array}  list
+ * @param  {object} req
+ * @return {Promise<object|undefined,Error>}
+ */
+function request(list, req) {
+  return list.reduce((previous, interceptor) => previous.then(
+    cached => (cached || !interceptor.request ? cached : interceptor.request(req))
+  ).then(
+    result => (isResponse(result) ? result : undefined)
+  ), Promise.resolve());
+}
+
+function isResponse(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    (value.statusCode !== undefined || value.body !== undefined)
+  );
+}
+
+/**
+ * Run the response hooks.
+ *
+ * @param  {array}  list
+ * @param  {object} req
+ * @param  {object} resp
+ * @return {Promise<void,Error>}
+ */
+function response(list, req, resp) {
+  return list.slice().reverse().reduce((previous, interceptor) => previous.then(
+    () => (interceptor.response ? interceptor.response(req, resp) : undefined)
+  ), Promise.resolve()).then(() => undefined);
+}
+
+/**
+ * Run the error hooks and reject with the error.
+ *
+ * @param  {array}  list
+ * @param  {object} req
+ * @param  {Error}  err
+ * @return {Promise<void,Error>}
+ */
+function error(list, req, err) {
+  return list.slice().reverse().reduce((previous, interceptor) => previous.then(
+    () => (interceptor.error ? interceptor.error(req, err) : undefined)
+  ), Promise.resolve()).then(() => {
+    throw err;
+  });
+}
+
+/**
+ * Complete a response returned by a request hook.
+ *
+ * @param  {object} resp
+ * @return {object}
+ */
+function normalize(resp) {
+  return Object.assign({statusCode: 200, statusMessage: 'OK', headers: {}}, resp);
+}
+
+/**
+ * Interceptor logging the rules debug message of responses.
+ *
+ * @param  {object} log
+ * @return {object}
+ */
+function logger(log) {
+  return {
+    response(req, resp) {
+      if (resp.authDebug) {
+        log.warn(resp.authDebug);
+      }
+    }
+  };
+}
+
+exports.validate = validate;
+exports.request = request;
+exports.response = response;
+exports.error = error;
+exports.normalize = normalize;
+exports.logger = logger;
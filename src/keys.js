@@ -0,0 +1,136 @@
+/**
+ * Firebase keys and paths.
+ *
+ * Keys are non-empty strings of 768 bytes (UTF-8 encoded) or less; they cannot
+ * contain ".", "#", "$", "[", "]", "/" or ASCII control characters. Paths are
+ * list of keys joined by "/" and should be percent-encoded in URLs.
+ *
+ * See https://www.firebase.com/docs/web/guide/understanding-data.html
+ */
+
+'use strict';
+
+const MAX_KEY_SIZE = 768;
+const INVALID_CHARS = /[.#$\[\]\/\x00-\x1F\x7F]/;
+const ESCAPED_CHARS = /[%.#$\[\]\/\x00-\x1F\x7F]/g;
+const ESCAPE_SEQUENCE = /%([0-9A-Fa-f]{2})/g;
+const SPECIAL_KEYS = ['.priority', '.value', '.sv'];
+
+const ERR_INVALID_KEY = (
+  'keys must be non-empty strings of 768 bytes or less and cannot contain ' +
+  '".", "#", "$", "[", "]", "/" or ASCII control characters.'
+);
+
+/**
+ * Test a key is valid.
+ *
+ * @param  {string}  key
+ * @return {boolean}
+ */
+function isValidKey(key) {
+  return (
+    typeof key === 'string' &&
+    key.length > 0 &&
+    !INVALID_CHARS.test(key) &&
+    Buffer.byteLength(key, 'utf8') <= MAX_KEY_SIZE
+  );
+}
+
+/**
+ * Escape a string to use as a key; the forbidden characters and "%" are
+ * replaced by their "%XX" hex code (e.g. "bob@example.com" is escaped to
+ * "bob@example%2Ecom").
+ *
+ * @param  {string} str
+ * @return {string}
+ */
+function escapeKey(str) {
+  return String(str).replace(ESCAPED_CHARS, c => `%${`0${c.charCodeAt(0).toString(16).toUpperCase()}`.slice(-2)}`);
+}
+
+/**
+ * Revert escapeKey().
+ *
+ * @param  {string} key
+ * @return {string}
+ */
+function unescapeKey(key) {
+  return key.replace(ESCAPE_SEQUENCE, (match, code) => String.fromCharCode(parseInt(code, 16)));
+}
+
+/**
+ * Throw if a key is invalid.
+ *
+ * @param {string} key
+ * @param {array}  [segments] location of the key
+ */
+function validateKey(key, segments) {
+  if (isValidKey(key)) {
+    return;
+  }
+
+  const location = segments && segments.length ? ` at /${segments.join('/')}` : '';
+
+  throw new Error(`Invalid key ${JSON.stringify(key)}${location}: ${ERR_INVALID_KEY}`);
+}
+
+/**
+ * Throw if one of the path segments is invalid.
+ *
+ * @param {array} segments
+ */
+function validatePath(segments) {
+  segments.forEach((key, i) => validateKey(key, segments.slice(0, i)));
+}
+
+/**
+ * Throw if one the keys of a value to write is invalid.
+ *
+ * @param {any}   value
+ * @param {array} [segments] location of the value
+ */
+function validateValue(value, segments) {
+  if (value === null || typeof value !== 'object') {
+    return;
+  }
+
+  segments = segments || [];
+
+  Object.keys(value).forEach(key => {
+    if (SPECIAL_KEYS.indexOf(key) > -1) {
+      return;
+    }
+
+    validateKey(key, segments);
+    validateValue(value[key], segments.concat(key));
+  });
+}
+
+/**
+ * Percent-encode path segments.
+ *
+ * @param  {array} segments
+ * @return {string}
+ */
+function encodePath(segments) {
+  return segments.map(key => encodeURIComponent(key)).join('/');
+}
+
+/**
+ * Decode a percent-encoded path.
+ *
+ * @param  {string} path
+ * @return {array}
+ */
+function decodePath(path) {
+  return path.split('/').filter(Boolean).map(key => decodeURIComponent(key));
+}
+
+exports.isValidKey = isValidKey;
+exports.escapeKey = escapeKey;
+exports.unescapeKey = unescapeKey;
+exports.validateKey = validateKey;
+exports.validatePath = validatePath;
+exports.validateValue = validateValue;
+exports.encodePath = encodePath;
+exports.decodePath = decodePath;
@@ -0,0 +1,55 @@
+/**
+ * Chronological push IDs.
+ *
+ * 20 characters: 8 encoding the timestamp (in ms) followed by 12 random ones.
+ * IDs generated in the same ms increment the random part so that they still
+ * sort in creation order.
+ *
+ * See https://www.firebase.com/blog/2015-02-11-firebase-unique-identifiers.html
+ */
+
+'use strict';
+
+const PUSH_CHARS = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz';
+
+let lastPushTime = 0;
+let lastRandChars = [];
+
+/**
+ * Generate a push ID.
+ *
+ * @param  {number} [now] timestamp in ms (default to Date.now())
+ * @return {string}
+ */
+function generatePushId(now) {
+  let time = now === undefined ? Date.now() : now;
+  const duplicateTime = time === lastPushTime;
+  const timeChars = [];
+
+  lastPushTime = time;
+
+  for (let i = 7; i >= 0; i--) {
+    timeChars[i] = PUSH_CHARS.charAt(time % 64);
+    time = Math.floor(time / 64);
+  }
+
+  if (!duplicateTime) {
+    lastRandChars = [];
+
+    for (let i = 0; i < 12; i++) {
+      lastRandChars.push(Math.floor(Math.random() * 64));
+    }
+  } else {
+    let i = 11;
+
+    for (; i >= 0 && lastRandChars[i] === 63; i--) {
+      lastRandChars[i] = 0;
+    }
+
+    lastRandChars[i] += 1;
+  }
+
+  return timeChars.join('') + lastRandChars.map(index => PUSH_CHARS.charAt(index)).join('');
+}
+
+exports.generatePushId = generatePushId;
@@ -0,0 +1,347 @@
+/**
+ * Firebase query parameters and ordering.
+ *
+ * See https://www.firebase.com/docs/rest/guide/retrieving-data.html#section-rest-queries
+ */
+
+'use strict';
+
+const KEY = '$key';
+const VALUE = '$value';
+const PRIORITY = '$priority';
+const MAX_INT = 2147483647;
+const MIN_INT = -2147483648;
+const TYPE_RANKS = {boolean: 1, number: 2, string: 3, object: 4};
+
+const ERR_ORDER_BY_CALLED = 'An orderBy method was already called on this query.';
+const ERR_LIMIT_CALLED = 'A limit was already set on this query.';
+const ERR_INVALID_LIMIT = 'A limit must be a positive integer.';
+const ERR_START_AT_CALLED = 'A start point was already set on this query.';
+const ERR_END_AT_CALLED = 'An end point was already set on this query.';
+const ERR_EQUAL_TO_CALLED = 'An equality constraint was already set on this query.';
+const ERR_EQUAL_TO_RANGE = 'equalTo cannot be combined with startAt or endAt.';
+const ERR_INVALID_CHILD_PATH = 'orderByChild requires a non-empty child path.';
+const ERR_INVALID_VALUE = 'Query values must be null, a boolean, a number or a string.';
+const ERR_INVALID_KEY_VALUE = 'Queries ordered by key only accept string values.';
+const ERR_INVALID_PRIORITY_VALUE = 'Queries ordered by priority only accept null, number or string values.';
+const ERR_NO_ORDER_BY = 'Queries filtering or limiting results require an orderBy method.';
+
+/**
+ * Immutable set of query constraints.
+ *
+ * Each builder method returns a new Query and throws if the constraint is
+ * invalid or conflicts with the existing ones.
+ */
+class Query {
+
+  constructor(params) {
+    this.params = Object.freeze(Object.assign({}, params));
+  }
+
+  orderByChild(path) {
+    if (typeof path !== 'string' || !path.replace(/\//g, '')) {
+      throw new Error(ERR_INVALID_CHILD_PATH);
+    }
+
+    return this.orderBy(path.split('/').filter(Boolean).join('/'));
+  }
+
+  orderByKey() {
+    return this.orderBy(KEY);
+  }
+
+  orderByValue() {
+    return this.orderBy(VALUE);
+  }
+
+  orderByPriority() {
+    return this.orderBy(PRIORITY);
+  }
+
+  orderBy(orderBy) {
+    if (this.params.orderBy !== undefined) {
+      throw new Error(ERR_ORDER_BY_CALLED);
+    }
+
+    return this.with({orderBy});
+  }
+
+  startAt(value) {
+    if (this.params.startAt !== undefined) {
+      throw new Error(ERR_START_AT_CALLED);
+    }
+
+    return this.with({startAt: value});
+  }
+
+  endAt(value) {
+    if (this.params.endAt !== undefined) {
+      throw new Error(ERR_END_AT_CALLED);
+    }
+
+    return this.with({endAt: value});
+  }
+
+  equalTo(value) {
+    if (this.params.equalTo !== undefined) {
+      throw new Error(ERR_EQUAL_TO_CALLED);
+    }
+
+    return this.with({equalTo: value});
+  }
+
+  limitToFirst(limit) {
+    return this.limit({limitToFirst: limit});
+  }
+
+  limitToLast(limit) {
+    return this.limit({limitToLast: limit});
+  }
+
+  limit(params) {
+    if (this.params.limitToFirst !== undefined || this.params.limitToLast !== undefined) {
+      throw new Error(ERR_LIMIT_CALLED);
+    }
+
+    const limit = params.limitToFirst === undefined ? params.limitToLast : params.limitToFirst;
+
+    if (typeof limit !== 'number' || limit < 1 || Math.floor(limit) !== limit) {
+      throw new Error(ERR_INVALID_LIMIT);
+    }
+
+    return this.with(params);
+  }
+
+  with(params) {
+    const query = new Query(Object.assign({}, this.params, params));
+
+    query.validateValues();
+
+    return query;
+  }
+
+  validateValues() {
+    const params = this.params;
+    const values = ['startAt', 'endAt', 'equalTo'].filter(
+      name => params[name] !== undefined
+    ).map(
+      name => params[name]
+    );
+
+    if (params.equalTo !== undefined && values.length > 1) {
+      throw new Error(ERR_EQUAL_TO_RANGE);
+    }
+
+    values.forEach(value => {
+      if (value !== null && ['boolean', 'number', 'string'].indexOf(typeof value) === -1) {
+        throw new Error(ERR_INVALID_VALUE);
+      }
+
+      if (params.orderBy === KEY && typeof value !== 'string') {
+        throw new Error(ERR_INVALID_KEY_VALUE);
+      }
+
+      if (params.orderBy === PRIORITY && typeof value === 'boolean') {
+        throw new Error(ERR_INVALID_PRIORITY_VALUE);
+      }
+    });
+  }
+
+  /**
+   * Query string parameters, with the JSON encoded values Firebase expects.
+   *
+   * @return {object}
+   */
+  toQueryString() {
+    const params = this.params;
+    const qs = {};
+
+    if (params.orderBy === undefined) {
+      if (Object.keys(params).length) {
+        throw new Error(ERR_NO_ORDER_BY);
+      }
+
+      return qs;
+    }
+
+    ['orderBy', 'startAt', 'endAt', 'equalTo'].filter(
+      name => params[name] !== undefined
+    ).forEach(
+      name => (qs[name] = JSON.stringify(params[name]))
+    );
+
+    ['limitToFirst', 'limitToLast'].filter(
+      name => params[name] !== undefined
+    ).forEach(
+      name => (qs[name] = params[name])
+    );
+
+    if (params.orderBy === PRIORITY) {
+      qs.format = 'export';
+    }
+
+    return qs;
+  }
+
+  /**
+   * Sort the children of a query result.
+   *
+   * @param  {object} value query result (in export format when ordered by priority)
+   * @return {array}        list of [key, value] pairs in the query order
+   */
+  entries(value) {
+    if (value === null || typeof value !== 'object') {
+      return [];
+    }
+
+    const orderBy = this.params.orderBy;
+    const entries = Object.keys(value).filter(
+      key => key !== '.priority' && key !== '.value'
+    ).map(
+      key => [key, value[key]]
+    );
+
+    entries.sort(comparator(orderBy));
+
+    if (orderBy !== PRIORITY) {
+      return entries;
+    }
+
+    return entries.map(entry => [entry[0], stripExport(entry[1])]);
+  }
+}
+
+/**
+ * Create a function comparing [key, value] pairs using Firebase ordering.
+ *
+ * Children ordered by priority should be in export format.
+ *
+ * @param  {string}   orderBy "$key", "$value", "$priority" or a child path
+ * @return {function}
+ */
+function comparator(orderBy) {
+  if (orderBy === KEY || orderBy === undefined) {
+    return (a, b) => compareKeys(a[0], b[0]);
+  }
+
+  const sortValue = sortValueOf(orderBy);
+
+  return (a, b) => compareValues(sortValue(a[1]), sortValue(b[1])) || compareKeys(a[0], b[0]);
+}
+
+/**
+ * Create a function returning the value a child is sorted by.
+ *
+ * @param  {string}   orderBy "$value", "$priority" or a child path
+ * @return {function}
+ */
+function sortValueOf(orderBy) {
+  if (orderBy === VALUE) {
+    return value => value;
+  }
+
+  if (orderBy === PRIORITY) {
+    return priorityOf;
+  }
+
+  return value => valueAt(value, orderBy);
+}
+
+/**
+ * Compare keys; keys which are 32-bit integers come first, in numerical
+ * order, followed by the other keys in lexicographical order.
+ */
+function compareKeys(a, b) {
+  const aInt = asInt(a);
+  const bInt = asInt(b);
+
+  if (aInt !== undefined && bInt !== undefined) {
+    return aInt - bInt;
+  }
+
+  if (aInt !== undefined) {
+    return -1;
+  }
+
+  if (bInt !== undefined) {
+    return 1;
+  }
+
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+/**
+ * Compare values; null comes first, then false, true, numbers, strings and
+ * objects.
+ */
+function compareValues(a, b) {
+  const aRank = rank(a);
+  const bRank = rank(b);
+
+  if (aRank !== bRank) {
+    return aRank - bRank;
+  }
+
+  if (aRank === TYPE_RANKS.object || a === b) {
+    return 0;
+  }
+
+  return a < b ? -1 : 1;
+}
+
+function rank(value) {
+  if (value === null || value === undefined) {
+    return 0;
+  }
+
+  return typeof value === 'boolean' ? (value ? 1.5 : 1) : TYPE_RANKS[typeof value];
+}
+
+function asInt(key) {
+  if (!/^-?\d{1,10}$/.test(key)) {
+    return undefined;
+  }
+
+  const value = parseInt(key, 10);
+
+  return value >= MIN_INT && value <= MAX_INT && String(value) === key ? value : undefined;
+}
+
+function valueAt(value, path) {
+  return path.split('/').reduce(
+    (node, key) => (node !== null && typeof node === 'object' && node[key] !== undefined ? node[key] : null),
+    value
+  );
+}
+
+function priorityOf(value) {
+  const priority = value !== null && typeof value === 'object' ? value['.priority'] : undefined;
+
+  return priority === undefined ? null : priority;
+}
+
+function stripExport(value) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  if (value['.value'] !== undefined) {
+    return value['.value'];
+  }
+
+  return Object.keys(value).filter(key => key !== '.priority').reduce((result, key) => {
+    result[key] = stripExport(value[key]);
+    return result;
+  }, {});
+}
+
+exports.KEY = KEY;
+exports.VALUE = VALUE;
+exports.PRIORITY = PRIORITY;
+exports.Query = Query;
+exports.comparator = comparator;
+exports.sortValueOf = sortValueOf;
+exports.compareKeys = compareKeys;
+exports.compareValues = compareValues;
+exports.valueAt = valueAt;
+exports.stripExport = stripExport;
@@ -0,0 +1,202 @@
+/**
+ * Request retries.
+ *
+ * Failed requests are retried with a jittered exponential backoff: the n-th
+ * retry waits between half and all of "minDelay * 2^(n-1)" ms (capped to
+ * "maxDelay").
+ */
+
+'use strict';
+
+const abort = require('./abort');
+
+const DEFAULT_POLICY = {
+  retries: 0,
+  minDelay: 100,
+  maxDelay: 5000,
+  methods: ['GET', 'PUT', 'DELETE'],
+  retryOn: isTransient
+};
+const NETWORK_ERRORS = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+const POLICY_OPTIONS = Object.keys(DEFAULT_POLICY);
+
+const ERR_INVALID_POLICY = 'Invalid retry option:';
+
+/**
+ * Merge a list of retry options with the default policy.
+ *
+ * Options are merged from left to right; "false" disables retries.
+ *
+ * @param  {array}  options
+ * @return {object}
+ */
+function policy(options) {
+  return options.reduce((result, opts) => {
+    if (opts === undefined || opts === null) {
+      return result;
+    }
+
+    if (opts === false) {
+      return Object.assign({}, result, {retries: 0});
+    }
+
+    validate(opts);
+
+    return Object.assign({}, result, opts, {
+      methods: opts.methods ? opts.methods.map(method => method.toUpperCase()) : result.methods
+    });
+  }, DEFAULT_POLICY);
+}
+
+function validate(opts) {
+  Object.keys(opts).forEach(key => {
+    if (POLICY_OPTIONS.indexOf(key) === -1) {
+      throw new Error(`${ERR_INVALID_POLICY} "${key}".`);
+    }
+  });
+
+  ['retries', 'minDelay', 'maxDelay'].forEach(key => {
+    if (opts[key] !== undefined && (typeof opts[key] !== 'number' || opts[key] < 0)) {
+      throw new Error(`${ERR_INVALID_POLICY} "${key}" should be a positive number.`);
+    }
+  });
+
+  if (opts.methods !== undefined && !Array.isArray(opts.methods)) {
+    throw new Error(`${ERR_INVALID_POLICY} "methods" should be a list of HTTP methods.`);
+  }
+
+  if (opts.retryOn !== undefined && typeof opts.retryOn !== 'function' && !Array.isArray(opts.retryOn)) {
+    throw new Error(`${ERR_INVALID_POLICY} "retryOn" should be a function or a list of status codes.`);
+  }
+}
+
+/**
+ * Default "retryOn" test: network errors, timeouts, 429 and 5xx responses.
+ *
+ * @param  {Error}   err
+ * @return {boolean}
+ */
+function isTransient(err) {
+  if (err.status === undefined) {
+    return NETWORK_ERRORS.indexOf(err.code) > -1;
+  }
+
+  return err.status === 429 || err.status >= 500;
+}
+
+function shouldRetry(p, method, err, attempt) {
+  if (attempt > p.retries || p.methods.indexOf(method) === -1 || isAborted(err)) {
+    return false;
+  }
+
+  if (Array.isArray(p.retryOn)) {
+    return p.retryOn.indexOf(err.status) > -1;
+  }
+
+  return p.retryOn(err, attempt) === true;
+}
+
+// Aborted requests are never retried.
+function isAborted(err) {
+  return Boolean(err) && err.code === abort.ABORT_CODE;
+}
+
+/**
+ * Delay (in ms) before a retry.
+ *
+ * @param  {object} p       retry policy
+ * @param  {number} attempt number of failed attempts
+ * @return {number}
+ */
+function backoff(p, attempt) {
+  const cap = Math.min(p.maxDelay, p.minDelay * Math.pow(2, attempt - 1));
+
+  return Math.round(cap / 2 + Math.random() * cap / 2);
+}
+
+/**
+ * Call "fn" until its promise resolves or the policy gives up.
+ *
+ * The final error "attempts" property holds the number of attempts. With a
+ * deadline (a Date or a timestamp in ms), it gives up when the next retry
+ * would start after it. With a signal, it rejects with an abort error as soon
+ * as the signal is aborted while waiting for a retry.
+ *
+ * @param  {object}      p          retry policy
+ * @param  {string}      method     HTTP method
+ * @param  {function}    fn         function returning a promise
+ * @param  {Date|number} [deadline]
+ * @param  {object}      [signal]   AbortSignal-like object
+ * @return {Promise<any,Error>}
+ */
+function run(p, method, fn, deadline, signal) {
+  const attempt = n => fn().catch(err => {
+    const delay = backoff(p, n);
+    const late = deadline !== undefined && Date.now() + delay >= +deadline;
+
+    if (late || !shouldRetry(p, method, err, n)) {
+      if (err && typeof err === 'object') {
+        err.attempts = n;
+      }
+
+      return Promise.reject(err);
+    }
+
+    return wait(delay, signal).then(() => {
+      // A late timer would start the retry after the deadline.
+      if (deadline !== undefined && Date.now() >= +deadline) {
+        err.attempts = n;
+        throw err;
+      }
+
+      return attempt(n + 1);
+    }, abortErr => {
+      abortErr.attempts = n;
+      throw abortErr;
+    });
+  });
+
+  return attempt(1);
+}
+
+/**
+ * Resolve after "delay" ms, or reject with an abort error once the signal is
+ * aborted.
+ *
+ * @param  {number} delay
+ * @param  {object} [signal]
+ * @return {Promise<void,Error>}
+ */
+function wait(delay, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(abort.abortError());
+      return;
+    }
+
+    let timer;
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abort.abortError());
+    };
+
+    timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+
+      resolve();
+    }, delay);
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+  });
+}
+
+exports.DEFAULT_POLICY = DEFAULT_POLICY;
+exports.policy = policy;
+exports.isTransient = isTransient;
+exports.backoff = backoff;
+exports.run = run;
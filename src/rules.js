@@ -0,0 +1,161 @@
+/**
+ * Security rules management.
+ *
+ * Read, update, compare, back up and restore the DB rules document (using
+ * the Firebase secret).
+ */
+
+'use strict';
+
+const fs = require('fs');
+const ruleset = require('./ruleset');
+const tree = require('./tree');
+
+const ERR_INVALID_FRAGMENT = 'The rules fragment should be an object.';
+
+class Rules {
+
+  /**
+   * @param  {function} rootRef returns a reference to the DB root,
+   *                            authenticated with the Firebase secret.
+   */
+  constructor(rootRef) {
+    this.$rootRef = rootRef;
+  }
+
+  /**
+   * Resolve with the rules document as saved, comments included.
+   *
+   * @return {Promise<string,Error>}
+   */
+  getText() {
+    return this.$rootRef().rules();
+  }
+
+  /**
+   * Resolve with the parsed rules document.
+   *
+   * @return {Promise<object,Error>}
+   */
+  get() {
+    return this.getText().then(text => ruleset.parseRules(text));
+  }
+
+  /**
+   * Save a rules document (as an object or as a string).
+   *
+   * @param  {object|string} rules
+   * @return {Promise<void,Error>}
+   */
+  set(rules) {
+    const text = typeof rules === 'string' ? rules : JSON.stringify(rules, null, 2);
+
+    return this.$rootRef().rules(text).then(() => undefined);
+  }
+
+  /**
+   * Update the rules of a node.
+   *
+   * The fragment is merged with the node current rules; null values remove
+   * a rule or a child node. The path is relative to the "rules" object
+   * (e.g. "users/$uid").
+   *
+   * Usage:
+   *
+   *    firebase.rules.patch('users/$uid', {'.write': 'auth.uid === $uid', '.read': null});
+   *
+   * @param  {string} path
+   * @param  {object} fragment
+   * @return {Promise<object,Error>} resolves with the new rules document
+   */
+  patch(path, fragment) {
+    if (!tree.isObject(fragment) || Array.isArray(fragment)) {
+      return Promise.reject(new Error(ERR_INVALID_FRAGMENT));
+    }
+
+    return this.get().then(doc => {
+      const updated = patchAt(doc, ['rules'].concat(tree.splitPath(path)), fragment);
+
+      return this.set(updated).then(() => updated);
+    });
+  }
+
+  /**
+   * List the changes saving the local rules would make.
+   *
+   * Each change has a type ("added", "removed" or "changed"), a path (e.g.
+   * "/rules/users/.read") and the remote ("before") and local ("after")
+   * values.
+   *
+   * @param  {object|string} local
+   * @return {Promise<array,Error>}
+   */
+  diff(local) {
+    return new Promise(
+      resolve => resolve(typeof local === 'string' ? ruleset.parseRules(local) : local)
+    ).then(
+      after => this.get().then(before => tree.diff(before, after))
+    );
+  }
+
+  /**
+   * Format a change list returned by diff() (see "tree.js").
+   *
+   * @param  {array}  changes
+   * @return {string}
+   */
+  format(changes) {
+    return tree.formatDiff(changes);
+  }
+
+  /**
+   * Save the rules document to a file.
+   *
+   * @param  {string} file
+   * @return {Promise<string,Error>} resolves with the saved document
+   */
+  backup(file) {
+    return this.getText().then(text => new Promise((resolve, reject) => {
+      fs.writeFile(file, text, err => (err ? reject(err) : resolve(text)));
+    }));
+  }
+
+  /**
+   * Save the rules document of a file (saved with backup()).
+   *
+   * @param  {string} file
+   * @return {Promise<string,Error>} resolves with the restored document
+   */
+  restore(file) {
+    return new Promise((resolve, reject) => {
+      fs.readFile(file, 'utf8', (err, text) => (err ? reject(err) : resolve(text)));
+    }).then(
+      text => this.set(text).then(() => text)
+    );
+  }
+}
+
+function patchAt(node, segments, fragment) {
+  const result = Object.assign({}, tree.children(node));
+
+  if (segments.length === 0) {
+    Object.keys(fragment).forEach(key => {
+      if (fragment[key] === null) {
+        delete result[key];
+      } else {
+        result[key] = fragment[key];
+      }
+    });
+
+    return result;
+  }
+
+  const key = segments[0];
+
+  result[key] = patchAt(result[key], segments.slice(1), fragment);
+
+  return result;
+}
+
+exports.Rules = Rules;
+exports.format = tree.formatDiff;
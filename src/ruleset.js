@@ -0,0 +1,417 @@
+/**
+ * Firebase security rules.
+ *
+ * Parse a rules document and evaluate its ".read", ".write" and ".validate"
+ * rules for an operation.
+ *
+ * See https://www.firebase.com/docs/security/guide/understanding-security.html
+ */
+
+'use strict';
+
+const expression = require('./expression');
+const query = require('./query');
+const tree = require('./tree');
+
+const RULE_TYPES = ['.read', '.write', '.validate'];
+const ERR_NO_RULES = 'The rules document requires a "rules" object.';
+const ERR_INVALID_RULE = 'Rules should be booleans or expression strings.';
+const ERR_INVALID_INDEX = '".indexOn" should be a string or a list of strings.';
+const ERR_ROOT_PARENT = 'The root has no parent.';
+
+/**
+ * Parse a rules document.
+ *
+ * Like Firebase, it tolerates "//" and "/* ... *\/" comments.
+ *
+ * @param  {string} text
+ * @return {object}
+ */
+function parseRules(text) {
+  return JSON.parse(stripComments(text));
+}
+
+function stripComments(text) {
+  let result = '';
+  let pos = 0;
+
+  while (pos < text.length) {
+    const c = text[pos];
+
+    if (c === '"') {
+      const end = stringEnd(text, pos);
+
+      result += text.slice(pos, end);
+      pos = end;
+    } else if (text.startsWith('//', pos)) {
+      const end = text.indexOf('\n', pos);
+
+      pos = end < 0 ? text.length : end;
+    } else if (text.startsWith('/*', pos)) {
+      const end = text.indexOf('*/', pos + 2);
+
+      pos = end < 0 ? text.length : end + 2;
+    } else {
+      result += c;
+      pos += 1;
+    }
+  }
+
+  return result;
+}
+
+function stringEnd(text, start) {
+  let pos = start + 1;
+
+  while (pos < text.length && text[pos] !== '"') {
+    pos += text[pos] === '\\' ? 2 : 1;
+  }
+
+  return pos + 1;
+}
+
+/**
+ * Snapshot of a location, as exposed to rule expressions ("root", "data" and
+ * "newData").
+ */
+class RuleSnapshot {
+
+  constructor(root, segments) {
+    this.root = root;
+    this.segments = segments;
+  }
+
+  raw() {
+    return tree.getAt(this.root, this.segments);
+  }
+
+  val() {
+    return query.stripExport(this.raw());
+  }
+
+  child(path) {
+    if (typeof path !== 'string') {
+      throw new expression.ExpressionError('child() requires a string path.');
+    }
+
+    return new RuleSnapshot(this.root, this.segments.concat(tree.splitPath(path)));
+  }
+
+  parent() {
+    if (this.segments.length === 0) {
+      throw new expression.ExpressionError(ERR_ROOT_PARENT);
+    }
+
+    return new RuleSnapshot(this.root, this.segments.slice(0, -1));
+  }
+
+  exists() {
+    return this.raw() !== null;
+  }
+
+  hasChild(path) {
+    return this.child(path).exists();
+  }
+
+  hasChildren(keys) {
+    if (keys === undefined) {
+      return tree.isObject(this.val());
+    }
+
+    if (!Array.isArray(keys)) {
+      throw new expression.ExpressionError('hasChildren() requires a list of keys.');
+    }
+
+    return keys.every(key => this.hasChild(key));
+  }
+
+  getPriority() {
+    const value = this.raw();
+
+    return tree.isObject(value) && value['.priority'] !== undefined ? value['.priority'] : null;
+  }
+
+  isNumber() {
+    return typeof this.val() === 'number';
+  }
+
+  isString() {
+    return typeof this.val() === 'string';
+  }
+
+  isBoolean() {
+    return typeof this.val() === 'boolean';
+  }
+}
+
+RuleSnapshot.prototype.ruleMethods = [
+  'val', 'child', 'parent', 'exists', 'hasChild', 'hasChildren', 'getPriority', 'isNumber', 'isString', 'isBoolean'
+];
+
+/**
+ * Compiled rules document.
+ */
+class Ruleset {
+
+  /**
+   * Compile a rules document.
+   *
+   * It throws if the document or one of its rules cannot be parsed.
+   *
+   * @param  {string|object} doc
+   */
+  constructor(doc) {
+    const rules = typeof doc === 'string' ? parseRules(doc) : doc;
+
+    if (!tree.isObject(rules) || !tree.isObject(rules.rules)) {
+      throw new Error(ERR_NO_RULES);
+    }
+
+    this.root = compile(rules.rules, []);
+  }
+
+  /**
+   * Evaluate the ".read" rules of a location.
+   *
+   * The context holds "auth", "now" (in ms) and "root" (the DB value).
+   *
+   * @param  {array}  segments
+   * @param  {object} ctx
+   * @return {object} trace of the evaluated rules
+   */
+  read(segments, ctx) {
+    const root = new RuleSnapshot(ctx.root, []);
+    const trace = {operation: 'read', path: toPath(segments), auth: ctx.auth, rules: [], allowed: false};
+
+    trace.allowed = along(this.root, segments).some(match => {
+      const scope = Object.assign({
+        auth: ctx.auth,
+        now: ctx.now,
+        root,
+        data: root.child(toPath(match.segments))
+      }, match.vars);
+
+      return evaluateRule(match, '.read', scope, trace);
+    });
+
+    return trace;
+  }
+
+  /**
+   * Evaluate the ".write" and ".validate" rules of a write.
+   *
+   * The context holds "auth", "now" (in ms), "root" (the DB value before the
+   * write), "newRoot" (the DB value after the write) and "data" (the request
+   * payload). Each written location must be granted by a ".write" rule and
+   * each new value must pass the ".validate" rules.
+   *
+   * @param  {array}  segments base path of the write
+   * @param  {array}  paths    list of written locations (as segment lists)
+   * @param  {object} ctx
+   * @return {object} trace of the evaluated rules
+   */
+  write(segments, paths, ctx) {
+    const root = new RuleSnapshot(ctx.root, []);
+    const newRoot = new RuleSnapshot(ctx.newRoot, []);
+    const trace = {
+      operation: 'write',
+      path: toPath(segments),
+      auth: ctx.auth,
+      data: ctx.data,
+      rules: [],
+      allowed: false
+    };
+    const scopeOf = match => {
+      const path = toPath(match.segments);
+
+      return Object.assign({
+        auth: ctx.auth,
+        now: ctx.now,
+        root,
+        data: root.child(path),
+        newData: newRoot.child(path)
+      }, match.vars);
+    };
+
+    const granted = paths.every(
+      path => along(this.root, path).some(match => evaluateRule(match, '.write', scopeOf(match), trace))
+    );
+
+    if (!granted) {
+      return trace;
+    }
+
+    const validated = {};
+
+    trace.allowed = paths.every(path => {
+      const matches = along(this.root, path);
+      const last = matches[matches.length - 1];
+      const toValidate = last.segments.length === path.length ?
+        matches.slice(0, -1).concat(descendants(last, ctx.newRoot)) :
+        matches;
+
+      return toValidate.every(match => {
+        const key = toPath(match.segments);
+
+        if (validated[key] || tree.getAt(ctx.newRoot, match.segments) === null) {
+          return true;
+        }
+
+        validated[key] = true;
+
+        return !match.node.rules['.validate'] || evaluateRule(match, '.validate', scopeOf(match), trace);
+      });
+    });
+
+    return trace;
+  }
+
+  /**
+   * List the ".indexOn" fields of a location.
+   *
+   * @param  {array} segments
+   * @return {array}
+   */
+  indexOn(segments) {
+    const matches = along(this.root, segments);
+    const last = matches[matches.length - 1];
+
+    return last.segments.length === segments.length ? last.node.indexOn : [];
+  }
+}
+
+function compile(rules, segments) {
+  const node = {rules: {}, children: {}, wildcard: undefined, indexOn: []};
+
+  Object.keys(rules).forEach(key => {
+    const value = rules[key];
+
+    if (RULE_TYPES.indexOf(key) > -1) {
+      node.rules[key] = compileRule(value, segments, key);
+    } else if (key === '.indexOn') {
+      node.indexOn = compileIndex(value, segments);
+    } else if (key[0] === '$') {
+      node.wildcard = {name: key, node: compile(value || {}, segments.concat(key))};
+    } else if (key[0] !== '.') {
+      node.children[key] = compile(value || {}, segments.concat(key));
+    }
+  });
+
+  return node;
+}
+
+function compileRule(value, segments, type) {
+  if (typeof value === 'boolean') {
+    return {source: String(value), ast: {type: 'literal', value}};
+  }
+
+  if (typeof value !== 'string') {
+    throw new Error(`${toPath(segments)}/${type}: ${ERR_INVALID_RULE}`);
+  }
+
+  try {
+    return {source: value, ast: expression.parse(value)};
+  } catch (e) {
+    throw new Error(`${toPath(segments)}/${type}: ${e.message}`);
+  }
+}
+
+function compileIndex(value, segments) {
+  const fields = [].concat(value);
+
+  if (fields.some(field => typeof field !== 'string')) {
+    throw new Error(`${toPath(segments)}/.indexOn: ${ERR_INVALID_INDEX}`);
+  }
+
+  return fields;
+}
+
+/**
+ * List the rule nodes matching a path, from the root; each match holds the
+ * rule node, its location and the wildcard variables.
+ */
+function along(root, segments) {
+  const matches = [{node: root, segments: [], vars: {}}];
+
+  segments.every((key, i) => {
+    const parent = matches[i];
+    const match = matchChild(parent, key);
+
+    if (match) {
+      matches.push(match);
+    }
+
+    return match !== undefined;
+  });
+
+  return matches;
+}
+
+function matchChild(parent, key) {
+  const segments = parent.segments.concat(key);
+
+  if (parent.node.children.hasOwnProperty(key)) {
+    return {node: parent.node.children[key], segments, vars: parent.vars};
+  }
+
+  const wildcard = parent.node.wildcard;
+
+  if (wildcard === undefined) {
+    return undefined;
+  }
+
+  const vars = Object.assign({}, parent.vars);
+
+  vars[wildcard.name] = key;
+
+  return {node: wildcard.node, segments, vars};
+}
+
+/**
+ * List a match and the matches of its descendants in a value.
+ */
+function descendants(match, root) {
+  const value = tree.getAt(root, match.segments);
+
+  return [match].concat(
+    Object.keys(tree.children(value)).filter(
+      key => key[0] !== '.'
+    ).map(
+      key => matchChild(match, key)
+    ).filter(
+      child => child !== undefined
+    ).reduce(
+      (result, child) => result.concat(descendants(child, root)),
+      []
+    )
+  );
+}
+
+function evaluateRule(match, type, scope, trace) {
+  const rule = match.node.rules[type];
+
+  if (!rule) {
+    return false;
+  }
+
+  const entry = {path: toPath(match.segments), type, expression: rule.source};
+
+  try {
+    entry.result = expression.evaluate(rule.ast, scope) === true;
+  } catch (e) {
+    entry.result = false;
+    entry.error = e.message;
+  }
+
+  trace.rules.push(entry);
+
+  return entry.result;
+}
+
+function toPath(segments) {
+  return `/${segments.join('/')}`;
+}
+
+exports.parseRules = parseRules;
+exports.RuleSnapshot = RuleSnapshot;
+exports.Ruleset = Ruleset;
@@ -0,0 +1,320 @@
+/**
+ * Multi-user scenarios.
+ *
+ * A scenario gives each user a client factory and runs their steps in a
+ * given interleaving, or in a random one drawn from a seed, one step at a
+ * time. Each run records a per-user timeline of the requests, responses
+ * (with their rules debug message) and network errors of the users'
+ * references; a failing run rejects with a ScenarioError holding its seed
+ * and interleaving, so that it can be run again.
+ */
+
+'use strict';
+
+const errors = require('./errors');
+
+const DEFAULT_RUNS = 10;
+
+const ERR_NO_USERS = 'A scenario requires a map of users to auth tokens or client factories.';
+const ERR_INVALID_STEPS = 'Scenario steps should map users to lists of functions.';
+const ERR_INVALID_ORDER = 'The order should list each user once per step.';
+const ERR_INVALID_SEED = 'The seed should be a positive integer.';
+
+class Scenario {
+
+  /**
+   * Options:
+   *
+   * - users: map of user names to their auth token, client factory (e.g.
+   *   `firebase.asUser(uid)`) or null for unauthenticated requests.
+   *
+   * @param  {function} firebase client factory
+   * @param  {object}   opts
+   */
+  constructor(firebase, opts) {
+    const users = opts && opts.users;
+
+    if (!users || typeof users !== 'object' || Object.keys(users).length === 0) {
+      throw new Error(ERR_NO_USERS);
+    }
+
+    this.$firebase = firebase;
+    this.$run = undefined;
+    this.users = Object.keys(users).reduce((factories, name) => {
+      factories[name] = this.$userFactory(name, users[name]);
+      return factories;
+    }, {});
+  }
+
+  $userFactory(name, user) {
+    const recorder = this.$recorder(name);
+    let create;
+
+    if (typeof user === 'function') {
+      create = refOpts => user(refOpts);
+    } else if (user === null || user === undefined) {
+      create = refOpts => this.$firebase(refOpts);
+    } else {
+      create = refOpts => this.$firebase(Object.assign({}, refOpts, {auth: user}));
+    }
+
+    return refOpts => create(refOpts).use(recorder);
+  }
+
+  /**
+   * Create the interceptor recording the requests of a user to the timeline
+   * of the current run.
+   *
+   * @param  {string} name
+   * @return {object}
+   */
+  $recorder(name) {
+    const record = (req, entry) => {
+      const run = this.$run;
+
+      if (run) {
+        run.timeline[name].push(Object.assign({
+          seq: run.seq++,
+          time: Date.now() - run.start,
+          step: run.step,
+          method: req.method,
+          path: requestPath(req)
+        }, entry));
+      }
+    };
+
+    return {
+      request: req => {
+        record(req, {type: 'request', payload: req.payload});
+      },
+      response: (req, resp) => {
+        record(req, {
+          type: 'response',
+          status: resp.statusCode,
+          duration: resp.duration,
+          authDebug: resp.authDebug,
+          body: resp.body
+        });
+      },
+      error: (req, err) => {
+        if (err.status === undefined) {
+          record(req, {type: 'error', error: err.message, code: err.code});
+        }
+      }
+    };
+  }
+
+  /**
+   * Run the users' steps, one at a time.
+   *
+   * Each step is called with the user client factory and a state object
+   * shared by the steps of the run, and can return a promise.
+   *
+   * Options:
+   *
+   * - order: list of user names giving the interleaving (each user once
+   *   per step);
+   * - seed: seed of a random interleaving (a random one by default);
+   * - setup: function called (and waited for) before the first step.
+   *
+   * It resolves with the seed, the interleaving, the results of each user's
+   * steps and the timeline of each user ({seed, order, results, timeline}).
+   * Timeline entries have a type ("request", "response" or "error"), a
+   * sequence number ordering the entries of all users, a time (in ms since
+   * the start of the run), the step index, the request method and path,
+   * and the payload, or the response status, duration, rules debug message
+   * and body, or the error message and code.
+   *
+   * A scenario runs one run at a time.
+   *
+   * @param  {object} steps user names to lists of steps
+   * @param  {object} [opts]
+   * @return {Promise<object,ScenarioError>}
+   */
+  run(steps, opts) {
+    return new Promise(resolve => {
+      this.$validateSteps(steps);
+
+      const order = opts && opts.order;
+      const seed = order ? undefined : validateSeed(opts && opts.seed !== undefined ? opts.seed : randomSeed());
+
+      resolve({seed, order: order ? validateOrder(steps, order) : interleave(steps, seed)});
+    }).then(plan => {
+      const run = {
+        seed: plan.seed,
+        order: plan.order,
+        step: undefined,
+        seq: 0,
+        start: Date.now(),
+        timeline: mapUsers(this.users, () => []),
+        results: mapUsers(this.users, () => [])
+      };
+      const state = {};
+      const setup = opts && opts.setup;
+
+      this.$run = run;
+
+      return Promise.resolve(setup && setup()).then(
+        () => run.order.reduce((previous, name) => previous.then(() => {
+          const index = run.results[name].length;
+
+          run.step = index;
+
+          return Promise.resolve().then(
+            () => steps[name][index](this.users[name], state)
+          ).then(result => {
+            run.results[name].push(result);
+          }, err => {
+            throw new errors.ScenarioError(run, name, index, err);
+          });
+        }), Promise.resolve())
+      ).then(() => {
+        this.$run = undefined;
+
+        return {seed: run.seed, order: run.order, results: run.results, timeline: run.timeline};
+      }, err => {
+        this.$run = undefined;
+        throw err;
+      });
+    });
+  }
+
+  /**
+   * Run the steps in several random interleavings, until one fails.
+   *
+   * Runs use consecutive seeds from "seed". Options are "runs" (10 by
+   * default), "seed" and "setup" (called before each run; see run()).
+   *
+   * It resolves with the result of each run, or rejects with the
+   * ScenarioError of the first failing run.
+   *
+   * @param  {object} steps
+   * @param  {object} [opts]
+   * @return {Promise<array,ScenarioError>}
+   */
+  explore(steps, opts) {
+    const runs = opts && opts.runs !== undefined ? opts.runs : DEFAULT_RUNS;
+    const first = opts && opts.seed !== undefined ? opts.seed : randomSeed();
+    const results = [];
+    const attempt = i => (i >= runs ? Promise.resolve(results) : this.run(steps, {
+      seed: (first + i) % 0x100000000,
+      setup: opts && opts.setup
+    }).then(result => {
+      results.push(result);
+      return attempt(i + 1);
+    }));
+
+    return attempt(0);
+  }
+
+  $validateSteps(steps) {
+    if (!steps || typeof steps !== 'object') {
+      throw new Error(ERR_INVALID_STEPS);
+    }
+
+    Object.keys(steps).forEach(name => {
+      if (!this.users.hasOwnProperty(name)) {
+        throw new Error(`Unknown scenario user: "${name}".`);
+      }
+
+      if (!Array.isArray(steps[name]) || steps[name].some(step => typeof step !== 'function')) {
+        throw new Error(ERR_INVALID_STEPS);
+      }
+    });
+  }
+}
+
+/**
+ * Draw an interleaving of the users' steps.
+ *
+ * @param  {object} steps
+ * @param  {number} seed
+ * @return {array}
+ */
+function interleave(steps, seed) {
+  const random = prng(seed);
+  const remaining = mapUsers(steps, list => list.length);
+  const order = [];
+  let names = Object.keys(steps).filter(name => remaining[name] > 0);
+
+  while (names.length > 0) {
+    const name = names[Math.floor(random() * names.length)];
+
+    order.push(name);
+    remaining[name] -= 1;
+    names = names.filter(other => remaining[other] > 0);
+  }
+
+  return order;
+}
+
+/**
+ * Mulberry32 pseudo-random generator; returns numbers in [0, 1).
+ *
+ * @param  {number}   seed
+ * @return {function}
+ */
+function prng(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+
+    let t = state;
+
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+}
+
+function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+function validateSeed(seed) {
+  if (typeof seed !== 'number' || seed < 0 || Math.floor(seed) !== seed) {
+    throw new Error(ERR_INVALID_SEED);
+  }
+
+  return seed;
+}
+
+function validateOrder(steps, order) {
+  const counts = mapUsers(steps, () => 0);
+
+  if (!Array.isArray(order)) {
+    throw new Error(ERR_INVALID_ORDER);
+  }
+
+  order.forEach(name => {
+    if (!counts.hasOwnProperty(name)) {
+      throw new Error(ERR_INVALID_ORDER);
+    }
+
+    counts[name] += 1;
+  });
+
+  if (Object.keys(steps).some(name => counts[name] !== steps[name].length)) {
+    throw new Error(ERR_INVALID_ORDER);
+  }
+
+  return order.slice();
+}
+
+function mapUsers(users, fn) {
+  return Object.keys(users).reduce((result, name) => {
+    result[name] = fn(users[name]);
+    return result;
+  }, {});
+}
+
+function requestPath(req) {
+  const path = req.url.replace(/^https?:\/\/[^\/]+/, '').replace(/\.json$/, '');
+
+  return path || '/';
+}
+
+exports.Scenario = Scenario;
+exports.interleave = interleave;
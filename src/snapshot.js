@@ -0,0 +1,132 @@
+/**
+ * Location values with their priority.
+ *
+ * A DataSnapshot wraps a value in the export format (see
+ * https://www.firebase.com/docs/rest/api/#section-param-format), with an API
+ * close to the realtime SDK one.
+ */
+
+'use strict';
+
+const query = require('./query');
+const tree = require('./tree');
+
+const PRIORITY_KEY = '.priority';
+const VALUE_KEY = '.value';
+
+class DataSnapshot {
+
+  /**
+   * @param  {Request} ref      location (or query) of the value
+   * @param  {any}     exported value in export format
+   */
+  constructor(ref, exported) {
+    this.ref = ref;
+    this.$exported = exported === undefined ? null : exported;
+  }
+
+  /**
+   * Last segment of the location path; null for the DB root.
+   *
+   * @type {string|null}
+   */
+  get key() {
+    return this.ref.key;
+  }
+
+  /**
+   * Return the value, without priorities.
+   *
+   * @return {any}
+   */
+  val() {
+    return query.stripExport(this.$exported);
+  }
+
+  /**
+   * Return the value in export format (with priorities).
+   *
+   * @return {any}
+   */
+  exportVal() {
+    return this.$exported;
+  }
+
+  toJSON() {
+    return this.exportVal();
+  }
+
+  exists() {
+    return this.$exported !== null;
+  }
+
+  getPriority() {
+    const value = this.$exported;
+
+    return tree.isObject(value) && value[PRIORITY_KEY] !== undefined ? value[PRIORITY_KEY] : null;
+  }
+
+  /**
+   * Return the snapshot of a descendant location.
+   *
+   * @param  {string}       path relative path
+   * @return {DataSnapshot}
+   */
+  child(path) {
+    const segments = tree.splitPath(path);
+    const value = segments.reduce(
+      (node, key) => (tree.isObject(node) && !isSpecial(key) && node[key] !== undefined ? node[key] : null),
+      this.$exported
+    );
+
+    return new DataSnapshot(this.ref.child(segments), value);
+  }
+
+  hasChild(path) {
+    return this.child(path).exists();
+  }
+
+  hasChildren() {
+    return this.numChildren() > 0;
+  }
+
+  numChildren() {
+    return childKeys(this.$exported).length;
+  }
+
+  /**
+   * Call "action" with the snapshot of each child, in the query order (by
+   * key by default), until it returns true.
+   *
+   * @param  {function} action
+   * @return {boolean}         true if the iteration was cancelled
+   */
+  forEach(action) {
+    const orderBy = this.ref.query ? this.ref.query.params.orderBy : undefined;
+    const compare = query.comparator(orderBy);
+    const sortable = entry => (orderBy === query.PRIORITY ? entry : [entry[0], query.stripExport(entry[1])]);
+    const entries = childKeys(this.$exported).map(
+      key => [key, this.$exported[key]]
+    ).sort(
+      (a, b) => compare(sortable(a), sortable(b))
+    );
+
+    return entries.some(
+      entry => action(new DataSnapshot(this.ref.child(entry[0]), entry[1])) === true
+    );
+  }
+}
+
+function isSpecial(key) {
+  return key === PRIORITY_KEY || key === VALUE_KEY;
+}
+
+function childKeys(value) {
+  if (!tree.isObject(value) || value[VALUE_KEY] !== undefined) {
+    return [];
+  }
+
+  return Object.keys(value).filter(key => !isSpecial(key));
+}
+
+exports.DataSnapshot = DataSnapshot;
@@ -0,0 +1,152 @@
+/**
+ * Firebase custom auth tokens.
+ *
+ * See https://www.firebase.com/docs/rest/guide/user-auth.html#section-token-generation
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const TOKEN_VERSION = 0;
+const MAX_UID_LENGTH = 256;
+const ERR_NO_SECRET = 'A Firebase secret is required to sign a token.';
+const ERR_INVALID_UID = 'The token data requires a uid (a string of 256 characters or less).';
+const ERR_INVALID_DATE = 'Token dates should be Date objects or timestamps in seconds.';
+const ERR_INVALID_TOKEN = 'Could not parse auth token.';
+const ERR_INVALID_SIGNATURE = 'Invalid auth token signature.';
+const ERR_EXPIRED_TOKEN = 'Auth token is expired.';
+const ERR_TOKEN_NOT_VALID_YET = 'Auth token is not valid yet.';
+
+/**
+ * Create a HS256 signed Firebase custom token.
+ *
+ * Options:
+ *
+ * - admin: bypass the security rules;
+ * - debug: enable security rules debug messages;
+ * - expires, notBefore: Date objects or timestamps in seconds;
+ * - iat: the issue time (Date object or timestamp in seconds; default to now).
+ *
+ * @param  {string} secret Firebase secret
+ * @param  {object} data   token data, available to the rules as "auth"
+ * @param  {object} [opts]
+ * @return {string}
+ */
+function createToken(secret, data, opts) {
+  opts = opts || {};
+
+  if (!secret) {
+    throw new Error(ERR_NO_SECRET);
+  }
+
+  if (!opts.admin || (data && data.uid !== undefined)) {
+    validateUid(data && data.uid);
+  }
+
+  const claims = {
+    v: TOKEN_VERSION,
+    iat: opts.iat === undefined ? Math.floor(Date.now() / 1000) : toSeconds(opts.iat),
+    d: data || {}
+  };
+
+  if (opts.expires !== undefined) {
+    claims.exp = toSeconds(opts.expires);
+  }
+
+  if (opts.notBefore !== undefined) {
+    claims.nbf = toSeconds(opts.notBefore);
+  }
+
+  if (opts.admin) {
+    claims.admin = true;
+  }
+
+  if (opts.debug) {
+    claims.debug = true;
+  }
+
+  const header = {typ: 'JWT', alg: 'HS256'};
+  const unsigned = `${encode(JSON.stringify(header))}.${encode(JSON.stringify(claims))}`;
+
+  return `${unsigned}.${sign(secret, unsigned)}`;
+}
+
+/**
+ * Decode a Firebase custom token and return its claims.
+ *
+ * The signature is verified when a secret is given. It throws if the token
+ * cannot be parsed, if its signature is invalid or if it is expired.
+ *
+ * @param  {string} token
+ * @param  {string} [secret]
+ * @param  {number} [now]    current time in ms
+ * @return {object}
+ */
+function decodeToken(token, secret, now) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  let claims;
+
+  try {
+    claims = parts.length === 3 && JSON.parse(decode(parts[1]));
+  } catch (e) {
+    claims = undefined;
+  }
+
+  if (!claims || typeof claims !== 'object') {
+    throw new Error(ERR_INVALID_TOKEN);
+  }
+
+  if (secret && sign(secret, `${parts[0]}.${parts[1]}`) !== parts[2]) {
+    throw new Error(ERR_INVALID_SIGNATURE);
+  }
+
+  const seconds = Math.floor((now === undefined ? Date.now() : now) / 1000);
+
+  if (claims.exp !== undefined && claims.exp <= seconds) {
+    throw new Error(ERR_EXPIRED_TOKEN);
+  }
+
+  if (claims.nbf !== undefined && claims.nbf > seconds) {
+    throw new Error(ERR_TOKEN_NOT_VALID_YET);
+  }
+
+  return claims;
+}
+
+function validateUid(uid) {
+  if (typeof uid !== 'string' || uid.length > MAX_UID_LENGTH) {
+    throw new Error(ERR_INVALID_UID);
+  }
+}
+
+function toSeconds(date) {
+  if (date instanceof Date) {
+    return Math.floor(date.getTime() / 1000);
+  }
+
+  if (typeof date !== 'number' || isNaN(date)) {
+    throw new Error(ERR_INVALID_DATE);
+  }
+
+  return date;
+}
+
+function sign(secret, input) {
+  return urlSafe(crypto.createHmac('sha256', secret).update(input).digest('base64'));
+}
+
+function encode(str) {
+  return urlSafe(new Buffer(str, 'utf8').toString('base64'));
+}
+
+function decode(str) {
+  return new Buffer(str.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+}
+
+function urlSafe(base64) {
+  return base64.replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+exports.createToken = createToken;
+exports.decodeToken = decodeToken;
@@ -0,0 +1,336 @@
+/**
+ * Export and import of large trees.
+ *
+ * Exports walk the tree with shallow queries and fetch its subtrees (in the
+ * export format, to keep priorities) with a bounded number of concurrent
+ * requests. Imports split a value into multi-path updates of bounded size;
+ * bulk updates split a multi-path update the same way, without splitting
+ * its values.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const abort = require('./abort');
+const tree = require('./tree');
+
+const DEFAULT_CONCURRENCY = 5;
+const DEFAULT_DEPTH = 1;
+const DEFAULT_CHUNK_SIZE = 1024 * 1024;
+
+const ERR_INVALID_CONCURRENCY = 'The concurrency should be a positive integer.';
+const ERR_INVALID_DEPTH = 'The depth should be a positive integer.';
+const ERR_INVALID_CHUNK_SIZE = 'The chunk size should be a positive integer.';
+const ERR_INVALID_UPDATES = 'The updates should be an object mapping paths to values.';
+
+/**
+ * Create a function queuing calls to "fn" so that no more than "concurrency"
+ * promises are pending at a time.
+ *
+ * @param  {number}   concurrency
+ * @return {function}
+ */
+function limiter(concurrency) {
+  const queue = [];
+  let pending = 0;
+
+  const next = () => {
+    if (pending >= concurrency || queue.length === 0) {
+      return;
+    }
+
+    const task = queue.shift();
+
+    pending += 1;
+    task.fn().then(
+      value => {
+        pending -= 1;
+        task.resolve(value);
+        next();
+      },
+      err => {
+        pending -= 1;
+        task.reject(err);
+        next();
+      }
+    );
+  };
+
+  return fn => new Promise((resolve, reject) => {
+    queue.push({fn, resolve, reject});
+    next();
+  });
+}
+
+/**
+ * Export the value of a location.
+ *
+ * Options:
+ *
+ * - depth: depth of the subtrees fetched in one request (1 by default: each
+ *   child is fetched separately); the tree is walked with shallow queries
+ *   above that depth;
+ * - concurrency: maximum number of concurrent requests (5 by default);
+ * - file: path of a file to save the value to (as JSON);
+ * - stream: writable stream to save the value to (as JSON; the stream is
+ *   not ended);
+ * - signal / deadline: request options of each read (see
+ *   `Request.requestOpts()`).
+ *
+ * Primitive values above the walked depth lose their priority.
+ *
+ * @param  {Request} ref
+ * @param  {object}  [opts]
+ * @return {Promise<any,Error>} resolves with the exported value
+ */
+function exportTree(ref, opts) {
+  opts = opts || {};
+
+  const depth = opts.depth === undefined ? DEFAULT_DEPTH : opts.depth;
+  const concurrency = opts.concurrency === undefined ? DEFAULT_CONCURRENCY : opts.concurrency;
+
+  if (!isPositiveInt(depth)) {
+    return Promise.reject(new Error(ERR_INVALID_DEPTH));
+  }
+
+  if (!isPositiveInt(concurrency)) {
+    return Promise.reject(new Error(ERR_INVALID_CONCURRENCY));
+  }
+
+  const run = limiter(concurrency);
+  const callOpts = abort.callOptions(opts);
+  const walk = (node, level) => {
+    if (level === 0) {
+      return run(() => node.get(Object.assign({format: 'export'}, callOpts)));
+    }
+
+    return run(() => node.get(Object.assign({shallow: true}, callOpts))).then(shallow => {
+      if (!tree.isObject(shallow)) {
+        return shallow;
+      }
+
+      const keys = Object.keys(shallow);
+
+      return Promise.all(keys.map(
+        key => (shallow[key] === true ? walk(node.child(key), level - 1) : shallow[key])
+      )).then(values => keys.reduce((result, key, i) => {
+        if (values[i] !== null) {
+          result[key] = values[i];
+        }
+
+        return result;
+      }, {}));
+    });
+  };
+
+  return walk(ref, depth).then(value => save(value, opts).then(() => value));
+}
+
+function save(value, opts) {
+  if (opts.file === undefined && opts.stream === undefined) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const json = JSON.stringify(value);
+
+    if (opts.file !== undefined) {
+      fs.writeFile(opts.file, json, err => (err ? reject(err) : resolve()));
+      return;
+    }
+
+    opts.stream.on('error', reject);
+    opts.stream.write(json, 'utf8', err => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * Import a value to a location, using multi-path updates of bounded size.
+ *
+ * The source can be a value, the path of a JSON file or a readable stream of
+ * JSON. Like update(), it merges the value with the location's current one.
+ *
+ * Options:
+ *
+ * - chunkSize: maximum size of an update payload (1MB by default); a
+ *   primitive value larger than that is still written in one update;
+ * - progress: function called after each update with the number of
+ *   written updates and bytes and their totals ({updates, totalUpdates,
+ *   bytes, totalBytes});
+ * - signal / deadline: request options of each update; no update is sent
+ *   once the signal is aborted or the deadline passed.
+ *
+ * @param  {Request}                    ref
+ * @param  {any|string|stream.Readable} source
+ * @param  {object}                     [opts]
+ * @return {Promise<object,Error>} resolves with the number of written updates and bytes
+ */
+function importTree(ref, source, opts) {
+  opts = opts || {};
+
+  const chunkSize = opts.chunkSize === undefined ? DEFAULT_CHUNK_SIZE : opts.chunkSize;
+  const progress = opts.progress || (() => undefined);
+
+  if (!isPositiveInt(chunkSize)) {
+    return Promise.reject(new Error(ERR_INVALID_CHUNK_SIZE));
+  }
+
+  return load(source).then(value => {
+    if (!tree.isObject(value)) {
+      return ref.set(value, abort.callOptions(opts)).then(() => ({updates: 1, bytes: size(value)}));
+    }
+
+    return writeBatches(ref, chunk(value, chunkSize), progress, opts);
+  });
+}
+
+/**
+ * Send a multi-path update as several updates of bounded size.
+ *
+ * The paths are kept in order and their values are not split (a value
+ * larger than the chunk size is written in its own update); unlike a single
+ * update, the whole update is not atomic.
+ *
+ * Options are "chunkSize", "progress", "signal" and "deadline" (see
+ * importTree()).
+ *
+ * @param  {Request} ref
+ * @param  {object}  updates paths (relative to the reference) and their values
+ * @param  {object}  [opts]
+ * @return {Promise<object,Error>} resolves with the number of written updates and bytes
+ */
+function bulkUpdate(ref, updates, opts) {
+  opts = opts || {};
+
+  const chunkSize = opts.chunkSize === undefined ? DEFAULT_CHUNK_SIZE : opts.chunkSize;
+  const progress = opts.progress || (() => undefined);
+
+  if (!isPositiveInt(chunkSize)) {
+    return Promise.reject(new Error(ERR_INVALID_CHUNK_SIZE));
+  }
+
+  if (!tree.isObject(updates) || Array.isArray(updates)) {
+    return Promise.reject(new Error(ERR_INVALID_UPDATES));
+  }
+
+  const entries = Object.keys(updates).map(path => ({
+    path,
+    value: updates[path],
+    bytes: size(updates[path]) + size(path)
+  }));
+
+  return writeBatches(ref, group(entries, chunkSize), progress, opts);
+}
+
+function writeBatches(ref, batches, progress, opts) {
+  const totalUpdates = batches.length;
+  const totalBytes = batches.reduce((total, batch) => total + batch.bytes, 0);
+  const written = {updates: 0, bytes: 0};
+  const callOpts = abort.callOptions(opts);
+
+  // An aborted or expired update rejects without being sent, which stops
+  // the remaining ones.
+  return batches.reduce((previous, batch) => previous.then(
+    () => ref.update(batch.payload, callOpts)
+  ).then(() => {
+    written.updates += 1;
+    written.bytes += batch.bytes;
+    progress({updates: written.updates, totalUpdates, bytes: written.bytes, totalBytes});
+  }), Promise.resolve()).then(
+    () => written
+  );
+}
+
+function load(source) {
+  if (typeof source === 'string') {
+    return new Promise((resolve, reject) => {
+      fs.readFile(source, 'utf8', (err, text) => (err ? reject(err) : resolve(text)));
+    }).then(text => JSON.parse(text));
+  }
+
+  if (source && typeof source.pipe === 'function') {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+
+      source.on('data', data => chunks.push(new Buffer(data)));
+      source.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      source.on('error', reject);
+    }).then(text => JSON.parse(text));
+  }
+
+  return Promise.resolve(source);
+}
+
+/**
+ * Split an object into multi-path update payloads of bounded size.
+ *
+ * Each payload is returned with its size ({payload, bytes}).
+ *
+ * @param  {object} value
+ * @param  {number} chunkSize
+ * @return {array}
+ */
+function chunk(value, chunkSize) {
+  const updates = [];
+  const split = (node, segments) => Object.keys(node).forEach(key => {
+    const path = segments.concat(key);
+    const child = node[key];
+    const bytes = size(child) + size(path.join('/'));
+
+    if (bytes > chunkSize && isSplittable(child)) {
+      split(child, path);
+    } else {
+      updates.push({path: path.join('/'), value: child, bytes});
+    }
+  });
+
+  split(value, []);
+
+  return group(updates, chunkSize);
+}
+
+/**
+ * Group a list of updates ({path, value, bytes}) into payloads of bounded
+ * size, keeping their order.
+ *
+ * @param  {array}  updates
+ * @param  {number} chunkSize
+ * @return {array}
+ */
+function group(updates, chunkSize) {
+  return updates.reduce((batches, update) => {
+    const last = batches[batches.length - 1];
+
+    if (last && last.bytes + update.bytes <= chunkSize) {
+      last.payload[update.path] = update.value;
+      last.bytes += update.bytes;
+    } else {
+      batches.push({payload: {[update.path]: update.value}, bytes: update.bytes});
+    }
+
+    return batches;
+  }, []);
+}
+
+function isSplittable(value) {
+  return (
+    tree.isObject(value) &&
+    !Array.isArray(value) &&
+    value['.value'] === undefined &&
+    Object.keys(value).length > 0
+  );
+}
+
+function size(value) {
+  return Buffer.byteLength(JSON.stringify(value === undefined ? null : value), 'utf8');
+}
+
+function isPositiveInt(value) {
+  return typeof value === 'number' && value > 0 && Math.floor(value) === value;
+}
+
+exports.limiter = limiter;
+exports.exportTree = exportTree;
+exports.importTree = importTree;
+exports.bulkUpdate = bulkUpdate;
+exports.chunk = chunk;
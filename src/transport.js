@@ -0,0 +1,230 @@
+/**
+ * HTTP transports.
+ *
+ * A transport sends one request and resolves with its response:
+ *
+ *    transport({method, url, headers, body, timeout, signal}).then(
+ *      resp => console.log(resp.statusCode, resp.statusMessage, resp.headers, resp.body)
+ *    );
+ *
+ * The request "url" includes the query string, "body" is a string (or
+ * undefined), "timeout" the maximum duration of the request in ms and
+ * "signal" an AbortSignal-like object (see "abort.js") or undefined; the
+ * response "headers" have lower case names and "body" is the decoded text.
+ * Requests failing before a response is received reject with an error with
+ * a "code" (e.g. "ECONNREFUSED", "ETIMEDOUT" when the request timed out or
+ * "ABORT_ERR" when it was aborted).
+ *
+ * The http transport follows the redirects of GET requests (up to 10 of
+ * them; "ERR_TOO_MANY_REDIRECTS" beyond); other requests resolve with the
+ * redirect response.
+ *
+ * Any function implementing this interface (e.g. a fetch based or in-memory
+ * one) can be used as the "transport" option of a factory or a reference.
+ */
+
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const url = require('url');
+const zlib = require('zlib');
+const abort = require('./abort');
+
+const DEFAULT_MAX_SOCKETS = 16;
+const TIMEOUT_CODE = 'ETIMEDOUT';
+const RESET_CODE = 'ECONNRESET';
+const REDIRECT_CODE = 'ERR_TOO_MANY_REDIRECTS';
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const MAX_REDIRECTS = 10;
+
+let defaultTransport;
+
+/**
+ * Create a transport built on the node "http" and "https" modules.
+ *
+ * Options:
+ *
+ * - keepAlive: keep idle sockets open for later requests (true by default);
+ * - maxSockets: maximum number of sockets per host (16 by default); extra
+ *   requests are queued;
+ * - gzip: request gzip compressed responses (true by default).
+ *
+ * @param  {object}   [opts]
+ * @return {function}
+ */
+function createHttpTransport(opts) {
+  const agentOpts = {
+    keepAlive: !opts || opts.keepAlive === undefined ? true : opts.keepAlive,
+    maxSockets: opts && opts.maxSockets || DEFAULT_MAX_SOCKETS
+  };
+  const gzip = !opts || opts.gzip === undefined ? true : opts.gzip;
+  const agents = {
+    'http:': new http.Agent(agentOpts),
+    'https:': new https.Agent(agentOpts)
+  };
+  // Sockets released to the pool: their next request reuses them (the
+  // request "reusedSocket" property requires node 13).
+  const freed = new WeakSet();
+
+  Object.keys(agents).forEach(key => agents[key].on('free', socket => freed.add(socket)));
+
+  function sendOnce(req) {
+    return send(agents, freed, gzip, req).catch(err => {
+      // A kept alive socket can be closed by the server while the request
+      // is sent; the request was not processed and can be sent again.
+      if (err.reusedSocket && err.code === RESET_CODE) {
+        return send(agents, freed, gzip, req);
+      }
+
+      throw err;
+    });
+  }
+
+  function transport(req) {
+    const start = Date.now();
+
+    const follow = (hopReq, hops) => sendOnce(hopReq).then(resp => {
+      const location = resp.headers.location;
+
+      if (req.method !== 'GET' || REDIRECT_STATUSES.indexOf(resp.statusCode) === -1 || !location) {
+        return resp;
+      }
+
+      if (hops >= MAX_REDIRECTS) {
+        const err = new Error(`Exceeded ${MAX_REDIRECTS} redirects.`);
+
+        err.code = REDIRECT_CODE;
+        throw err;
+      }
+
+      return follow(Object.assign({}, hopReq, {
+        url: url.resolve(hopReq.url, location),
+        timeout: req.timeout ? Math.max(1, req.timeout - (Date.now() - start)) : req.timeout
+      }), hops + 1);
+    });
+
+    return follow(req, 0);
+  }
+
+  /**
+   * Destroy the idle sockets.
+   */
+  transport.destroy = () => Object.keys(agents).forEach(key => agents[key].destroy());
+
+  return transport;
+}
+
+function send(agents, freed, gzip, req) {
+  return new Promise((resolve, reject) => {
+    const target = url.parse(req.url);
+    const lib = target.protocol === 'https:' ? https : http;
+    const headers = Object.assign({}, req.headers);
+    const signal = req.signal;
+    let timer, onAbort, reusedSocket;
+
+    if (signal && signal.aborted) {
+      reject(abort.abortError());
+      return;
+    }
+
+    if (gzip) {
+      headers['accept-encoding'] = 'gzip';
+    }
+
+    if (req.body !== undefined) {
+      headers['content-length'] = Buffer.byteLength(req.body, 'utf8');
+    }
+
+    const cleanup = () => {
+      clearTimeout(timer);
+
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    };
+    const fail = err => {
+      cleanup();
+      reject(err);
+    };
+
+    const outgoing = lib.request({
+      protocol: target.protocol,
+      hostname: target.hostname,
+      port: target.port,
+      path: target.path,
+      method: req.method,
+      headers,
+      agent: agents[target.protocol]
+    }, resp => {
+      const encoding = resp.headers['content-encoding'];
+      const body = encoding === 'gzip' ? resp.pipe(zlib.createGunzip()) : resp;
+      const chunks = [];
+
+      // The gunzip stream does not forward the response errors.
+      resp.on('aborted', () => fail(resetError()));
+      resp.on('error', fail);
+      body.on('data', chunk => chunks.push(chunk));
+      body.on('error', fail);
+      body.on('end', () => {
+        cleanup();
+        resolve({
+          statusCode: resp.statusCode,
+          statusMessage: resp.statusMessage,
+          headers: resp.headers,
+          body: Buffer.concat(chunks).toString('utf8')
+        });
+      });
+    });
+
+    outgoing.on('socket', socket => (reusedSocket = freed.has(socket)));
+    outgoing.on('error', err => {
+      err.reusedSocket = Boolean(reusedSocket);
+      fail(err);
+    });
+
+    if (req.timeout) {
+      timer = setTimeout(() => {
+        const err = new Error(`Request timed out after ${req.timeout}ms.`);
+
+        err.code = TIMEOUT_CODE;
+        outgoing.abort();
+        fail(err);
+      }, req.timeout);
+    }
+
+    if (signal) {
+      onAbort = () => {
+        outgoing.abort();
+        fail(abort.abortError());
+      };
+      signal.addEventListener('abort', onAbort);
+    }
+
+    outgoing.end(req.body);
+  });
+}
+
+function resetError() {
+  const err = new Error('The connection was closed before the end of the response.');
+
+  err.code = RESET_CODE;
+
+  return err;
+}
+
+/**
+ * Return the transport shared by the references without "transport" option.
+ *
+ * @return {function}
+ */
+function getDefaultTransport() {
+  if (!defaultTransport) {
+    defaultTransport = createHttpTransport();
+  }
+
+  return defaultTransport;
+}
+
+exports.createHttpTransport = createHttpTransport;
+exports.getDefaultTransport = getDefaultTransport;
@@ -0,0 +1,160 @@
+/**
+ * Helpers to read and write JSON trees.
+ *
+ * Trees are treated as immutable; writing returns a new tree sharing the
+ * unchanged branches. Like in Firebase, empty objects are removed and a
+ * missing node is null.
+ */
+
+'use strict';
+
+function isObject(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function children(value) {
+  return isObject(value) ? value : {};
+}
+
+function splitPath(path) {
+  return (path || '').split('/').filter(Boolean);
+}
+
+function getAt(tree, segments) {
+  return segments.reduce(
+    (node, key) => (isObject(node) && node[key] !== undefined ? node[key] : null),
+    tree === undefined ? null : tree
+  );
+}
+
+function setAt(tree, segments, value) {
+  if (segments.length === 0) {
+    return normalize(value);
+  }
+
+  const key = segments[0];
+  const node = Object.assign({}, children(tree));
+  const child = setAt(node[key], segments.slice(1), value);
+
+  if (child === null) {
+    delete node[key];
+  } else {
+    node[key] = child;
+  }
+
+  return Object.keys(node).length ? node : null;
+}
+
+/**
+ * Convert arrays to objects and remove null and empty nodes.
+ */
+function normalize(value) {
+  if (value === undefined) {
+    return null;
+  }
+
+  if (!isObject(value)) {
+    return value;
+  }
+
+  const node = Object.keys(value).reduce((result, key) => {
+    const child = normalize(value[key]);
+
+    if (child !== null) {
+      result[key] = child;
+    }
+
+    return result;
+  }, {});
+
+  return Object.keys(node).length ? node : null;
+}
+
+function deepEqual(a, b) {
+  if (!isObject(a) || !isObject(b)) {
+    return a === b;
+  }
+
+  const keys = Object.keys(a);
+
+  return keys.length === Object.keys(b).length && keys.every(
+    key => b.hasOwnProperty(key) && deepEqual(a[key], b[key])
+  );
+}
+
+/**
+ * List the changes from a tree to another.
+ *
+ * Each change has a type ("added", "removed" or "changed"), a path (e.g.
+ * "/users/alice/name") and the "before" and "after" values.
+ *
+ * @param  {any}   before
+ * @param  {any}   after
+ * @param  {array} [segments] path of the trees
+ * @return {array}
+ */
+function diff(before, after, segments) {
+  if (deepEqual(before, after)) {
+    return [];
+  }
+
+  const path = `/${(segments || []).join('/')}`;
+
+  if (before === undefined) {
+    return [{type: 'added', path, after}];
+  }
+
+  if (after === undefined) {
+    return [{type: 'removed', path, before}];
+  }
+
+  if (!isNode(before) || !isNode(after)) {
+    return [{type: 'changed', path, before, after}];
+  }
+
+  const keys = Object.keys(before).concat(
+    Object.keys(after).filter(key => !before.hasOwnProperty(key))
+  );
+
+  return keys.reduce(
+    (changes, key) => changes.concat(diff(before[key], after[key], (segments || []).concat(key))),
+    []
+  );
+}
+
+function isNode(value) {
+  return isObject(value) && !Array.isArray(value);
+}
+
+/**
+ * Format a change list, one change per line:
+ *
+ *    + /rules/users/.read: "auth !== null"
+ *    - /rules/.write: true
+ *    ~ /rules/.read: true -> false
+ *
+ * @param  {array}  changes
+ * @return {string}
+ */
+function formatDiff(changes) {
+  return changes.map(change => {
+    switch (change.type) {
+    case 'added':
+      return `+ ${change.path}: ${JSON.stringify(change.after)}`;
+    case 'removed':
+      return `- ${change.path}: ${JSON.stringify(change.before)}`;
+    default:
+      return `~ ${change.path}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`;
+    }
+  }).join('\n');
+}
+
+exports.isObject = isObject;
+exports.children = children;
+exports.splitPath = splitPath;
+exports.getAt = getAt;
+exports.setAt = setAt;
+exports.normalize = normalize;
+exports.deepEqual = deepEqual;
+exports.diff = diff;
+exports.formatDiff = formatDiff;
@@ -0,0 +1,165 @@
+/**
+ * Waiting for a location value.
+ *
+ * The location is streamed when possible; each value is tested until one
+ * matches. When streaming is not possible (or when the stream is cancelled),
+ * the location is polled, the delay between reads doubling from "interval"
+ * up to "maxInterval".
+ */
+
+'use strict';
+
+const abort = require('./abort');
+const errors = require('./errors');
+const tree = require('./tree');
+
+const DEFAULT_OPTIONS = {
+  timeout: 5000,
+  interval: 50,
+  maxInterval: 1000,
+  stream: true
+};
+
+const ERR_INVALID_PREDICATE = 'The predicate should be a function.';
+const ERR_INVALID_OPTION = 'Invalid wait option:';
+
+function validate(predicate, opts) {
+  if (typeof predicate !== 'function') {
+    throw new Error(ERR_INVALID_PREDICATE);
+  }
+
+  ['timeout', 'interval', 'maxInterval'].forEach(key => {
+    if (opts[key] !== undefined && (typeof opts[key] !== 'number' || opts[key] <= 0)) {
+      throw new Error(`${ERR_INVALID_OPTION} "${key}" should be a positive number.`);
+    }
+  });
+}
+
+/**
+ * Resolve with the first value of the location matching the predicate.
+ *
+ * Options:
+ *
+ * - timeout: maximum duration in ms (5000 by default);
+ * - interval / maxInterval: polling delay bounds in ms (50 and 1000 by
+ *   default);
+ * - stream: stream the location rather than polling it (true by default);
+ * - expected: value compared to the last value seen on timeout;
+ * - signal: AbortSignal-like object stopping the wait (see "abort.js");
+ * - deadline: Date or timestamp in ms bounding the timeout.
+ *
+ * It rejects with a WaitTimeoutError on timeout, with an AbortError once the
+ * signal is aborted, with the predicate error if it throws or with the error
+ * of a failed read.
+ *
+ * @param  {Request}  ref       reference without listener
+ * @param  {function} predicate called with each value
+ * @param  {object}   [opts]
+ * @return {Promise<any,Error>}
+ */
+function waitFor(ref, predicate, opts) {
+  return new Promise(resolve => {
+    const options = Object.assign({}, DEFAULT_OPTIONS, opts);
+
+    validate(predicate, options);
+    resolve(options);
+  }).then(options => new Promise((resolve, reject) => {
+    const signal = new abort.Signal();
+    const unlink = abort.link(options.signal, signal);
+    const hasExpected = opts && opts.hasOwnProperty('expected');
+    const timeout = options.deadline === undefined ?
+      options.timeout :
+      Math.max(0, Math.min(options.timeout, +options.deadline - Date.now()));
+    let done = false;
+    let last, timer, pollTimer;
+
+    const finish = (err, value) => {
+      if (done) {
+        return;
+      }
+
+      done = true;
+      clearTimeout(timer);
+      clearTimeout(pollTimer);
+      unlink();
+      ref.off();
+      signal.abort();
+
+      if (err) {
+        reject(err);
+      } else {
+        resolve(value);
+      }
+    };
+
+    const test = value => {
+      let matched;
+
+      if (done) {
+        return;
+      }
+
+      last = value;
+
+      try {
+        matched = predicate(value);
+      } catch (err) {
+        finish(err);
+        return;
+      }
+
+      if (matched) {
+        finish(null, value);
+      }
+    };
+
+    const poll = delay => {
+      pollTimer = setTimeout(() => ref.get({signal}).then(value => {
+        if (!done) {
+          test(value);
+          poll(Math.min(delay === 0 ? options.interval : delay * 2, options.maxInterval));
+        }
+      }, err => finish(err)), delay);
+    };
+
+    timer = setTimeout(
+      () => finish(timeoutError(ref.path, options, last, hasExpected)),
+      timeout
+    );
+
+    const onAbort = () => finish(errors.fromRequestError(ref.requestOpts(ref.url, 'GET'), abort.abortError()));
+
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+
+    signal.addEventListener('abort', onAbort);
+
+    if (options.stream) {
+      ref.on('value', test, () => {
+        ref.off();
+
+        if (!done) {
+          poll(0);
+        }
+      });
+    } else {
+      poll(0);
+    }
+  }));
+}
+
+function timeoutError(path, opts, value, hasExpected) {
+  const details = {path, timeout: opts.timeout, value};
+
+  if (hasExpected) {
+    details.expected = opts.expected;
+    details.diff = tree.diff(value === undefined ? undefined : tree.normalize(value), tree.normalize(opts.expected));
+  }
+
+  return new errors.WaitTimeoutError(details);
+}
+
+exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+exports.waitFor = waitFor;
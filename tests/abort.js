@@ -0,0 +1,411 @@
+'use strict';
+
+const expect = require('expect.js');
+const http = require('http');
+const restFirebase = require('../');
+const abort = require('../src/abort');
+const rejected = require('./helpers').rejected;
+
+describe('abort', function() {
+  let requests, transport, firebase;
+
+  beforeEach(function() {
+    requests = [];
+    transport = req => new Promise((resolve, reject) => {
+      requests.push(req);
+
+      if (req.signal) {
+        req.signal.addEventListener('abort', () => reject(abort.abortError()));
+      }
+    });
+    firebase = restFirebase.factory('http://localhost', {transport});
+  });
+
+  function tick() {
+    return new Promise(resolve => setImmediate(resolve));
+  }
+
+  function refused(req) {
+    requests.push(req);
+    return Promise.reject(Object.assign(new Error('refused'), {code: 'ECONNREFUSED'}));
+  }
+
+  describe('signal', function() {
+
+    it('should abort a pending request', function() {
+      const signal = new abort.Signal();
+      const result = rejected(firebase({paths: 'foo'}).get({signal}));
+
+      return tick().then(() => {
+        expect(requests).to.have.length(1);
+        expect(requests[0].signal.aborted).to.be(false);
+        signal.abort();
+
+        return result;
+      }).then(err => {
+        expect(err).to.be.a(restFirebase.AbortError);
+        expect(err).to.be.a(restFirebase.RequestError);
+        expect(err.code).to.be('ABORT_ERR');
+        expect(err.method).to.be('GET');
+        expect(requests[0].signal.aborted).to.be(true);
+      });
+    });
+
+    it('should not send requests with an aborted signal', function() {
+      const signal = new abort.Signal();
+
+      signal.abort();
+
+      return rejected(firebase({paths: 'foo'}).set(1, {signal})).then(err => {
+        expect(err).to.be.a(restFirebase.AbortError);
+        expect(requests).to.be.empty();
+      });
+    });
+
+    it('should reject when the transport ignores the signal', function() {
+      const signal = new abort.Signal();
+      const ref = firebase({paths: 'foo', transport: () => new Promise(() => undefined)});
+      const result = rejected(ref.remove({signal}));
+
+      return tick().then(() => {
+        signal.abort();
+
+        return result;
+      }).then(
+        err => expect(err).to.be.a(restFirebase.AbortError)
+      );
+    });
+
+    it('should not retry aborted requests', function() {
+      const signal = new abort.Signal();
+      const result = rejected(firebase({paths: 'foo', retry: {retries: 3, minDelay: 0}}).get({signal}));
+
+      return tick().then(() => {
+        signal.abort();
+
+        return result;
+      }).then(err => {
+        expect(err).to.be.a(restFirebase.AbortError);
+        expect(err.attempts).to.be(1);
+        expect(requests).to.have.length(1);
+      });
+    });
+
+    it('should abort requests waiting for a retry', function() {
+      const signal = new abort.Signal();
+      const ref = firebase({paths: 'foo', transport: refused, retry: {retries: 3, minDelay: 3000}});
+      const start = Date.now();
+      const result = rejected(ref.get({signal}));
+
+      return tick().then(() => {
+        expect(requests).to.have.length(1);
+        signal.abort();
+
+        return result;
+      }).then(err => {
+        expect(err).to.be.a(restFirebase.AbortError);
+        expect(err.method).to.be('GET');
+        expect(err.attempts).to.be(1);
+        expect(Date.now() - start).to.be.below(1000);
+        expect(requests).to.have.length(1);
+      });
+    });
+
+    it('should abort rules requests', function() {
+      const signal = new abort.Signal();
+      const result = rejected(firebase({paths: 'foo', auth: 'some-secret'}).rules(undefined, {signal}));
+
+      return tick().then(() => {
+        signal.abort();
+
+        return result;
+      }).then(
+        err => expect(err).to.be.a(restFirebase.AbortError)
+      );
+    });
+
+  });
+
+  describe('deadline', function() {
+
+    it('should bound the request timeout', function() {
+      const ref = firebase({paths: 'foo', timeout: 60000});
+
+      ref.get({deadline: Date.now() + 1000});
+
+      return tick().then(() => {
+        expect(requests[0].timeout).to.be.within(1, 1000);
+      });
+    });
+
+    it('should not time out requests without timeout', function() {
+      const ref = restFirebase.factory('http://localhost', {transport, timeout: 0})({paths: 'foo'});
+      const result = rejected(ref.get());
+
+      return tick().then(() => {
+        expect(requests).to.have.length(1);
+        expect(requests[0].timeout).to.be(0);
+        requests[0].signal.abort();
+
+        return result;
+      }).then(
+        err => expect(err).to.be.a(restFirebase.AbortError)
+      );
+    });
+
+    it('should not send requests past their deadline', function() {
+      return rejected(firebase({paths: 'foo'}).get({deadline: new Date(Date.now() - 1)})).then(err => {
+        expect(err).to.be.a(restFirebase.TimeoutError);
+        expect(requests).to.be.empty();
+      });
+    });
+
+    it('should stop retrying at the deadline', function() {
+      const ref = firebase({paths: 'foo', transport: refused, retry: {retries: 10, minDelay: 20, maxDelay: 20}});
+
+      return rejected(ref.get({deadline: Date.now() + 30})).then(err => {
+        expect(err).to.be.a(restFirebase.NetworkError);
+        expect(requests.length).to.be.within(1, 3);
+      });
+    });
+
+    it('should not retry past the deadline when the retry timer is late', function() {
+      const deadline = Date.now() + 30;
+      const transport = req => {
+        // Block the event loop until the deadline while the retry waits.
+        setTimeout(() => {
+          while (Date.now() <= deadline) {
+            // busy wait
+          }
+        }, 0);
+
+        return refused(req);
+      };
+      const ref = firebase({paths: 'foo', transport, retry: {retries: 10, minDelay: 20, maxDelay: 20}});
+
+      return rejected(ref.get({deadline})).then(err => {
+        expect(err).to.be.a(restFirebase.NetworkError);
+        expect(err.attempts).to.be(1);
+        expect(requests).to.have.length(1);
+      });
+    });
+
+  });
+
+  describe('calls sending several requests', function() {
+
+    function replying(statusCode, body, headers) {
+      return req => {
+        requests.push(req);
+        return Promise.resolve({statusCode, statusMessage: '', headers: headers || {}, body});
+      };
+    }
+
+    it('should forward the signal to the writes of a transaction', function() {
+      const signal = new abort.Signal();
+      const ref = firebase({paths: 'foo', transport: replying(200, '1', {etag: 'some-etag'})});
+      let calls = 0;
+
+      return rejected(ref.transaction(count => {
+        calls += 1;
+        signal.abort();
+        return count + 1;
+      }, {signal})).then(err => {
+        expect(err).to.be.a(restFirebase.AbortError);
+        expect(calls).to.be(1);
+        expect(requests.map(req => req.method)).to.eql(['GET']);
+      });
+    });
+
+    it('should stop retrying a transaction once aborted', function() {
+      const signal = new abort.Signal();
+      const ref = firebase({paths: 'foo', transport: req => (
+        req.method === 'GET' ? replying(200, '1', {etag: 'a'})(req) : replying(412, '2', {etag: 'b'})(req)
+      )}).use({response: req => req.method === 'PUT' && signal.abort()});
+      let calls = 0;
+
+      return rejected(ref.transaction(count => {
+        calls += 1;
+        return count + 1;
+      }, {signal})).then(err => {
+        expect(err).to.be.a(restFirebase.AbortError);
+        expect(err.method).to.be('PUT');
+        expect(calls).to.be(1);
+        expect(requests.map(req => req.method)).to.eql(['GET', 'PUT']);
+      });
+    });
+
+    it('should stop a transaction at its deadline', function() {
+      return rejected(firebase({paths: 'foo'}).transaction(() => 1, {deadline: Date.now() - 1})).then(err => {
+        expect(err).to.be.a(restFirebase.TimeoutError);
+        expect(requests).to.be.empty();
+      });
+    });
+
+    it('should forward the signal to the reads of an export', function() {
+      const signal = new abort.Signal();
+
+      signal.abort();
+
+      return rejected(firebase({paths: 'foo'}).export({signal})).then(err => {
+        expect(err).to.be.a(restFirebase.AbortError);
+        expect(requests).to.be.empty();
+      });
+    });
+
+    it('should stop an import once aborted', function() {
+      const signal = new abort.Signal();
+      const ref = firebase({paths: 'foo', transport: replying(200, 'null')});
+      const value = {a: 'some value', b: 'some value', c: 'some value'};
+
+      return rejected(ref.import(value, {chunkSize: 20, signal, progress: () => signal.abort()})).then(err => {
+        expect(err).to.be.a(restFirebase.AbortError);
+        expect(requests).to.have.length(1);
+      });
+    });
+
+    it('should stop a bulk update at its deadline', function() {
+      return rejected(firebase({paths: 'foo'}).bulkUpdate({a: 1}, {deadline: Date.now() - 1})).then(err => {
+        expect(err).to.be.a(restFirebase.TimeoutError);
+        expect(requests).to.be.empty();
+      });
+    });
+
+    it('should stop waiting once aborted', function() {
+      const signal = new abort.Signal();
+      const result = rejected(firebase({paths: 'foo', transport: replying(200, 'null')}).waitFor(
+        value => value === 1,
+        {signal, interval: 10}
+      ));
+
+      return tick().then(() => {
+        signal.abort();
+
+        return result;
+      }).then(
+        err => expect(err).to.be.a(restFirebase.AbortError)
+      );
+    });
+
+    it('should stop waiting at the deadline', function() {
+      const start = Date.now();
+
+      return rejected(firebase({paths: 'foo', transport: replying(200, 'null')}).waitFor(
+        value => value === 1,
+        {deadline: start + 30, interval: 10}
+      )).then(err => {
+        expect(err).to.be.a(restFirebase.WaitTimeoutError);
+        expect(Date.now() - start).to.be.below(1000);
+      });
+    });
+
+  });
+
+  describe('abortAll', function() {
+
+    it('should abort the pending requests of the factory', function() {
+      const results = [
+        rejected(firebase({paths: 'foo'}).get()),
+        rejected(firebase({paths: 'bar'}).child('baz').update({qux: 1}))
+      ];
+
+      return tick().then(() => {
+        expect(requests).to.have.length(2);
+        firebase.abortAll();
+
+        return Promise.all(results);
+      }).then(errors => {
+        expect(errors[0]).to.be.a(restFirebase.AbortError);
+        expect(errors[1]).to.be.a(restFirebase.AbortError);
+      });
+    });
+
+    it('should abort the requests waiting for a retry', function() {
+      const ref = firebase({paths: 'foo', transport: refused, retry: {retries: 3, minDelay: 3000}});
+      const start = Date.now();
+      const result = rejected(ref.set(1));
+
+      return tick().then(() => {
+        firebase.abortAll();
+
+        return result;
+      }).then(err => {
+        expect(err).to.be.a(restFirebase.AbortError);
+        expect(Date.now() - start).to.be.below(1000);
+        expect(requests).to.have.length(1);
+      });
+    });
+
+    it('should not abort the requests of other factories', function() {
+      const other = restFirebase.factory('http://localhost', {transport});
+      let settled = false;
+
+      other({paths: 'foo'}).get().catch(() => undefined).then(() => (settled = true));
+
+      return tick().then(() => {
+        firebase.abortAll();
+
+        return tick();
+      }).then(() => {
+        expect(settled).to.be(false);
+        other.abortAll();
+      });
+    });
+
+    it('should not abort later requests', function() {
+      firebase.abortAll();
+
+      const result = firebase({paths: 'foo'}).get();
+
+      return tick().then(() => {
+        expect(requests).to.have.length(1);
+        expect(requests[0].signal.aborted).to.be(false);
+        firebase.abortAll();
+
+        return rejected(result);
+      });
+    });
+
+  });
+
+  describe('with the http transport', function() {
+    let server, sockets, closed;
+
+    beforeEach(function(done) {
+      sockets = [];
+      closed = 0;
+      server = http.createServer(() => undefined);
+      server.on('connection', socket => {
+        sockets.push(socket);
+        socket.on('close', () => (closed += 1));
+      });
+      server.listen(0, done);
+    });
+
+    afterEach(function(done) {
+      sockets.forEach(socket => socket.destroy());
+      server.close(() => done());
+    });
+
+    it('should destroy the request', function() {
+      const signal = new abort.Signal();
+      const url = `http://127.0.0.1:${server.address().port}`;
+      const ref = restFirebase.factory(url, {transport: restFirebase.createHttpTransport()})({paths: 'foo'});
+      const result = rejected(ref.get({signal}));
+
+      return new Promise(resolve => server.once('request', resolve)).then(() => {
+        signal.abort();
+
+        return result;
+      }).then(err => {
+        expect(err).to.be.a(restFirebase.AbortError);
+
+        return new Promise(resolve => setTimeout(resolve, 20));
+      }).then(
+        () => expect(closed).to.be(1)
+      );
+    });
+
+  });
+
+});
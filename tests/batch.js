@@ -0,0 +1,141 @@
+'use strict';
+
+const expect = require('expect.js');
+const restFirebase = require('../');
+const emulator = require('../emulator');
+
+describe('batch', function() {
+  let server, firebase;
+
+  beforeEach(function() {
+    server = emulator.createServer({data: {users: {alice: {name: 'Alice'}}}, rules: {rules: {
+      '.read': true,
+      'users': {'.write': true},
+      'logs': {'.write': true}
+    }}});
+
+    return server.listen().then(() => {
+      firebase = restFirebase.factory(server.url);
+    });
+  });
+
+  afterEach(function() {
+    return server.close();
+  });
+
+  it('should run the operations and list their outcome', function() {
+    const batch = firebase.batch();
+    const users = firebase({paths: 'users'});
+
+    batch.set(users.child('bob'), {name: 'Bob'});
+    batch.update(users.child('alice'), {score: 1});
+    batch.push(firebase({paths: 'logs'}), 'seeded');
+    batch.remove(users.child('carl'));
+    batch.set(firebase({paths: 'private'}), 1);
+
+    return batch.done().then(result => {
+      const ops = result.operations;
+
+      expect(result.total).to.be(5);
+      expect(result.succeeded).to.be(4);
+      expect(result.failed).to.be(1);
+      expect(ops.map(op => `${op.method} ${op.path} ${op.ok}`)).to.eql([
+        'set /users/bob true',
+        'update /users/alice true',
+        'push /logs true',
+        'remove /users/carl true',
+        'set /private false'
+      ]);
+      expect(ops[0].value).to.eql({name: 'Bob'});
+      expect(ops[2].value).to.be.a(restFirebase.Request);
+      expect(ops[4].error).to.be.a(restFirebase.PermissionDeniedError);
+      expect(server.data.users).to.eql({alice: {name: 'Alice', score: 1}, bob: {name: 'Bob'}});
+      expect(server.data.logs[ops[2].value.key]).to.be('seeded');
+    });
+  });
+
+  it('should resolve each operation with its outcome', function() {
+    const batch = firebase.batch();
+
+    return batch.set(firebase({paths: 'private'}), 1).then(operation => {
+      expect(operation.ok).to.be(false);
+      expect(operation.error).to.be.a(restFirebase.PermissionDeniedError);
+    });
+  });
+
+  it('should emit progress events', function() {
+    const batch = firebase.batch({concurrency: 1});
+    const logs = firebase({paths: 'logs'});
+    const events = [];
+
+    batch.on('progress', p => events.push(p));
+    [1, 2, 3].forEach(n => batch.push(logs, n));
+
+    return batch.done().then(() => {
+      expect(events.map(p => `${p.completed}/${p.total}`)).to.eql(['1/3', '2/3', '3/3']);
+      expect(events[2].succeeded).to.be(3);
+      expect(events[0].operation.method).to.be('push');
+    });
+  });
+
+  it('should bound the number of pending requests', function() {
+    let pending = 0;
+    let maxPending = 0;
+    const transport = () => {
+      pending += 1;
+      maxPending = Math.max(pending, maxPending);
+
+      return new Promise(resolve => setTimeout(resolve, 5)).then(() => {
+        pending -= 1;
+        return {statusCode: 200, statusMessage: 'OK', headers: {}, body: 'null'};
+      });
+    };
+    const logs = restFirebase.factory('http://localhost', {transport})({paths: 'logs'});
+    const batch = firebase.batch({concurrency: 3});
+
+    for (let i = 0; i < 10; i++) {
+      batch.set(logs.child(`${i}`), i);
+    }
+
+    return batch.done().then(result => {
+      expect(result.succeeded).to.be(10);
+      expect(maxPending).to.be(3);
+    });
+  });
+
+  it('should limit the rate of operations', function() {
+    const batch = firebase.batch({concurrency: 10, rateLimit: 100});
+    const logs = firebase({paths: 'logs'});
+    const start = Date.now();
+
+    for (let i = 0; i < 6; i++) {
+      batch.push(logs, i);
+    }
+
+    return batch.done().then(result => {
+      expect(result.succeeded).to.be(6);
+      expect(Date.now() - start).to.be.above(45);
+    });
+  });
+
+  it('should wait for operations queued while running', function() {
+    const batch = firebase.batch();
+    const logs = firebase({paths: 'logs'});
+
+    batch.push(logs, 1).then(() => batch.push(logs, 2));
+
+    return batch.done().then(
+      result => expect(result.total).to.be(2)
+    );
+  });
+
+  it('should reject invalid options and operations', function() {
+    expect(() => firebase.batch({concurrency: 0})).to.throwError(/concurrency/);
+    expect(() => firebase.batch({rateLimit: -1})).to.throwError(/rate limit/);
+    expect(() => firebase.batch().set('logs', 1)).to.throwError(/reference/);
+    expect(() => firebase.batch().add('transaction', firebase())).to.throwError(/Unsupported/);
+    expect(() => firebase.batch().push(firebase({paths: 'logs'}))).to.throwError(/require a value/);
+    expect(() => firebase.batch().add('push', firebase({paths: 'logs'}))).to.throwError(/require a value/);
+  });
+
+});
@@ -0,0 +1,250 @@
+'use strict';
+
+const expect = require('expect.js');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const restFirebase = require('../');
+const emulator = require('../emulator');
+const rejected = require('./helpers').rejected;
+
+describe('cassette', function() {
+  const secret = 'some-secret';
+  const logger = {warn: () => undefined};
+  let server, file;
+
+  beforeEach(function() {
+    server = emulator.createServer({
+      secret,
+      data: {users: {alice: {score: 10}}},
+      rules: {rules: {users: {'.read': false}}}
+    });
+    file = path.join(os.tmpdir(), `rest-firebase-cassette-${process.pid}.json`);
+
+    return server.listen();
+  });
+
+  afterEach(function() {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+
+    return server.close();
+  });
+
+  function record(fn) {
+    const firebase = restFirebase.factory(server.url, {secret, mode: 'record', cassette: file});
+
+    return fn(firebase);
+  }
+
+  function replay(fn) {
+    const firebase = restFirebase.factory(server.url, {secret, mode: 'replay', cassette: file});
+
+    return server.close().then(() => fn(firebase));
+  }
+
+  function readCassette() {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  it('should record requests and their response', function() {
+    return record(firebase => {
+      const ref = firebase.admin({paths: 'users/alice'});
+
+      return ref.get().then(() => ref.update({score: 11}));
+    }).then(() => {
+      const cassette = readCassette();
+
+      expect(cassette.version).to.be(1);
+      expect(cassette.interactions).to.have.length(2);
+      expect(cassette.interactions[0].request).to.eql({
+        method: 'GET',
+        path: '/users/alice.json',
+        query: {auth: '[REDACTED]'}
+      });
+      expect(cassette.interactions[0].response.statusCode).to.be(200);
+      expect(JSON.parse(cassette.interactions[0].response.body)).to.eql({score: 10});
+      expect(cassette.interactions[1].request.method).to.be('PATCH');
+      expect(cassette.interactions[1].request.body).to.be('{"score":11}');
+    });
+  });
+
+  it('should redact auth tokens and secrets', function() {
+    return record(firebase => {
+      const bob = firebase.asUser('bob', {}, {debug: true});
+
+      return rejected(bob({paths: 'users/alice', logger}).get({tag: secret})).then(
+        () => firebase.rules.get()
+      );
+    }).then(() => {
+      const text = fs.readFileSync(file, 'utf8');
+      const cassette = readCassette();
+
+      expect(text).not.to.contain(secret);
+      expect(cassette.interactions[0].request.query).to.eql({auth: '[REDACTED]', tag: '[REDACTED]'});
+      expect(cassette.interactions[0].response.headers['x-firebase-auth-debug']).to.match(/Attempt to read/);
+      expect(cassette.interactions[1].request.path).to.be('/.settings/rules.json');
+    });
+  });
+
+  it('should replay the recorded responses without network', function() {
+    return record(firebase => {
+      const ref = firebase.admin({paths: 'users/alice'});
+
+      return ref.get().then(() => ref.update({score: 11})).then(() => ref.get());
+    }).then(() => replay(firebase => {
+      const ref = firebase.admin({paths: 'users/alice'});
+      const values = [];
+
+      return ref.get().then(value => {
+        values.push(value);
+        return ref.update({score: 11});
+      }).then(
+        () => ref.get()
+      ).then(value => {
+        values.push(value);
+        expect(values).to.eql([{score: 10}, {score: 11}]);
+      });
+    }));
+  });
+
+  it('should replay pushes', function() {
+    return record(
+      firebase => firebase.admin({paths: 'logs'}).push({a: 1}).then(child => child.get())
+    ).then(() => replay(firebase => firebase.admin({paths: 'logs'}).push({a: 1}).then(child => {
+      expect(child.key).to.have.length(20);
+
+      return child.get();
+    }).then(
+      value => expect(value).to.eql({a: 1})
+    )));
+  });
+
+  it('should replay updates keyed by push IDs', function() {
+    const write = firebase => {
+      const ref = firebase.admin({paths: 'items'});
+      const child = ref.push();
+
+      return ref.update({[`${child.key}/name`]: 'alice', count: 1, last: child.key}).then(() => child.get());
+    };
+
+    return record(write).then(() => {
+      expect(readCassette().interactions[0].request.body).to.match(/^\{"[-\w]{20}\/name":"alice"/);
+
+      return replay(write);
+    }).then(
+      value => expect(value).to.eql({name: 'alice'})
+    );
+  });
+
+  it('should replay failures', function() {
+    return record(
+      firebase => rejected(firebase.asUser('bob', {}, {debug: true})({paths: 'users/alice', logger}).get())
+    ).then(() => replay(
+      firebase => rejected(firebase.asUser('bob', {}, {debug: true})({paths: 'users/alice', logger}).get())
+    )).then(err => {
+      expect(err).to.be.a(restFirebase.PermissionDeniedError);
+      expect(err.authDebug).to.match(/Attempt to read \/users\/alice/);
+    });
+  });
+
+  it('should replay rules requests', function() {
+    return record(
+      firebase => firebase.rules.getText()
+    ).then(recorded => replay(
+      firebase => firebase.rules.getText().then(text => expect(text).to.be(recorded))
+    ));
+  });
+
+  it('should record and replay reference transports', function() {
+    const sent = [];
+    const transport = req => {
+      sent.push(req.method);
+      return Promise.resolve({statusCode: 200, statusMessage: 'OK', headers: {}, body: '{"a":1}'});
+    };
+
+    return record(
+      firebase => firebase.admin({paths: 'foo', transport}).get()
+    ).then(() => {
+      expect(sent).to.eql(['GET']);
+      expect(readCassette().interactions[0].request.path).to.be('/foo.json');
+
+      return replay(firebase => firebase.admin({paths: 'foo', transport}).get());
+    }).then(value => {
+      expect(value).to.eql({a: 1});
+      expect(sent).to.eql(['GET']);
+    });
+  });
+
+  it('should not resolve access tokens in replay mode', function() {
+    let calls = 0;
+    const accessToken = () => {
+      calls += 1;
+      return 'some-token';
+    };
+
+    return record(
+      firebase => rejected(firebase({paths: 'users/alice', accessToken}).get())
+    ).then(() => replay(
+      firebase => rejected(firebase({paths: 'users/alice', accessToken}).get())
+    )).then(err => {
+      expect(err).to.be.a(restFirebase.PermissionDeniedError);
+      expect(calls).to.be(1);
+    });
+  });
+
+  it('should reject unmatched requests', function() {
+    return record(
+      firebase => firebase.admin({paths: 'users/alice'}).get()
+    ).then(() => replay(firebase => {
+      const ref = firebase.admin({paths: 'users/alice'});
+
+      return ref.get().then(
+        () => rejected(ref.get())
+      ).then(err => {
+        expect(err).to.be.a(restFirebase.NetworkError);
+        expect(err.code).to.be('ERR_UNMATCHED_REQUEST');
+        expect(err.message).to.contain('No recorded response');
+        expect(err.message).to.contain('GET /users/alice.json');
+
+        return rejected(ref.set({score: 12}));
+      }).then(
+        err => expect(err.code).to.be('ERR_UNMATCHED_REQUEST')
+      );
+    }));
+  });
+
+  it('should match requests by query', function() {
+    return record(
+      firebase => firebase.admin({paths: 'users'}).get({shallow: true})
+    ).then(() => replay(firebase => rejected(firebase.admin({paths: 'users'}).get()).then(
+      err => expect(err.code).to.be('ERR_UNMATCHED_REQUEST')
+    ).then(
+      () => firebase.admin({paths: 'users'}).get({shallow: true})
+    ).then(
+      value => expect(value).to.eql({alice: true})
+    )));
+  });
+
+  it('should not open event streams in replay mode', function() {
+    return record(
+      firebase => firebase.admin({paths: 'users/alice'}).get()
+    ).then(() => replay(firebase => {
+      const ref = firebase.admin({paths: 'users/alice'});
+
+      expect(() => ref.on('value', () => undefined)).to.throwError(/replay mode/);
+
+      return ref.waitFor(value => value.score === 10).then(
+        value => expect(value).to.eql({score: 10})
+      );
+    }));
+  });
+
+  it('should reject invalid options', function() {
+    expect(() => restFirebase.factory(server.url, {mode: 'foo'})).to.throwError(/mode option/);
+    expect(() => restFirebase.factory(server.url, {mode: 'replay'})).to.throwError(/cassette option/);
+    expect(() => restFirebase.factory(server.url, {mode: 'passthrough'})).not.to.throwError();
+  });
+
+});
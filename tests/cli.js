@@ -0,0 +1,188 @@
+'use strict';
+
+const expect = require('expect.js');
+const stream = require('stream');
+const cli = require('../src/cli');
+const restFirebase = require('../');
+const emulator = require('../emulator');
+
+describe('cli', function() {
+  const secret = 'some-secret';
+  let server;
+
+  beforeEach(function() {
+    server = emulator.createServer({
+      secret,
+      rules: {rules: {users: {'.read': true, '$uid': {'.write': 'auth.uid === $uid'}}}},
+      data: {users: {alice: {score: 10}, bob: {score: 20}, carl: {score: 5}}}
+    });
+
+    return server.listen();
+  });
+
+  afterEach(function() {
+    return server.close();
+  });
+
+  function output() {
+    const out = new stream.Writable();
+
+    out.text = '';
+    out._write = (chunk, encoding, done) => {
+      out.text += chunk.toString();
+      done();
+    };
+
+    return out;
+  }
+
+  function run(argv, input) {
+    const io = {
+      stdin: new stream.PassThrough(),
+      stdout: output(),
+      stderr: output(),
+      env: {FIREBASE_AUTH: secret}
+    };
+
+    io.stdin.end(input || '');
+
+    return cli.run(argv, io).then(code => ({code, stdout: io.stdout.text, stderr: io.stderr.text}));
+  }
+
+  describe('parse', function() {
+
+    it('should parse arguments and options', function() {
+      expect(cli.parse(['get', 'id', 'users', '--shallow', '--limit-to-first', '2', '--start-at=b'])).to.eql({
+        args: ['get', 'id', 'users'],
+        opts: {'shallow': true, 'limit-to-first': 2, 'start-at': 'b'}
+      });
+    });
+
+    it('should parse query values as JSON', function() {
+      expect(cli.parse(['--equal-to', '10']).opts['equal-to']).to.be(10);
+      expect(cli.parse(['--equal-to', '"10"']).opts['equal-to']).to.be('10');
+    });
+
+    it('should reject unknown options', function() {
+      expect(() => cli.parse(['--foo'])).to.throwError(/Unknown option/);
+      expect(() => cli.parse(['--limit-to-first', 'ten'])).to.throwError(/Invalid number/);
+      expect(() => cli.parse(['--auth'])).to.throwError(/Missing value/);
+    });
+
+  });
+
+  it('should print the usage', function() {
+    return run(['--help']).then(result => {
+      expect(result.code).to.be(0);
+      expect(result.stdout).to.be(cli.USAGE);
+    });
+  });
+
+  it('should get a value', function() {
+    return run(['get', server.url, 'users/alice']).then(result => {
+      expect(result.code).to.be(0);
+      expect(result.stdout).to.be('{\n  "score": 10\n}\n');
+    });
+  });
+
+  it('should print raw JSON', function() {
+    return run(['get', server.url, 'users/alice', '--raw']).then(
+      result => expect(result.stdout).to.be('{"score":10}\n')
+    );
+  });
+
+  it('should query a location', function() {
+    return run(['get', server.url, 'users', '--order-by', 'score', '--limit-to-last', '2', '--raw']).then(
+      result => expect(JSON.parse(result.stdout)).to.eql({alice: {score: 10}, bob: {score: 20}})
+    );
+  });
+
+  it('should get the keys of a location', function() {
+    return run(['get', server.url, 'users', '--shallow', '--raw']).then(
+      result => expect(JSON.parse(result.stdout)).to.eql({alice: true, bob: true, carl: true})
+    );
+  });
+
+  it('should set a value read from stdin', function() {
+    return run(['set', server.url, 'users/alice', '-'], '{"score": 11}').then(result => {
+      expect(result.code).to.be(0);
+      expect(server.data.users.alice).to.eql({score: 11});
+    });
+  });
+
+  it('should update a location', function() {
+    return run(['update', server.url, 'users'], '{"alice/score": 12, "bob": null}').then(result => {
+      expect(result.code).to.be(0);
+      expect(server.data.users).to.eql({alice: {score: 12}, carl: {score: 5}});
+    });
+  });
+
+  it('should push a value', function() {
+    return run(['push', server.url, 'users', '--raw'], '{"score": 1}').then(result => {
+      const key = JSON.parse(result.stdout);
+
+      expect(server.data.users[key]).to.eql({score: 1});
+    });
+  });
+
+  it('should remove a location', function() {
+    return run(['remove', server.url, 'users/carl']).then(result => {
+      expect(result.code).to.be(0);
+      expect(result.stdout).to.be('');
+      expect(server.data.users).not.to.have.key('carl');
+    });
+  });
+
+  it('should get and set the rules', function() {
+    return run(['rules', 'set', server.url], '{"rules": {".read": true}}').then(
+      () => run(['rules', 'get', server.url])
+    ).then(
+      result => expect(result.stdout).to.be('{"rules": {".read": true}}\n')
+    );
+  });
+
+  it('should reject invalid JSON input', function() {
+    return run(['set', server.url, 'users/alice'], '{').then(result => {
+      expect(result.code).to.be(1);
+      expect(result.stderr).to.match(/^Error: /);
+    });
+  });
+
+  it('should exit with 2 on invalid arguments', function() {
+    return Promise.all([
+      run(['foo', server.url]),
+      run(['set', server.url]),
+      run(['remove', server.url, 'users', '--shallow']),
+      run(['get', server.url, '--debug'])
+    ]).then(results => results.forEach(result => {
+      expect(result.code).to.be(2);
+      expect(result.stderr).to.match(/--help/);
+    }));
+  });
+
+  it('should exit with 6 and print the debug message on permission denied', function() {
+    return run(['set', server.url, 'users/alice', '--as', 'bob', '--debug'], '{"score": 0}').then(result => {
+      expect(result.code).to.be(6);
+      expect(result.stderr).to.match(/Permission denied/);
+      expect(result.stderr).to.match(/Attempt to write/);
+      expect(server.data.users.alice).to.eql({score: 10});
+    });
+  });
+
+  it('should exit with 3 on network errors', function() {
+    return run(['get', 'http://127.0.0.1:1', 'users']).then(
+      result => expect(result.code).to.be(3)
+    );
+  });
+
+  it('should map errors to exit codes', function() {
+    const opts = {url: 'http://example.com', method: 'GET'};
+    const resp = status => ({statusCode: status, headers: {}});
+
+    expect(cli.exitCode(new restFirebase.ResponseError(opts, resp(400)))).to.be(4);
+    expect(cli.exitCode(new restFirebase.NotFoundError(opts, resp(404)))).to.be(7);
+    expect(cli.exitCode(new restFirebase.ServerError(opts, resp(503)))).to.be(5);
+    expect(cli.exitCode(new Error())).to.be(1);
+  });
+
+});
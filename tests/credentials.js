@@ -0,0 +1,251 @@
+'use strict';
+
+const expect = require('expect.js');
+const http = require('http');
+const url = require('url');
+const restFirebase = require('../');
+const emulator = require('../emulator');
+const rejected = require('./helpers').rejected;
+
+describe('credentials', function() {
+  const TOKEN_PARAM = 'access_token';
+  let requests, transport;
+
+  beforeEach(function() {
+    requests = [];
+    transport = req => {
+      requests.push(url.parse(req.url, true));
+      return Promise.resolve({statusCode: 200, statusMessage: 'OK', headers: {}, body: 'null'});
+    };
+  });
+
+  describe('accessToken', function() {
+
+    it('should send an access token', function() {
+      const firebase = restFirebase.factory('http://localhost', {transport, accessToken: 'some-token'});
+
+      return firebase({paths: 'foo'}).get().then(() => {
+        expect(requests[0].query).to.eql({[TOKEN_PARAM]: 'some-token'});
+      });
+    });
+
+    it('should prefer the reference auth', function() {
+      const firebase = restFirebase.factory('http://localhost', {transport, accessToken: 'some-token'});
+
+      return firebase({paths: 'foo', auth: 'some-auth'}).get().then(() => {
+        expect(requests[0].query).to.eql({auth: 'some-auth'});
+      });
+    });
+
+    it('should accept an access token per reference', function() {
+      const firebase = restFirebase.factory('http://localhost', {transport, accessToken: 'some-token'});
+
+      return firebase({paths: 'foo', accessToken: 'other-token'}).child('bar').remove().then(() => {
+        expect(requests[0].query).to.eql({[TOKEN_PARAM]: 'other-token'});
+      });
+    });
+
+    it('should manage the rules with an access token', function() {
+      const firebase = restFirebase.factory('http://localhost', {transport, accessToken: 'some-token'});
+
+      return firebase.rules.getText().then(() => {
+        expect(requests[0].pathname).to.be('/.settings/rules.json');
+        expect(requests[0].query).to.eql({[TOKEN_PARAM]: 'some-token'});
+      });
+    });
+
+    it('should reject invalid access tokens', function() {
+      expect(() => restFirebase.factory('some-id', {accessToken: {}})).to.throwError(/accessToken/);
+    });
+
+  });
+
+  describe('token provider', function() {
+    let now, calls, provider;
+
+    beforeEach(function() {
+      now = Date.now();
+      calls = 0;
+      provider = () => {
+        calls += 1;
+        return Promise.resolve({accessToken: `token-${calls}`, expiresAt: now + 120000});
+      };
+    });
+
+    it('should cache the token until it expires', function() {
+      const firebase = restFirebase.factory('http://localhost', {transport, accessToken: () => provider()});
+      const ref = firebase({paths: 'foo'});
+
+      return Promise.all([ref.get(), ref.child('bar').get()]).then(
+        () => ref.set(1)
+      ).then(() => {
+        expect(calls).to.be(1);
+        expect(requests.map(req => req.query[TOKEN_PARAM])).to.eql(['token-1', 'token-1', 'token-1']);
+      });
+    });
+
+    it('should refresh the token before it expires', function() {
+      const firebase = restFirebase.factory('http://localhost', {transport, accessToken: () => provider()});
+      const ref = firebase({paths: 'foo'});
+
+      now = Date.now() - 90000;
+
+      return ref.get().then(() => ref.get()).then(() => {
+        expect(calls).to.be(2);
+        expect(requests[1].query[TOKEN_PARAM]).to.be('token-2');
+      });
+    });
+
+    it('should call providers of tokens without expiry date for each request', function() {
+      const firebase = restFirebase.factory('http://localhost', {
+        transport,
+        accessToken: () => {
+          calls += 1;
+          return `token-${calls}`;
+        }
+      });
+      const ref = firebase({paths: 'foo'});
+
+      return ref.get().then(() => ref.get()).then(() => {
+        expect(requests.map(req => req.query[TOKEN_PARAM])).to.eql(['token-1', 'token-2']);
+      });
+    });
+
+    it('should reject when the provider fails', function() {
+      let fail = true;
+      const firebase = restFirebase.factory('http://localhost', {
+        transport,
+        accessToken: () => (fail ? Promise.reject(new Error('no token')) : provider())
+      });
+      const ref = firebase({paths: 'foo'});
+
+      return rejected(ref.get()).then(err => {
+        expect(err.message).to.be('no token');
+        expect(requests).to.be.empty();
+        fail = false;
+
+        return ref.get();
+      }).then(
+        () => expect(requests[0].query[TOKEN_PARAM]).to.be('token-1')
+      );
+    });
+
+    it('should reject invalid provider results', function() {
+      const firebase = restFirebase.factory('http://localhost', {transport, accessToken: () => ({})});
+
+      return rejected(firebase({paths: 'foo'}).get()).then(
+        err => expect(err.message).to.match(/token provider/)
+      );
+    });
+
+    it('should call the provider again after an invalid result', function() {
+      let invalid = true;
+      const firebase = restFirebase.factory('http://localhost', {
+        transport,
+        accessToken: () => {
+          calls += 1;
+          return invalid ? {} : `token-${calls}`;
+        }
+      });
+      const ref = firebase({paths: 'foo'});
+
+      return rejected(ref.get()).then(err => {
+        expect(err.message).to.match(/token provider/);
+        invalid = false;
+
+        return ref.get();
+      }).then(() => {
+        expect(calls).to.be(2);
+        expect(requests[0].query[TOKEN_PARAM]).to.be('token-2');
+      });
+    });
+
+    it('should let request hooks see the token', function() {
+      const firebase = restFirebase.factory('http://localhost', {transport, accessToken: () => provider()});
+      const tokens = [];
+
+      return firebase({paths: 'foo'}).use({request: req => {
+        tokens.push(req.qs[TOKEN_PARAM]);
+      }}).get().then(
+        () => expect(tokens).to.eql(['token-1'])
+      );
+    });
+
+    it('should stream with the current token', function(done) {
+      const server = http.createServer((req, resp) => {
+        const query = url.parse(req.url, true).query;
+
+        resp.writeHead(200, {'Content-Type': 'text/event-stream'});
+        resp.write(`event: put\ndata: ${JSON.stringify({path: '/', data: query[TOKEN_PARAM]})}\n\n`);
+      });
+
+      server.listen(0, () => {
+        const firebase = restFirebase.factory(`http://127.0.0.1:${server.address().port}`, {
+          accessToken: () => provider()
+        });
+        const ref = firebase({paths: 'foo'});
+
+        ref.on('value', value => {
+          ref.off();
+          server.close();
+
+          try {
+            expect(value).to.be('token-1');
+            done();
+          } catch (err) {
+            done(err);
+          }
+        });
+      });
+    });
+
+  });
+
+  describe('namespace', function() {
+    const secret = 'some-secret';
+    let server;
+
+    beforeEach(function() {
+      server = emulator.createServer({secret, data: {foo: 1}});
+
+      return server.listen();
+    });
+
+    afterEach(function() {
+      return server.close();
+    });
+
+    it('should send the namespace with every request', function() {
+      const firebase = restFirebase.factory(`${server.url}?ns=some-db`, {secret});
+      const namespaces = [];
+      const ref = firebase.admin({paths: 'foo'}).use({request: req => {
+        namespaces.push(req.qs.ns);
+      }});
+
+      return ref.get().then(value => {
+        expect(value).to.be(1);
+
+        return ref.set(2);
+      }).then(
+        () => firebase.rules.getText()
+      ).then(() => {
+        expect(namespaces).to.eql(['some-db', 'some-db']);
+      });
+    });
+
+    it('should send the namespace to the transport', function() {
+      const accessToken = 'some-token';
+      const firebase = restFirebase.factory('http://localhost:9000/?ns=some-db', {transport, accessToken});
+
+      return firebase({paths: 'foo'}).get({shallow: true}).then(
+        () => firebase.rules.getText()
+      ).then(() => {
+        expect(requests[0].pathname).to.be('/foo.json');
+        expect(requests[0].query).to.eql({ns: 'some-db', shallow: 'true', [TOKEN_PARAM]: 'some-token'});
+        expect(requests[1].query).to.eql({ns: 'some-db', [TOKEN_PARAM]: 'some-token'});
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,587 @@
+'use strict';
+
+const expect = require('expect.js');
+const http = require('http');
+const sinon = require('sinon');
+const restFirebase = require('../');
+const emulator = require('../emulator');
+const rejected = require('./helpers').rejected;
+
+describe('emulator', function() {
+  let server, firebase;
+
+  beforeEach(function() {
+    server = emulator.createServer({
+      data: {users: {alice: {score: 10}, bob: {score: 20}}},
+      clock: () => 1000
+    });
+
+    return server.listen().then(() => {
+      firebase = restFirebase.factory(server.url);
+    });
+  });
+
+  afterEach(function() {
+    return server.close();
+  });
+
+  function raw(method, path, body, headers) {
+    return new Promise((resolve, reject) => {
+      const req = http.request({
+        hostname: '127.0.0.1',
+        port: server.port,
+        method,
+        path,
+        headers
+      }, resp => {
+        let data = '';
+
+        resp.on('data', chunk => (data += chunk));
+        resp.on('end', () => resolve({status: resp.statusCode, headers: resp.headers, body: data}));
+      });
+
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+
+  describe('GET', function() {
+
+    it('should resolve with the location value', function() {
+      return firebase({paths: 'users/alice'}).get().then(
+        value => expect(value).to.eql({score: 10})
+      );
+    });
+
+    it('should resolve with null for missing locations', function() {
+      return firebase({paths: 'users/carl'}).get().then(
+        value => expect(value).to.be(null)
+      );
+    });
+
+    it('should support shallow queries', function() {
+      server.reset({users: {alice: {score: 10}}, count: 1});
+
+      return firebase().get({shallow: true}).then(
+        value => expect(value).to.eql({users: true, count: 1})
+      );
+    });
+
+    it('should support pretty printing', function() {
+      return raw('GET', '/users/alice.json?print=pretty').then(
+        resp => expect(resp.body).to.be('{\n  "score": 10\n}')
+      );
+    });
+
+    it('should decode path segments', function() {
+      server.reset({'a b': {'ü': 1}});
+
+      return raw('GET', '/a%20b/%C3%BC.json').then(
+        resp => expect(resp.body).to.be('1')
+      );
+    });
+
+    it('should reject invalid paths', function() {
+      return raw('GET', '/users/a%2Eb.json').then(
+        resp => expect(resp.status).to.be(400)
+      );
+    });
+
+    it('should reject paths without the .json suffix', function() {
+      return raw('GET', '/users').then(
+        resp => expect(resp.status).to.be(404)
+      );
+    });
+
+  });
+
+  describe('priorities', function() {
+
+    beforeEach(function() {
+      server.reset({users: {'alice': {'score': 10, '.priority': 2}, 'bob': {'.value': 20, '.priority': 1}}});
+    });
+
+    it('should strip priorities unless the export format is requested', function() {
+      return raw('GET', '/users.json').then(resp => {
+        expect(JSON.parse(resp.body)).to.eql({alice: {score: 10}, bob: 20});
+
+        return raw('GET', '/users.json?format=export');
+      }).then(resp => expect(JSON.parse(resp.body)).to.eql({
+        alice: {'score': 10, '.priority': 2},
+        bob: {'.value': 20, '.priority': 1}
+      }));
+    });
+
+    it('should read and write priorities', function() {
+      return raw('PUT', '/users/alice/.priority.json', '"a"').then(resp => {
+        expect(resp.status).to.be(200);
+        expect(server.data.users.alice).to.eql({'score': 10, '.priority': 'a'});
+
+        return raw('GET', '/users/bob/.priority.json');
+      }).then(
+        resp => expect(resp.body).to.be('1')
+      );
+    });
+
+    it('should replace priorities when setting a value', function() {
+      return firebase({paths: 'users/bob'}).set(21).then(
+        () => expect(server.data.users.bob).to.be(21)
+      );
+    });
+
+    it('should ignore priorities in shallow queries', function() {
+      return firebase({paths: 'users'}).get({shallow: true}).then(
+        value => expect(value).to.eql({alice: true, bob: 20})
+      );
+    });
+
+  });
+
+  describe('queries', function() {
+
+    beforeEach(function() {
+      server.reset({scores: {
+        alice: {score: 10},
+        bob: {score: 30},
+        carl: {score: 20},
+        dan: {name: 'Dan'},
+        eve: {score: 20}
+      }});
+    });
+
+    it('should order by child and limit results', function() {
+      return firebase({paths: 'scores'}).orderByChild('score').startAt(15).limitToFirst(2).entries().then(
+        entries => expect(entries).to.eql([['carl', {score: 20}], ['eve', {score: 20}]])
+      );
+    });
+
+    it('should support limitToLast', function() {
+      return firebase({paths: 'scores'}).orderByChild('score').limitToLast(2).entries().then(
+        entries => expect(entries.map(e => e[0])).to.eql(['eve', 'bob'])
+      );
+    });
+
+    it('should support endAt', function() {
+      return firebase({paths: 'scores'}).orderByChild('score').endAt(10).entries().then(
+        entries => expect(entries.map(e => e[0])).to.eql(['dan', 'alice'])
+      );
+    });
+
+    it('should support equalTo', function() {
+      return firebase({paths: 'scores'}).orderByChild('score').equalTo(20).entries().then(
+        entries => expect(entries.map(e => e[0])).to.eql(['carl', 'eve'])
+      );
+    });
+
+    it('should order by key', function() {
+      return firebase({paths: 'scores'}).orderByKey().startAt('c').endAt('d~').entries().then(
+        entries => expect(entries.map(e => e[0])).to.eql(['carl', 'dan'])
+      );
+    });
+
+    it('should order by value', function() {
+      server.reset({scores: {a: 3, b: 1, c: 2}});
+
+      return firebase({paths: 'scores'}).orderByValue().limitToFirst(2).entries().then(
+        entries => expect(entries).to.eql([['b', 1], ['c', 2]])
+      );
+    });
+
+    it('should reject both limits', function() {
+      return raw('GET', '/scores.json?orderBy="$key"&limitToFirst=1&limitToLast=1').then(resp => {
+        expect(resp.status).to.be(400);
+        expect(JSON.parse(resp.body).error).to.match(/limitToFirst and limitToLast/);
+      });
+    });
+
+    it('should reject filters without orderBy', function() {
+      return raw('GET', '/scores.json?limitToFirst=1').then(
+        resp => expect(resp.status).to.be(400)
+      );
+    });
+
+    it('should reject invalid parameters', function() {
+      return raw('GET', '/scores.json?orderBy=score').then(
+        resp => expect(resp.status).to.be(400)
+      );
+    });
+
+  });
+
+  describe('PUT', function() {
+
+    it('should set the location value', function() {
+      const ref = firebase({paths: 'users/carl'});
+
+      return ref.set({score: 5}).then(value => {
+        expect(value).to.eql({score: 5});
+        expect(server.data.users.carl).to.eql({score: 5});
+      });
+    });
+
+    it('should read its own writes', function() {
+      const ref = firebase({paths: 'users/alice/score'});
+
+      return ref.set(11).then(() => ref.get()).then(
+        value => expect(value).to.be(11)
+      );
+    });
+
+    it('should remove null and empty children', function() {
+      return firebase({paths: 'users'}).set({alice: null, bob: {}, carl: 1}).then(
+        () => expect(server.data.users).to.eql({carl: 1})
+      );
+    });
+
+    it('should resolve server timestamps', function() {
+      return firebase({paths: 'users/alice/lastSeen'}).set({'.sv': 'timestamp'}).then(
+        value => expect(value).to.be(1000)
+      );
+    });
+
+    it('should reject invalid keys', function() {
+      return raw('PUT', '/users.json', '{"a.b": 1}').then(resp => {
+        expect(resp.status).to.be(400);
+        expect(server.data.users).to.have.key('alice');
+      });
+    });
+
+    it('should reject invalid JSON', function() {
+      return raw('PUT', '/users.json', '{').then(
+        resp => expect(resp.status).to.be(400)
+      );
+    });
+
+    it('should keep arrays', function() {
+      const ref = firebase({paths: 'lists'});
+
+      return ref.set({a: [1, {b: [2, 3]}], b: {0: 'x', 2: 'y'}, c: {0: 'x', 5: 'y'}}).then(value => {
+        expect(value).to.eql({a: [1, {b: [2, 3]}], b: ['x', null, 'y'], c: {0: 'x', 5: 'y'}});
+        expect(server.data.lists.a).to.eql({0: 1, 1: {b: {0: 2, 1: 3}}});
+
+        return ref.child('a/1/b/0').get();
+      }).then(value => {
+        expect(value).to.be(2);
+
+        return ref.child('a').get();
+      }).then(
+        value => expect(value).to.eql([1, {b: [2, 3]}])
+      );
+    });
+
+    it('should support silent printing', function() {
+      return raw('PUT', '/users/alice.json?print=silent', '1').then(resp => {
+        expect(resp.status).to.be(204);
+        expect(resp.body).to.be('');
+      });
+    });
+
+    it('should support keys with spaces and unicode characters', function() {
+      const ref = firebase({paths: ['users', 'zoë smith']});
+
+      return ref.set({score: 1}).then(() => {
+        expect(server.data.users['zoë smith']).to.eql({score: 1});
+        expect(ref.key).to.be('zoë smith');
+      });
+    });
+
+  });
+
+  describe('PATCH', function() {
+
+    it('should update children', function() {
+      return firebase({paths: 'users/alice'}).update({name: 'Alice'}).then(
+        () => expect(server.data.users.alice).to.eql({score: 10, name: 'Alice'})
+      );
+    });
+
+    it('should support multi-path updates', function() {
+      return firebase({paths: 'users'}).update({'alice/score': 11, 'bob/score': null}).then(
+        () => expect(server.data.users).to.eql({alice: {score: 11}})
+      );
+    });
+
+    it('should reject overlapping paths', function() {
+      return rejected(firebase({paths: 'users'}).update({alice: {}, 'alice/score': 1})).then(
+        err => expect(err.status).to.be(400)
+      );
+    });
+
+  });
+
+  describe('POST', function() {
+
+    it('should push a new child with a chronological key', function() {
+      return raw('POST', '/logs.json', '"a"').then(resp => {
+        const name = JSON.parse(resp.body).name;
+
+        expect(name).to.have.length(20);
+        expect(server.data.logs).to.eql({[name]: 'a'});
+      });
+    });
+
+  });
+
+  describe('push', function() {
+
+    it('should write to client generated keys', function() {
+      const ref = firebase({paths: 'logs'});
+
+      return ref.push('a').then(
+        first => ref.push('b').then(second => {
+          expect(first.key < second.key).to.be(true);
+          expect(server.data.logs).to.eql({[first.key]: 'a', [second.key]: 'b'});
+        })
+      );
+    });
+
+    it('should allow to reference new children in multi-path updates', function() {
+      const ref = firebase({paths: 'logs'});
+      const child = ref.push();
+      const updates = {count: 1};
+
+      updates[`${child.key}/msg`] = 'a';
+
+      return ref.update(updates).then(
+        () => expect(server.data.logs).to.eql({count: 1, [child.key]: {msg: 'a'}})
+      );
+    });
+
+  });
+
+  describe('DELETE', function() {
+
+    it('should remove the location', function() {
+      return firebase({paths: 'users/alice'}).remove().then(
+        () => expect(server.data.users).to.eql({bob: {score: 20}})
+      );
+    });
+
+  });
+
+  describe('ETags', function() {
+
+    it('should return the location ETag', function() {
+      const ref = firebase({paths: 'users/alice'});
+
+      return ref.get({etag: true}).then(first => {
+        expect(first.value).to.eql({score: 10});
+        expect(first.etag).to.be.a('string');
+
+        return ref.child('score').set(11).then(() => ref.get({etag: true})).then(
+          second => expect(second.etag).not.to.be(first.etag)
+        );
+      });
+    });
+
+    it('should reject writes with a stale ETag', function() {
+      const ref = firebase({paths: 'users/alice'});
+
+      return ref.get({etag: true}).then(
+        current => ref.child('score').set(11).then(
+          () => rejected(ref.set({score: 12}, {ifMatch: current.etag}))
+        )
+      ).then(err => {
+        expect(err).to.be.a(restFirebase.PreconditionFailedError);
+        expect(err.value).to.eql({score: 11});
+        expect(server.data.users.alice).to.eql({score: 11});
+      });
+    });
+
+    it('should return the current value as read with the 412 response', function() {
+      const ref = firebase({paths: 'users/alice'});
+
+      return ref.get({etag: true}).then(
+        current => ref.setWithPriority({score: {'.value': 11, '.priority': 1}}, 2).then(
+          () => rejected(ref.set({score: 12}, {ifMatch: current.etag}))
+        )
+      ).then(err => {
+        expect(err).to.be.a(restFirebase.PreconditionFailedError);
+        expect(err.body).to.eql({score: 11});
+        expect(err.value).to.eql({score: 11});
+
+        return ref.get().then(value => expect(err.value).to.eql(value));
+      });
+    });
+
+    it('should support transactions', function() {
+      const ref = firebase({paths: 'counter'});
+
+      return Promise.all([
+        ref.transaction(count => (count || 0) + 1),
+        ref.transaction(count => (count || 0) + 1),
+        ref.transaction(count => (count || 0) + 1)
+      ]).then(
+        () => expect(server.data.counter).to.be(3)
+      );
+    });
+
+  });
+
+  describe('rules', function() {
+
+    it('should return the rules', function() {
+      return firebase({auth: 'secret'}).rules().then(
+        rules => expect(JSON.parse(rules)).to.eql({rules: {'.read': true, '.write': true}})
+      );
+    });
+
+    it('should save the rules', function() {
+      const ref = firebase({auth: 'secret'});
+      const rules = '{"rules": {".read": false}}';
+
+      return ref.rules(rules).then(() => ref.rules()).then(
+        saved => expect(saved).to.be(rules)
+      );
+    });
+
+    it('should require the secret if set', function() {
+      server.secret = 'secret';
+
+      return rejected(firebase({auth: 'other'}).rules()).then(
+        err => expect(err.status).to.be(401)
+      );
+    });
+
+    it('should reject invalid rules', function() {
+      return rejected(firebase({auth: 'secret'}).rules('{"rules": {".read": "auth ==="}}')).then(err => {
+        expect(err.status).to.be(400);
+        expect(JSON.parse(err.body).error).to.match(/Unexpected end/);
+      });
+    });
+
+  });
+
+  describe('security rules', function() {
+    let users;
+
+    beforeEach(function() {
+      server.secret = 'secret';
+      users = restFirebase.factory(server.url, {secret: 'secret'});
+
+      return firebase({auth: 'secret'}).rules({rules: {users: {
+        '.read': 'auth !== null',
+        $uid: {
+          '.write': 'auth.uid === $uid',
+          score: {'.validate': 'newData.isNumber()'}
+        }
+      }}});
+    });
+
+    it('should allow reads granted by a rule', function() {
+      return users.asUser('bob')({paths: 'users/alice'}).get().then(
+        value => expect(value).to.eql({score: 10})
+      );
+    });
+
+    it('should deny reads without a granting rule', function() {
+      return rejected(firebase({paths: 'users/alice'}).get()).then(err => {
+        expect(err).to.be.a(restFirebase.ResponseError);
+        expect(err.status).to.be(401);
+        expect(err.body).to.eql({error: 'Permission denied'});
+      });
+    });
+
+    it('should bind wildcard variables', function() {
+      const alice = users.asUser('alice');
+
+      return alice({paths: 'users/alice/score'}).set(11).then(
+        () => rejected(alice({paths: 'users/bob/score'}).set(11))
+      ).then(err => {
+        expect(err.status).to.be(401);
+        expect(server.data.users).to.eql({alice: {score: 11}, bob: {score: 20}});
+      });
+    });
+
+    it('should check every location of a multi-path update', function() {
+      return rejected(users.asUser('alice')({paths: 'users'}).update({'alice/score': 11, 'bob/score': 21})).then(
+        err => {
+          expect(err.status).to.be(401);
+          expect(server.data.users).to.eql({alice: {score: 10}, bob: {score: 20}});
+        }
+      );
+    });
+
+    it('should validate the new data', function() {
+      return rejected(users.asUser('alice')({paths: 'users/alice/score'}).set('high')).then(
+        err => expect(err.status).to.be(401)
+      );
+    });
+
+    it('should let the secret bypass the rules', function() {
+      return firebase({paths: 'users/bob/score', auth: 'secret'}).set('high').then(
+        () => expect(server.data.users.bob.score).to.be('high')
+      );
+    });
+
+    it('should reject tokens with an invalid signature', function() {
+      const other = restFirebase.factory(server.url, {secret: 'other'});
+
+      return rejected(other.asUser('alice')({paths: 'users'}).get()).then(err => {
+        expect(err.status).to.be(401);
+        expect(err.body.error).to.match(/signature/);
+      });
+    });
+
+    it('should deny event streams', function(done) {
+      firebase({paths: 'users'}).on('value', () => done(new Error('unexpected')), err => {
+        expect(err.status).to.be(401);
+        done();
+      });
+    });
+
+    it('should explain the rules evaluation to debug tokens', function() {
+      const logger = {warn: sinon.spy()};
+      const ref = users.asUser('bob', {}, {debug: true})({paths: 'users/alice/score', logger});
+
+      return rejected(ref.set(11)).then(err => {
+        expect(err.authDebug).to.be([
+          'Attempt to write 11 to /users/alice/score with auth={"uid":"bob"}',
+          '    /users/alice:.write: "auth.uid === $uid"',
+          '        => false',
+          'No .write rule allowed the operation.',
+          'Write was denied.'
+        ].join('\n'));
+        sinon.assert.calledWith(logger.warn, err.authDebug);
+        expect(err).to.be.a(restFirebase.PermissionDeniedError);
+        expect(err.authTrace.allowed).to.be(false);
+        expect(err.authTrace.rules).to.eql([
+          {path: '/users/alice', type: '.write', expression: 'auth.uid === $uid', result: false}
+        ]);
+      });
+    });
+
+  });
+
+  describe('streaming', function() {
+
+    it('should send unexpected errors with a 500 status', function() {
+      sinon.stub(server, 'authorizeRead').throws(new Error('some error'));
+
+      return raw('GET', '/users.json', undefined, {Accept: 'text/event-stream'}).then(resp => {
+        expect(resp.status).to.be(500);
+        expect(JSON.parse(resp.body)).to.eql({error: 'some error'});
+      });
+    });
+
+    it('should stream the location value', function(done) {
+      const ref = firebase({paths: 'users/alice'});
+      const values = [];
+
+      ref.on('value', value => {
+        values.push(value);
+
+        if (values.length === 1) {
+          firebase({paths: 'users/alice/score'}).set(11);
+          return;
+        }
+
+        ref.off();
+        expect(values).to.eql([{score: 10}, {score: 11}]);
+        done();
+      });
+    });
+
+  });
+
+});
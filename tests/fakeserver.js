@@ -8,15 +8,20 @@ class FakeServer {
     this.returns = opts && opts.returns || [];
     this.port = opts && opts.port;
     this.server = undefined;
+    this.sockets = [];
     this.calls = [];
   }
 
   start() {
     this.server = http.createServer((req, resp) => this.handler(req, resp));
+    this.server.on('connection', socket => this.sockets.push(socket));
     this.server.listen(this.port);
   }
 
   stop() {
+    // Kept alive connections would otherwise reach the next server.
+    this.sockets.forEach(socket => socket.destroy());
+    this.sockets = [];
     this.server.close();
   }
 
@@ -0,0 +1,168 @@
+'use strict';
+
+const expect = require('expect.js');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const restFirebase = require('../');
+const emulator = require('../emulator');
+const rejected = require('./helpers').rejected;
+
+describe('fixtures', function() {
+  const secret = 'some-secret';
+  const rules = {rules: {'$run': {'$id': {'users': {'$uid': {'.read': 'auth.uid === $uid'}}}}}};
+  let server, firebase, file;
+
+  beforeEach(function() {
+    server = emulator.createServer({secret, rules, data: {other: 1}});
+    file = path.join(os.tmpdir(), `rest-firebase-fixtures-${process.pid}.json`);
+
+    return server.listen().then(() => {
+      firebase = restFirebase.factory(server.url, {secret});
+    });
+  });
+
+  afterEach(function() {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+
+    return server.close();
+  });
+
+  it('should scope the fixtures to a random root', function() {
+    const a = restFirebase.fixtures(firebase);
+    const b = restFirebase.fixtures(firebase);
+
+    expect(a.root).to.match(/^test-runs\/[-\w]{20}$/);
+    expect(a.root).not.to.be(b.root);
+    expect(a.path('users/alice')).to.be(`${a.root}/users/alice`);
+    expect(restFirebase.fixtures(firebase, {root: ''}).path(['users', 'alice'])).to.be('users/alice');
+  });
+
+  it('should load a value', function() {
+    const fixtures = restFirebase.fixtures(firebase, {root: 'runs/1'});
+
+    return fixtures.load({users: {alice: {name: 'Alice'}}}).then(() => {
+      expect(server.data.runs['1'].users.alice).to.eql({name: 'Alice'});
+      expect(server.data.other).to.be(1);
+    });
+  });
+
+  it('should load a JSON file', function() {
+    const fixtures = restFirebase.fixtures(firebase, {root: 'runs/1'});
+
+    fs.writeFileSync(file, JSON.stringify({users: {bob: {name: 'Bob'}}}));
+
+    return fixtures.load(file).then(
+      () => expect(server.data.runs['1']).to.eql({users: {bob: {name: 'Bob'}}})
+    );
+  });
+
+  it('should reset some paths', function() {
+    const fixtures = restFirebase.fixtures(firebase, {root: 'runs/1'});
+
+    return fixtures.load({a: 1, b: 2, c: {d: 3, e: 4}}).then(
+      () => fixtures.reset(['a', 'c/d'])
+    ).then(
+      () => expect(server.data.runs['1']).to.eql({b: 2, c: {e: 4}})
+    );
+  });
+
+  it('should reset the run data', function() {
+    const fixtures = restFirebase.fixtures(firebase, {root: 'runs/1'});
+
+    return fixtures.load({a: 1}).then(
+      () => fixtures.reset()
+    ).then(
+      () => expect(server.data).to.eql({other: 1})
+    );
+  });
+
+  it('should snapshot and restore the data', function() {
+    const fixtures = restFirebase.fixtures(firebase, {root: ''});
+
+    return fixtures.snapshot().then(value => {
+      expect(value).to.eql({other: 1});
+
+      return fixtures.load({other: 2, foo: 'bar'});
+    }).then(
+      () => fixtures.restore()
+    ).then(
+      () => expect(server.data).to.eql({other: 1})
+    );
+  });
+
+  it('should reject restore without snapshot', function() {
+    return rejected(restFirebase.fixtures(firebase).restore()).then(
+      err => expect(err.message).to.match(/No snapshot/)
+    );
+  });
+
+  it('should require the factory secret', function() {
+    const fixtures = restFirebase.fixtures(restFirebase.factory(server.url));
+
+    return rejected(fixtures.load({a: 1})).then(
+      err => expect(err.message).to.match(/secret is required/)
+    );
+  });
+
+  it('should query the run data as a user', function() {
+    const fixtures = restFirebase.fixtures(firebase);
+    const alice = fixtures.asUser('alice');
+
+    expect(alice.uid).to.be('alice');
+
+    return fixtures.load({users: {alice: {name: 'Alice'}, bob: {name: 'Bob'}}}).then(
+      () => alice({paths: 'users/alice'}).get()
+    ).then(value => {
+      expect(value).to.eql({name: 'Alice'});
+
+      return rejected(alice({paths: 'users/bob'}).get());
+    }).then(
+      err => expect(err).to.be.a(restFirebase.PermissionDeniedError)
+    );
+  });
+
+  describe('hooks', function() {
+
+    it('should seed and remove the run data', function() {
+      const fixtures = restFirebase.fixtures(firebase, {root: 'runs/1'});
+      const hooks = fixtures.hooks({a: 1});
+
+      return fixtures.load({b: 2}).then(
+        () => hooks.before()
+      ).then(() => {
+        expect(server.data.runs['1']).to.eql({a: 1});
+
+        return hooks.after();
+      }).then(
+        () => expect(server.data).to.eql({other: 1})
+      );
+    });
+
+    it('should restore the DB data when unscoped', function() {
+      const fixtures = restFirebase.fixtures(firebase, {root: ''});
+      const hooks = fixtures.hooks({a: 1});
+
+      return hooks.before().then(() => {
+        expect(server.data).to.eql({a: 1});
+
+        return hooks.after();
+      }).then(
+        () => expect(server.data).to.eql({other: 1})
+      );
+    });
+
+    it('should not remove the DB data when unscoped without snapshot', function() {
+      const fixtures = restFirebase.fixtures(firebase, {root: ''});
+
+      return rejected(fixtures.hooks().after()).then(err => {
+        expect(err.message).to.match(/need a snapshot/);
+        expect(server.data).to.eql({other: 1});
+      });
+    });
+
+  });
+
+});
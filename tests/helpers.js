@@ -0,0 +1,16 @@
+'use strict';
+
+/**
+ * Resolve with the error of a promise expected to reject.
+ *
+ * @param  {Promise}        promise
+ * @return {Promise<Error>}
+ */
+function rejected(promise) {
+  return promise.then(
+    () => Promise.reject(new Error('unexpected')),
+    err => err
+  );
+}
+
+exports.rejected = rejected;
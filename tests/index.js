@@ -7,6 +7,8 @@ const firebase = require('../');
 const url = require('url');
 const fakeServer = require('./fakeserver');
 const sinon = require('sinon');
+const crypto = require('crypto');
+const rejected = require('./helpers').rejected;
 
 describe('factory', function() {
 
@@ -24,6 +26,32 @@ describe('factory', function() {
     expect(ref.toString()).to.be('https://singpath.firebaseio.com/.json');
   });
 
+  it('should bind to a regional firebase url', function() {
+    const factory = firebase.factory('https://singpath-default-rtdb.europe-west1.firebasedatabase.app/');
+    const ref = factory({paths: 'foo'});
+
+    expect(ref.toString()).to.be('https://singpath-default-rtdb.europe-west1.firebasedatabase.app/foo.json');
+    expect(ref.namespace).to.be(undefined);
+  });
+
+  it('should bind to a firebase id and region', function() {
+    const factory = firebase.factory('singpath-default-rtdb', {region: 'europe-west1'});
+    const ref = factory();
+
+    expect(ref.toString()).to.be('https://singpath-default-rtdb.europe-west1.firebasedatabase.app/.json');
+    expect(() => firebase.factory('singpath', {region: 'europe'})).to.throwError(/region/);
+  });
+
+  it('should bind to a url with a namespace', function() {
+    const factory = firebase.factory('http://localhost:9000?ns=singpath');
+    const ref = factory({paths: 'foo'});
+
+    expect(ref.toString()).to.be('http://localhost:9000/foo.json');
+    expect(ref.namespace).to.be('singpath');
+    expect(ref.child('bar').namespace).to.be('singpath');
+    expect(firebase.factory('http://localhost:9000/?ns=singpath')().namespace).to.be('singpath');
+  });
+
   it('should throw if asked to bind to an invalid id', function() {
     expect(() => firebase.factory('foo.bar')).to.throwError();
   });
@@ -48,6 +76,273 @@ describe('factory', function() {
     expect(ref.toString()).to.be('https://singpath.firebaseio.com/foo/bar.json');
   });
 
+  describe('navigation', function() {
+    const logger = {warn: () => undefined};
+    let factory, ref;
+
+    beforeEach(function() {
+      factory = firebase.factory('https://singpath.firebaseio.com');
+      ref = factory({paths: 'foo/bar', auth: 'some-token', logger});
+    });
+
+    it('should expose the reference path and key', function() {
+      expect(ref.path).to.be('/foo/bar');
+      expect(ref.key).to.be('bar');
+    });
+
+    it('should expose the root path and key', function() {
+      ref = factory();
+
+      expect(ref.path).to.be('/');
+      expect(ref.key).to.be(null);
+    });
+
+    it('should ignore the ".json" suffix', function() {
+      expect(factory({paths: 'foo/bar.json'}).path).to.be('/foo/bar');
+      expect(factory({paths: 'foo/bar/.json'}).path).to.be('/foo/bar');
+    });
+
+    it('should create child references', function() {
+      const child = ref.child('baz/qux');
+
+      expect(child.toString()).to.be('https://singpath.firebaseio.com/foo/bar/baz/qux.json');
+      expect(child.path).to.be('/foo/bar/baz/qux');
+      expect(child.key).to.be('qux');
+    });
+
+    it('should normalise child path segments', function() {
+      expect(ref.child('/baz//qux/').path).to.be('/foo/bar/baz/qux');
+      expect(ref.child(['baz/', 'qux']).path).to.be('/foo/bar/baz/qux');
+    });
+
+    it('should keep the reference auth, logger and root', function() {
+      const child = ref.child('baz');
+
+      expect(child.auth).to.be('some-token');
+      expect(child.$logger).to.be(logger);
+      expect(child.rootPath).to.be('https://singpath.firebaseio.com');
+    });
+
+    it('should create parent references', function() {
+      const parent = ref.parent();
+
+      expect(parent.toString()).to.be('https://singpath.firebaseio.com/foo.json');
+      expect(parent.auth).to.be('some-token');
+      expect(parent.parent().path).to.be('/');
+      expect(parent.parent().parent()).to.be(null);
+    });
+
+    it('should create root references', function() {
+      const root = ref.root();
+
+      expect(root.toString()).to.be('https://singpath.firebaseio.com/.json');
+      expect(root.auth).to.be('some-token');
+    });
+
+    it('should percent-encode path segments', function() {
+      const child = factory({paths: 'a b/ü'}).child('c?d');
+
+      expect(child.toString()).to.be('https://singpath.firebaseio.com/a%20b/%C3%BC/c%3Fd.json');
+      expect(child.path).to.be('/a b/ü/c?d');
+      expect(child.key).to.be('c?d');
+      expect(child.parent().key).to.be('ü');
+    });
+
+    it('should throw on invalid path segments', function() {
+      expect(() => factory({paths: 'foo/a.b'})).to.throwError(/Invalid key "a\.b" at \/foo/);
+      expect(() => ref.child('baz#1')).to.throwError(/Invalid key "baz#1"/);
+      expect(() => ref.child(['baz', '$qux'])).to.throwError(/Invalid key "\$qux" at \/foo\/bar\/baz/);
+    });
+
+  });
+
+  describe('keys', function() {
+
+    it('should validate keys', function() {
+      expect(firebase.isValidKey('alice')).to.be(true);
+      expect(firebase.isValidKey('a b ü')).to.be(true);
+      expect(firebase.isValidKey('')).to.be(false);
+      expect(firebase.isValidKey(1)).to.be(false);
+      expect(firebase.isValidKey('x'.repeat(769))).to.be(false);
+      ['.', '#', '$', '[', ']', '/', '\n', '\x7F'].forEach(
+        c => expect(firebase.isValidKey(`a${c}b`)).to.be(false)
+      );
+    });
+
+    it('should escape keys', function() {
+      const key = firebase.escapeKey('bob.smith@example.com');
+
+      expect(key).to.be('bob%2Esmith@example%2Ecom');
+      expect(firebase.isValidKey(key)).to.be(true);
+      expect(firebase.escapeKey('a%2E#$[]/\n')).to.be('a%252E%23%24%5B%5D%2F%0A');
+    });
+
+    it('should unescape keys', function() {
+      ['bob.smith@example.com', 'a%2E#$[]/\n', 'ü'].forEach(
+        str => expect(firebase.unescapeKey(firebase.escapeKey(str))).to.be(str)
+      );
+    });
+
+  });
+
+  describe('queries', function() {
+    let ref;
+
+    beforeEach(function() {
+      ref = firebase.factory('https://singpath.firebaseio.com')({paths: 'scores'});
+    });
+
+    it('should be immutable', function() {
+      const query = ref.orderByChild('score');
+
+      expect(ref.query).to.be(undefined);
+      expect(query).not.to.be(ref);
+      expect(query.limitToFirst(5)).not.to.be(query);
+      expect(query.query.params).to.eql({orderBy: 'score'});
+    });
+
+    it('should keep the reference location', function() {
+      const query = ref.orderByKey();
+
+      expect(query.toString()).to.be(ref.toString());
+      expect(query.child('foo').query).to.be(undefined);
+    });
+
+    it('should encode query parameters', function() {
+      const query = ref.orderByChild('score').startAt(10).endAt('z').limitToFirst(5);
+
+      expect(query.query.toQueryString()).to.eql({
+        orderBy: '"score"',
+        startAt: '10',
+        endAt: '"z"',
+        limitToFirst: 5
+      });
+    });
+
+    it('should encode special orderBy values', function() {
+      expect(ref.orderByKey().equalTo('foo').query.toQueryString()).to.eql({orderBy: '"$key"', equalTo: '"foo"'});
+      expect(ref.orderByValue().query.toQueryString()).to.eql({orderBy: '"$value"'});
+      expect(ref.orderByPriority().query.toQueryString()).to.eql({orderBy: '"$priority"', format: 'export'});
+    });
+
+    it('should reject a second orderBy', function() {
+      expect(() => ref.orderByKey().orderByChild('score')).to.throwError();
+    });
+
+    it('should reject limitToFirst with limitToLast', function() {
+      expect(() => ref.orderByKey().limitToFirst(1).limitToLast(1)).to.throwError();
+    });
+
+    it('should reject invalid limits', function() {
+      expect(() => ref.orderByKey().limitToFirst(0)).to.throwError();
+      expect(() => ref.orderByKey().limitToLast(1.5)).to.throwError();
+      expect(() => ref.orderByKey().limitToLast('1')).to.throwError();
+    });
+
+    it('should reject equalTo with a range', function() {
+      expect(() => ref.orderByValue().startAt(1).equalTo(2)).to.throwError();
+      expect(() => ref.orderByValue().equalTo(2).endAt(1)).to.throwError();
+    });
+
+    it('should reject values invalid for the order', function() {
+      expect(() => ref.orderByKey().startAt(1)).to.throwError();
+      expect(() => ref.startAt(1).orderByKey()).to.throwError();
+      expect(() => ref.orderByPriority().startAt(true)).to.throwError();
+      expect(() => ref.orderByValue().startAt({})).to.throwError();
+    });
+
+    it('should reject an empty child path', function() {
+      expect(() => ref.orderByChild('/')).to.throwError();
+    });
+
+    it('should reject a query without orderBy before sending it', function() {
+      return ref.limitToFirst(2).get().then(
+        () => Promise.reject(new Error('unexpected')),
+        err => expect(err.message).to.match(/orderBy/)
+      );
+    });
+
+  });
+
+  describe('asUser', function() {
+    const secret = 'some-secret';
+
+    function decode(token) {
+      const parts = token.split('.');
+      const signature = crypto.createHmac('sha256', secret).update(`${parts[0]}.${parts[1]}`).digest('base64');
+
+      expect(parts[2]).to.be(signature.replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_'));
+
+      return {
+        header: JSON.parse(new Buffer(parts[0], 'base64').toString()),
+        claims: JSON.parse(new Buffer(parts[1], 'base64').toString())
+      };
+    }
+
+    it('should create references bound to a signed token', function() {
+      const alice = firebase.factory('singpath', {secret}).asUser('alice');
+      const ref = alice({paths: 'foo', auth: 'other-token'});
+      const token = decode(ref.auth);
+
+      expect(ref.toString()).to.be('https://singpath.firebaseio.com/foo.json');
+      expect(alice.uid).to.be('alice');
+      expect(alice.auth).to.be(ref.auth);
+      expect(token.header).to.eql({typ: 'JWT', alg: 'HS256'});
+      expect(token.claims.v).to.be(0);
+      expect(token.claims.iat).to.be.a('number');
+      expect(token.claims.d).to.eql({uid: 'alice'});
+    });
+
+    it('should include custom claims', function() {
+      const alice = firebase.factory('singpath', {secret}).asUser('alice', {role: 'admin'});
+
+      expect(decode(alice.auth).claims.d).to.eql({uid: 'alice', role: 'admin'});
+    });
+
+    it('should set the token options', function() {
+      const expires = new Date(Date.UTC(2030, 0, 1));
+      const alice = firebase.factory('singpath', {secret}).asUser('alice', {}, {admin: true, debug: true, expires});
+      const claims = decode(alice.auth).claims;
+
+      expect(claims.admin).to.be(true);
+      expect(claims.debug).to.be(true);
+      expect(claims.exp).to.be(1893456000);
+    });
+
+    it('should throw without a secret', function() {
+      expect(() => firebase.factory('singpath').asUser('alice')).to.throwError();
+    });
+
+    it('should throw with an invalid uid', function() {
+      expect(() => firebase.factory('singpath', {secret}).asUser(1)).to.throwError();
+    });
+
+    it('should create admin tokens without uid', function() {
+      const token = firebase.createToken(secret, {}, {admin: true});
+
+      expect(decode(token).claims).to.have.property('admin', true);
+    });
+
+  });
+
+  describe('generatePushId', function() {
+
+    it('should encode the timestamp in the first 8 characters', function() {
+      expect(firebase.generatePushId(0).slice(0, 8)).to.be('--------');
+      expect(firebase.generatePushId(64).slice(0, 8)).to.be('------0-');
+    });
+
+    it('should sort IDs generated in the same ms in creation order', function() {
+      const first = firebase.generatePushId(2000);
+      const second = firebase.generatePushId(2000);
+
+      expect(first).to.have.length(20);
+      expect(first.slice(0, 8)).to.be(second.slice(0, 8));
+      expect(first < second).to.be(true);
+    });
+
+  });
+
   describe('operations', function() {
     const port = 8000;
     const paths = 'foo/bar';
@@ -276,6 +571,25 @@ describe('factory', function() {
 
     describe('set', function() {
 
+      it('should reject invalid keys without sending the request', function() {
+        return ref.set({foo: {'a.b': 1}}).then(
+          () => Promise.reject(new Error('unexpected')),
+          err => {
+            expect(err.message).to.match(/Invalid key "a\.b" at \/foo\/bar\/foo/);
+            expect(server.calls).to.have.length(0);
+          }
+        );
+      });
+
+      it('should allow special keys', function() {
+        server.returns.push((req, resp) => {
+          resp.writeHead(200, {'Content-Type': 'application/json'});
+          resp.end();
+        });
+
+        return ref.set({'.value': 1, '.priority': 2, 'time': {'.sv': 'timestamp'}});
+      });
+
       it('should send a PUT request', function() {
         server.returns.push((req, resp) => {
           expect(req.url).to.be('/foo/bar.json?auth=some-token');
@@ -344,6 +658,37 @@ describe('factory', function() {
 
     describe('update', function() {
 
+      it('should reject invalid paths without sending the request', function() {
+        return ref.update({'baz/qu[x]': 1}).then(
+          () => Promise.reject(new Error('unexpected')),
+          err => {
+            expect(err.message).to.match(/Invalid key "qu\[x\]" at \/foo\/bar\/baz/);
+            expect(server.calls).to.have.length(0);
+          }
+        );
+      });
+
+      it('should allow priority paths', function() {
+        server.returns.push((req, resp) => {
+          resp.writeHead(200, {'Content-Type': 'application/json'});
+          resp.end('{"baz/.priority": 1}');
+        });
+
+        return ref.update({'baz/.priority': 1}).then(
+          () => expect(server.calls).to.have.length(1)
+        );
+      });
+
+      it('should reject invalid keys without sending the request', function() {
+        return ref.update({'baz/qux': {'a$': 1}}).then(
+          () => Promise.reject(new Error('unexpected')),
+          err => {
+            expect(err.message).to.match(/Invalid key "a\$" at \/foo\/bar\/baz\/qux/);
+            expect(server.calls).to.have.length(0);
+          }
+        );
+      });
+
       it('should send a PATCH request', function() {
         server.returns.push((req, resp) => {
           expect(req.url).to.be('/foo/bar/.json?auth=some-token');
@@ -518,29 +863,516 @@ describe('factory', function() {
 
     });
 
-    describe('push', function() {
+    describe('query', function() {
+
+      function reply(value) {
+        return (req, resp) => {
+          resp.writeHead(200, {'Content-Type': 'application/json'});
+          resp.end(JSON.stringify(value));
+        };
+      }
+
+      it('should send the query parameters', function() {
+        server.returns.push((req, resp) => {
+          const reqUrl = url.parse(req.url, true);
+
+          expect(reqUrl.pathname).to.be('/foo/bar.json');
+          expect(reqUrl.query).to.eql({
+            auth: 'some-token',
+            orderBy: '"score"',
+            startAt: '10',
+            limitToFirst: '5',
+            print: 'pretty'
+          });
+
+          reply({})(req, resp);
+        });
+
+        return ref.orderByChild('score').startAt(10).limitToFirst(5).get({print: 'pretty'});
+      });
 
-      it('should send a POST request', function() {
+      it('should reject with an IndexNotDefinedError if the index is missing', function() {
+        server.returns.push((req, resp) => {
+          resp.writeHead(400, {'Content-Type': 'application/json'});
+          resp.end(JSON.stringify({
+            error: 'Index not defined, add ".indexOn": "score", for path "/foo/bar", to the rules'
+          }));
+        });
+
+        return ref.orderByChild('score').get().then(
+          () => Promise.reject(new Error('unexpected')),
+          err => {
+            expect(err).to.be.a(firebase.IndexNotDefinedError);
+            expect(err).to.be.a(firebase.ResponseError);
+            expect(err.status).to.be(400);
+            expect(err.path).to.be('/foo/bar');
+            expect(err.field).to.be('score');
+            expect(err.message).to.match(/^Index not defined/);
+          }
+        );
+      });
+
+      it('should resolve with results in the child order', function() {
+        server.returns.push(reply({
+          bob: {score: 20},
+          alice: {score: 10},
+          carl: {},
+          dan: {score: 'a'},
+          eve: {score: 10}
+        }));
+
+        return ref.orderByChild('score').get().then(
+          value => expect(Object.keys(value)).to.eql(['carl', 'alice', 'eve', 'bob', 'dan'])
+        );
+      });
+
+      it('should resolve with results in the value order', function() {
+        server.returns.push(reply({a: 'x', b: true, c: 2, d: false, e: null, f: 1}));
+
+        return ref.orderByValue().get().then(
+          value => expect(Object.keys(value)).to.eql(['e', 'd', 'b', 'f', 'c', 'a'])
+        );
+      });
+
+      it('should resolve with results in the priority order', function() {
+        server.returns.push(reply({
+          a: {'.value': 1, '.priority': 'b'},
+          b: {'.value': 2, '.priority': 3},
+          c: {foo: {'.value': 3, '.priority': 1}}
+        }));
+
+        return ref.orderByPriority().get().then(value => {
+          expect(Object.keys(value)).to.eql(['c', 'b', 'a']);
+          expect(value).to.eql({a: 1, b: 2, c: {foo: 3}});
+        });
+      });
+
+      it('should resolve with entries in the key order', function() {
+        server.returns.push(reply({b: 1, 10: 2, a: 3, 9: 4}));
+
+        return ref.orderByKey().entries().then(
+          entries => expect(entries).to.eql([['9', 4], ['10', 2], ['a', 3], ['b', 1]])
+        );
+      });
+
+      it('should resolve with entries in the child order', function() {
+        server.returns.push(reply({1: {score: 3}, a: {score: 1}, 2: {score: 2}}));
+
+        return ref.orderByChild('score').entries().then(
+          entries => expect(entries.map(e => e[0])).to.eql(['a', '2', '1'])
+        );
+      });
+
+      it('should resolve with primitive results', function() {
+        server.returns.push(reply(null));
+
+        return ref.orderByKey().get().then(
+          value => expect(value).to.be(null)
+        );
+      });
+
+    });
+
+    describe('etag', function() {
+
+      it('should request the ETag', function() {
         server.returns.push((req, resp) => {
           expect(req.url).to.be('/foo/bar.json?auth=some-token');
-          expect(req.method).to.be('POST');
+          expect(req.headers['x-firebase-etag']).to.be('true');
+
+          resp.writeHead(200, {'Content-Type': 'application/json', ETag: 'some-etag'});
+          resp.end('{"some": "value"}');
+        });
+
+        return ref.get({etag: true}).then(
+          result => expect(result).to.eql({value: {some: 'value'}, etag: 'some-etag'})
+        );
+      });
+
+      it('should send conditional PUT requests', function() {
+        server.returns.push((req, resp) => {
+          expect(req.method).to.be('PUT');
+          expect(req.url).to.be('/foo/bar.json?auth=some-token');
+          expect(req.headers['if-match']).to.be('some-etag');
 
           resp.writeHead(200, {'Content-Type': 'application/json'});
-          resp.end();
+          resp.end('{"some": "value"}');
         });
 
-        return ref.push({some: 'value'}).then(
-          () => expect(server.calls).to.have.length(1)
+        return ref.set({some: 'value'}, {ifMatch: 'some-etag'});
+      });
+
+      it('should send conditional DELETE requests', function() {
+        server.returns.push((req, resp) => {
+          expect(req.method).to.be('DELETE');
+          expect(req.headers['if-match']).to.be('some-etag');
+
+          resp.writeHead(200, {'Content-Type': 'application/json'});
+          resp.end('null');
+        });
+
+        return ref.remove({ifMatch: 'some-etag'});
+      });
+
+      it('should reject with the current value and ETag', function() {
+        server.returns.push((req, resp) => {
+          resp.writeHead(412, {'Content-Type': 'application/json', ETag: 'other-etag'});
+          resp.end('{"other": "value"}');
+        });
+
+        return ref.set({some: 'value'}, {ifMatch: 'some-etag'}).then(
+          () => Promise.reject(new Error('unexpected')),
+          err => {
+            expect(err).to.be.a(firebase.PreconditionFailedError);
+            expect(err).to.be.a(firebase.ResponseError);
+            expect(err.status).to.be(412);
+            expect(err.value).to.eql({other: 'value'});
+            expect(err.etag).to.be('other-etag');
+          }
+        );
+      });
+
+    });
+
+    describe('transaction', function() {
+
+      function reply(status, etag, value) {
+        return (req, resp) => {
+          resp.writeHead(status, {'Content-Type': 'application/json', ETag: etag});
+          resp.end(JSON.stringify(value));
+        };
+      }
+
+      it('should write the updated value if unchanged', function() {
+        server.returns.push(reply(200, 'etag-1', 1));
+        server.returns.push((req, resp) => {
+          expect(req.method).to.be('PUT');
+          expect(req.headers['if-match']).to.be('etag-1');
+          reply(200, 'etag-2', 2)(req, resp);
+        });
+
+        return ref.transaction(value => value + 1).then(
+          result => expect(result).to.eql({committed: true, value: 2})
         );
       });
 
+      it('should retry with the current value', function() {
+        const calls = [];
+
+        server.returns.push(reply(200, 'etag-1', 1));
+        server.returns.push(reply(412, 'etag-2', 5));
+        server.returns.push((req, resp) => {
+          expect(req.headers['if-match']).to.be('etag-2');
+          reply(200, 'etag-3', 6)(req, resp);
+        });
+
+        return ref.transaction(value => {
+          calls.push(value);
+          return value + 1;
+        }).then(result => {
+          expect(calls).to.eql([1, 5]);
+          expect(result).to.eql({committed: true, value: 6});
+        });
+      });
+
+      it('should abort when the update function returns undefined', function() {
+        server.returns.push(reply(200, 'etag-1', 1));
+
+        return ref.transaction(() => undefined).then(result => {
+          expect(result).to.eql({committed: false, value: 1});
+          expect(server.calls).to.have.length(1);
+        });
+      });
+
+      it('should reject after too many retries', function() {
+        server.returns.push(reply(200, 'etag-1', 1));
+        server.returns.push(reply(412, 'etag-2', 2));
+        server.returns.push(reply(412, 'etag-3', 3));
+
+        return ref.transaction(value => value + 1, {maxRetries: 1}).then(
+          () => Promise.reject(new Error('unexpected')),
+          err => {
+            expect(err.message).to.match(/retries/);
+            expect(server.calls).to.have.length(3);
+          }
+        );
+      });
+
+      it('should reject on other errors', function() {
+        server.returns.push(reply(200, 'etag-1', 1));
+        server.returns.push(reply(401, 'etag-2', {error: 'Permission denied'}));
+
+        return ref.transaction(value => value + 1).then(
+          () => Promise.reject(new Error('unexpected')),
+          err => expect(err.status).to.be(401)
+        );
+      });
+
+    });
+
+    describe('on', function() {
+
+      function stream(events, opts) {
+        return (req, resp) => {
+          resp.writeHead(200, Object.assign({'Content-Type': 'text/event-stream'}, opts && opts.headers));
+          events.forEach(e => resp.write(`event: ${e[0]}\ndata: ${JSON.stringify(e[1])}\n\n`));
+
+          if (opts && opts.end) {
+            resp.end();
+          }
+        };
+      }
+
+      afterEach(function() {
+        ref.off();
+      });
+
+      it('should request an event stream', function(done) {
+        server.returns.push((req, resp) => {
+          expect(req.method).to.be('GET');
+          expect(req.url).to.be('/foo/bar.json?auth=some-token');
+          expect(req.headers.accept).to.be('text/event-stream');
+          done();
+
+          stream([])(req, resp);
+        });
+
+        ref.on('value', () => undefined);
+      });
+
+      it('should call value callbacks with the initial value', function(done) {
+        server.returns.push(stream([['put', {path: '/', data: {a: 1}}]]));
+
+        ref.on('value', value => {
+          expect(value).to.eql({a: 1});
+          done();
+        });
+      });
+
+      it('should apply put and patch events to the local copy', function(done) {
+        const values = [];
+
+        server.returns.push(stream([
+          ['put', {path: '/', data: {a: {b: 1}}}],
+          ['keep-alive', null],
+          ['put', {path: '/a/c', data: 2}],
+          ['patch', {path: '/a', data: {b: null, d: 3}}],
+          ['put', {path: '/a', data: null}]
+        ]));
+
+        ref.on('value', value => {
+          values.push(value);
+
+          if (values.length < 4) {
+            return;
+          }
+
+          expect(values).to.eql([
+            {a: {b: 1}},
+            {a: {b: 1, c: 2}},
+            {a: {c: 2, d: 3}},
+            null
+          ]);
+          done();
+        });
+      });
+
+      it('should dispatch child events', function(done) {
+        const calls = [];
+
+        server.returns.push(stream([
+          ['put', {path: '/', data: {a: 1, b: 2}}],
+          ['put', {path: '/c', data: 3}],
+          ['put', {path: '/a', data: 4}],
+          ['put', {path: '/b', data: null}]
+        ]));
+
+        ['child_added', 'child_changed', 'child_removed'].forEach(
+          eventType => ref.on(eventType, (value, key) => {
+            calls.push([eventType, key, value]);
+
+            if (calls.length < 5) {
+              return;
+            }
+
+            expect(calls).to.eql([
+              ['child_added', 'a', 1],
+              ['child_added', 'b', 2],
+              ['child_added', 'c', 3],
+              ['child_changed', 'a', 4],
+              ['child_removed', 'b', 2]
+            ]);
+            done();
+          })
+        );
+      });
+
+      it('should call new listeners with the current value', function(done) {
+        server.returns.push(stream([['put', {path: '/', data: {a: 1}}]]));
+
+        ref.on('value', () => ref.on('child_added', (value, key) => {
+          expect(key).to.be('a');
+          expect(value).to.be(1);
+          done();
+        }));
+      });
+
+      it('should reject invalid event types', function() {
+        expect(() => ref.on('foo', () => undefined)).to.throwError();
+      });
+
+      it('should log the firebase debug messages', function(done) {
+        const debugMsg = 'some message';
+
+        server.returns.push(stream([['put', {path: '/', data: 1}]], {
+          headers: {'X-Firebase-Auth-Debug': debugMsg}
+        }));
+
+        ref.on('value', () => {
+          sinon.assert.calledWith(ref.$logger.warn, debugMsg);
+          done();
+        });
+      });
+
+      it('should reconnect after the stream drops', function(done) {
+        const values = [];
+
+        ref.reconnectDelay = 10;
+        server.returns.push(stream([['put', {path: '/', data: 1}]], {end: true}));
+        server.returns.push(stream([['put', {path: '/', data: 2}]]));
+
+        ref.on('value', value => {
+          values.push(value);
+
+          if (values.length === 2) {
+            expect(values).to.eql([1, 2]);
+            expect(server.calls).to.have.length(2);
+            done();
+          }
+        });
+      });
+
+      it('should decode characters split between chunks', function(done) {
+        server.returns.push((req, resp) => {
+          const event = new Buffer(`event: put\ndata: ${JSON.stringify({path: '/', data: {'café': '€'}})}\n\n`);
+          const split = event.indexOf('€') + 1;
+
+          resp.writeHead(200, {'Content-Type': 'text/event-stream'});
+          resp.write(event.slice(0, split));
+          setTimeout(() => resp.write(event.slice(split)), 20);
+        });
+
+        ref.on('value', value => {
+          expect(value).to.eql({'café': '€'});
+          done();
+        });
+      });
+
+      it('should follow redirects', function(done) {
+        server.returns.push((req, resp) => {
+          resp.writeHead(307, {Location: `http://127.0.0.1:${port}/other/foo/bar.json?auth=${auth}`});
+          resp.end();
+        });
+        server.returns.push((req, resp) => {
+          expect(req.url).to.be('/other/foo/bar.json?auth=some-token');
+          stream([['put', {path: '/', data: 1}]])(req, resp);
+        });
+
+        ref.on('value', value => {
+          expect(value).to.be(1);
+          done();
+        });
+      });
+
+      it('should call cancel callbacks on cancel events', function(done) {
+        server.returns.push(stream([['cancel', 'Permission denied']]));
+
+        ref.on('value', () => done(new Error('unexpected')), err => {
+          expect(err.name).to.be('CancelError');
+          expect(err.type).to.be('cancel');
+          expect(err.reason).to.be('Permission denied');
+          done();
+        });
+      });
+
+      it('should call cancel callbacks on auth_revoked events', function(done) {
+        server.returns.push(stream([['auth_revoked', 'credential is no longer valid']]));
+
+        ref.on('value', () => done(new Error('unexpected')), err => {
+          expect(err.type).to.be('auth_revoked');
+          done();
+        });
+      });
+
+      it('should call cancel callbacks if the request is rejected', function(done) {
+        server.returns.push((req, resp) => {
+          resp.writeHead(401, {'Content-Type': 'application/json'});
+          resp.end('{"error": "Permission denied"}');
+        });
+
+        ref.on('value', () => done(new Error('unexpected')), err => {
+          expect(err.status).to.be(401);
+          expect(err.body).to.eql({error: 'Permission denied'});
+          done();
+        });
+      });
+
+      it('should close the stream when the last listener is removed', function(done) {
+        server.returns.push((req, resp) => {
+          req.on('close', () => done());
+          stream([['put', {path: '/', data: 1}]])(req, resp);
+        });
+
+        const cb = ref.on('value', () => ref.off('value', cb));
+      });
+
+    });
+
+    describe('push', function() {
+      const PUSH_ID = /^[-0-9A-Za-z_]{20}$/;
+
+      it('should return a child reference without a value', function() {
+        const child = ref.push();
+
+        expect(child).to.be.a(firebase.Request);
+        expect(child.key).to.match(PUSH_ID);
+        expect(child.parent().path).to.be('/foo/bar');
+        expect(server.calls).to.have.length(0);
+      });
+
+      it('should generate chronological keys', function() {
+        const keys = [ref.push().key, ref.push().key, ref.push().key];
+
+        expect(keys.slice().sort()).to.eql(keys);
+      });
+
+      it('should send a PUT request to the new child', function() {
+        server.returns.push((req, resp) => {
+          expect(req.url).to.match(/^\/foo\/bar\/[-0-9A-Za-z_]{20}\.json\?auth=some-token$/);
+          expect(req.method).to.be('PUT');
+
+          resp.writeHead(200, {'Content-Type': 'application/json'});
+          resp.end('{"some": "value"}');
+        });
+
+        return ref.push({some: 'value'}).then(child => {
+          expect(server.calls).to.have.length(1);
+          expect(child).to.be.a(firebase.Request);
+          expect(`/foo/bar/${child.key}.json?auth=some-token`).to.be(server.calls[0].url);
+        });
+      });
+
       it('should send the payload as request body', function(done) {
         const payload = {some: 'value'};
 
         server.returns.push((req, resp) => {
           jsonBody(req, (err, body) => {
-            expect(body).to.eql(body);
-            done();
+            try {
+              expect(body).to.eql(payload);
+              done();
+            } catch (e) {
+              done(e);
+            }
           });
 
           resp.writeHead(200, {'Content-Type': 'application/json'});
@@ -573,7 +1405,7 @@ describe('factory', function() {
           expect(reqUrl.query.print).to.be('pretty');
 
           resp.writeHead(200, {'Content-Type': 'application/json'});
-          resp.end();
+          resp.end('{"some": "value"}');
         });
 
         return ref.push({some: 'value'}, {print: 'pretty'});
@@ -581,6 +1413,247 @@ describe('factory', function() {
 
     });
 
+    describe('timeout and retry', function() {
+
+      function reply(status) {
+        return (req, resp) => {
+          resp.writeHead(status, {'Content-Type': 'application/json'});
+          resp.end(status < 300 ? '"ok"' : '{"error": "oops"}');
+        };
+      }
+
+      it('should not retry by default', function() {
+        server.returns.push(reply(503));
+
+        return rejected(ref.get()).then(err => {
+          expect(err.status).to.be(503);
+          expect(err.attempts).to.be(1);
+          expect(server.calls).to.have.length(1);
+        });
+      });
+
+      it('should retry idempotent requests', function() {
+        ref = factory({paths, auth, logger, retry: {retries: 2, minDelay: 1}});
+        server.returns.push(reply(503), reply(500), reply(200));
+
+        return ref.set('ok').then(value => {
+          expect(value).to.be('ok');
+          expect(server.calls).to.have.length(3);
+        });
+      });
+
+      it('should report the number of attempts', function() {
+        factory = firebase.factory(`http://127.0.0.1:${port}`, {retry: {retries: 2, minDelay: 1}});
+        ref = factory({paths, auth, logger});
+        server.returns.push(reply(503), reply(503), reply(503));
+
+        return rejected(ref.remove()).then(err => {
+          expect(err.status).to.be(503);
+          expect(err.attempts).to.be(3);
+        });
+      });
+
+      it('should not retry client errors', function() {
+        ref = factory({paths, auth, logger, retry: {retries: 2, minDelay: 1}});
+        server.returns.push(reply(401));
+
+        return rejected(ref.get()).then(err => {
+          expect(err.status).to.be(401);
+          expect(err.attempts).to.be(1);
+        });
+      });
+
+      it('should not retry POST and PATCH requests by default', function() {
+        ref = factory({paths, auth, logger, retry: {retries: 2, minDelay: 1}});
+        server.returns.push(reply(503));
+
+        return rejected(ref.update({foo: 1})).then(
+          err => expect(err.attempts).to.be(1)
+        );
+      });
+
+      it('should retry the requested methods', function() {
+        ref = factory({paths, auth, logger, retry: {retries: 1, minDelay: 1, methods: ['patch']}});
+        server.returns.push(reply(503), reply(200));
+
+        return ref.update({foo: 1}).then(
+          () => expect(server.calls).to.have.length(2)
+        );
+      });
+
+      it('should retry on the requested status codes', function() {
+        ref = factory({paths, auth, logger, retry: {retries: 1, minDelay: 1, retryOn: [409]}});
+        server.returns.push(reply(409), reply(200));
+
+        return ref.get().then(
+          () => expect(server.calls).to.have.length(2)
+        );
+      });
+
+      it('should accept per call overrides', function() {
+        ref = factory({paths, auth, logger, retry: {retries: 2, minDelay: 1}});
+        server.returns.push(reply(503), reply(200));
+
+        return rejected(ref.get({retry: false})).then(err => {
+          expect(err.attempts).to.be(1);
+
+          return ref.get({retry: {retries: 1}, shallow: true});
+        }).then(() => {
+          expect(server.calls).to.have.length(2);
+          expect(url.parse(server.calls[1].url, true).query).to.eql({auth, shallow: 'true'});
+        });
+      });
+
+      it('should reject invalid retry options', function() {
+        expect(() => firebase.factory(`http://127.0.0.1:${port}`, {retry: {retires: 1}})).to.throwError(
+          /Invalid retry option: "retires"/
+        );
+
+        return rejected(ref.get({retry: {retries: -1}})).then(
+          err => expect(err.message).to.match(/"retries" should be a positive number/)
+        );
+      });
+
+      it('should time out', function() {
+        server.returns.push((req, resp) => setTimeout(reply(200), 200, req, resp));
+
+        return rejected(ref.get({timeout: 20})).then(err => {
+          expect(err.code).to.match(/TIMEDOUT/);
+          expect(err.attempts).to.be(1);
+        });
+      });
+
+      it('should retry timed out requests', function() {
+        ref = factory({paths, auth, logger, timeout: 20, retry: {retries: 1, minDelay: 1}});
+        server.returns.push((req, resp) => setTimeout(reply(200), 200, req, resp), reply(200));
+
+        return ref.get().then(
+          value => expect(value).to.be('ok')
+        );
+      });
+
+      it('should send string timeouts to Firebase', function() {
+        server.returns.push(reply(200));
+
+        return ref.set(1, {timeout: '3s'}).then(
+          () => expect(url.parse(server.calls[0].url, true).query.timeout).to.be('3s')
+        );
+      });
+
+      it('should retry rules requests', function() {
+        ref = factory({paths, auth: 'some-secret', logger, retry: {retries: 1, minDelay: 1}});
+        server.returns.push(reply(503), reply(200));
+
+        return ref.rules().then(
+          () => expect(server.calls).to.have.length(2)
+        );
+      });
+
+    });
+
+    describe('errors', function() {
+
+      function reply(status, body, headers) {
+        return (req, resp) => {
+          resp.writeHead(status, Object.assign({'Content-Type': 'application/json'}, headers));
+          resp.end(JSON.stringify(body));
+        };
+      }
+
+      [
+        [401, 'PermissionDeniedError'],
+        [403, 'PermissionDeniedError'],
+        [404, 'NotFoundError'],
+        [412, 'PreconditionFailedError'],
+        [413, 'PayloadTooLargeError'],
+        [429, 'RateLimitedError'],
+        [500, 'ServerError'],
+        [503, 'ServerError'],
+        [400, 'ResponseError']
+      ].forEach(test => {
+        const status = test[0];
+        const name = test[1];
+
+        it(`should reject ${status} responses with a ${name}`, function() {
+          server.returns.push(reply(status, {error: 'some error'}));
+
+          return rejected(ref.set(1)).then(err => {
+            expect(err).to.be.a(firebase[name]);
+            expect(err).to.be.a(firebase.ResponseError);
+            expect(err).to.be.a(firebase.RequestError);
+            expect(err.name).to.be(name);
+            expect(err.status).to.be(status);
+            expect(err.method).to.be('PUT');
+            expect(err.url).to.be(`http://127.0.0.1:${port}/foo/bar.json`);
+            expect(err.message).to.be('some error');
+          });
+        });
+      });
+
+      it('should default to the status message', function() {
+        server.returns.push(reply(404, null));
+
+        return rejected(ref.get()).then(
+          err => expect(err.message).to.be('Not Found')
+        );
+      });
+
+      it('should parse the retry-after header', function() {
+        server.returns.push(reply(429, {error: 'slow down'}, {'Retry-After': '30'}));
+
+        return rejected(ref.get()).then(
+          err => expect(err.retryAfter).to.be(30)
+        );
+      });
+
+      it('should parse the auth debug message', function() {
+        const debugMsg = [
+          'Attempt to write {"score":1} to /foo/bar with auth={"uid":"bob"}',
+          '    /foo/bar:.write: "auth.uid === \'alice\'"',
+          '        => false',
+          'No .write rule allowed the operation.',
+          'Write was denied.'
+        ].join('\\n');
+
+        server.returns.push(reply(401, {error: 'Permission denied'}, {'X-Firebase-Auth-Debug': debugMsg}));
+
+        return rejected(ref.set({score: 1})).then(err => {
+          expect(err.authTrace).to.eql({
+            operation: 'write',
+            path: '/foo/bar',
+            auth: {uid: 'bob'},
+            data: {score: 1},
+            rules: [{path: '/foo/bar', type: '.write', expression: 'auth.uid === \'alice\'', result: false}],
+            allowed: false
+          });
+          expect(err.message).to.match(/^Permission denied\nAttempt to write/);
+          expect(err.message).to.contain('/foo/bar:.write: "auth.uid === \'alice\'"');
+        });
+      });
+
+      it('should reject with a NetworkError if the server is unreachable', function() {
+        ref = firebase.factory('http://127.0.0.1:1')({paths, auth, logger});
+
+        return rejected(ref.get()).then(err => {
+          expect(err).to.be.a(firebase.NetworkError);
+          expect(err).to.be.a(firebase.RequestError);
+          expect(err.code).to.be('ECONNREFUSED');
+          expect(err.status).to.be(undefined);
+          expect(err.method).to.be('GET');
+        });
+      });
+
+      it('should reject with a TimeoutError if the request times out', function() {
+        server.returns.push((req, resp) => setTimeout(reply(200, 1), 200, req, resp));
+
+        return rejected(ref.get({timeout: 20})).then(err => {
+          expect(err).to.be.a(firebase.TimeoutError);
+          expect(err.message).to.be('Request timed out after 20ms.');
+        });
+      });
+
+    });
+
   });
 
 });
@@ -0,0 +1,169 @@
+'use strict';
+
+const expect = require('expect.js');
+const restFirebase = require('../');
+const emulator = require('../emulator');
+const rejected = require('./helpers').rejected;
+
+describe('interceptors', function() {
+  let requests, transport, firebase;
+
+  beforeEach(function() {
+    requests = [];
+    transport = req => {
+      requests.push(req);
+      return Promise.resolve({statusCode: 200, statusMessage: 'OK', headers: {}, body: req.body || '{"foo": 1}'});
+    };
+    firebase = restFirebase.factory('http://localhost', {transport});
+  });
+
+  it('should let request hooks change the headers, query and payload', function() {
+    const ref = firebase({paths: 'foo', auth: 'old-token'}).use({
+      request(req) {
+        req.headers['x-trace-id'] = 'some-id';
+        req.qs.auth = 'new-token';
+        req.payload = {bar: req.payload.bar + 1};
+      }
+    });
+
+    return ref.set({bar: 1}).then(value => {
+      expect(value).to.eql({bar: 2});
+      expect(requests[0].headers['x-trace-id']).to.be('some-id');
+      expect(requests[0].url).to.be('http://localhost/foo.json?auth=new-token');
+      expect(requests[0].body).to.be('{"bar":2}');
+    });
+  });
+
+  it('should let request hooks short-circuit the request', function() {
+    const ref = firebase({paths: 'foo'}).use({
+      request: req => (req.method === 'GET' ? {body: {cached: true}} : undefined)
+    });
+
+    return ref.get().then(value => {
+      expect(value).to.eql({cached: true});
+      expect(requests).to.be.empty();
+    });
+  });
+
+  it('should ignore other request hooks results', function() {
+    const ref = firebase({paths: 'foo'}).use({request: req => (req.headers.foo = 'bar')});
+
+    return ref.get().then(value => {
+      expect(value).to.eql({foo: 1});
+      expect(requests).to.have.length(1);
+    });
+  });
+
+  it('should call response hooks with the response', function() {
+    const calls = [];
+    const ref = firebase({paths: 'foo'}).use({response: (req, resp) => calls.push({req, resp})});
+
+    return ref.get().then(() => {
+      expect(calls).to.have.length(1);
+      expect(calls[0].req.method).to.be('GET');
+      expect(calls[0].req.url).to.be('http://localhost/foo.json');
+      expect(calls[0].req.ref).to.be.a(restFirebase.Request);
+      expect(calls[0].resp.statusCode).to.be(200);
+      expect(calls[0].resp.body).to.eql({foo: 1});
+      expect(calls[0].resp.duration).to.be.a('number');
+    });
+  });
+
+  it('should call error hooks with the error', function() {
+    const calls = [];
+    const failing = () => Promise.reject(Object.assign(new Error('refused'), {code: 'ECONNREFUSED'}));
+    const ref = firebase({paths: 'foo', transport: failing}).use({error: (req, err) => calls.push(err)});
+
+    return rejected(ref.get()).then(err => {
+      expect(err).to.be.a(restFirebase.NetworkError);
+      expect(calls).to.eql([err]);
+    });
+  });
+
+  it('should let error hooks replace the error', function() {
+    const failing = () => Promise.resolve({statusCode: 404, statusMessage: 'Not Found', headers: {}, body: ''});
+    const ref = firebase({paths: 'foo', transport: failing}).use({
+      error: (req, err) => {
+        throw new Error(`${req.method} failed with ${err.status}`);
+      }
+    });
+
+    return rejected(ref.get()).then(
+      err => expect(err.message).to.be('GET failed with 404')
+    );
+  });
+
+  it('should run request hooks in order and response hooks in reverse order', function() {
+    const calls = [];
+    const hooks = name => ({
+      request: () => calls.push(`${name}.request`),
+      response: () => calls.push(`${name}.response`)
+    });
+
+    return firebase({paths: 'foo'}).use(hooks('a')).use(hooks('b')).get().then(
+      () => expect(calls).to.eql(['a.request', 'b.request', 'b.response', 'a.response'])
+    );
+  });
+
+  it('should keep the interceptors of new references', function() {
+    const calls = [];
+    const ref = firebase({paths: 'foo'});
+    const intercepted = ref.use({request: req => calls.push(req.url)});
+
+    return ref.get().then(
+      () => intercepted.child('bar').orderByKey().limitToFirst(1).get()
+    ).then(
+      () => expect(calls).to.eql(['http://localhost/foo/bar.json'])
+    );
+  });
+
+  it('should accept interceptors as factory option', function() {
+    const calls = [];
+    const interceptors = [{request: req => calls.push(req.method)}];
+
+    firebase = restFirebase.factory('http://localhost', {transport, interceptors});
+
+    return firebase({paths: 'foo'}).remove().then(
+      () => expect(calls).to.eql(['DELETE'])
+    );
+  });
+
+  it('should reject invalid interceptors', function() {
+    const ref = firebase({paths: 'foo'});
+
+    expect(() => ref.use()).to.throwError(/interceptor/);
+    expect(() => ref.use({})).to.throwError(/interceptor/);
+    expect(() => ref.use({request: true})).to.throwError(/interceptor/);
+    expect(() => restFirebase.factory('some-id', {interceptors: [{}]})).to.throwError(/interceptor/);
+  });
+
+  describe('with the emulator', function() {
+    const secret = 'some-secret';
+    let server;
+
+    beforeEach(function() {
+      server = emulator.createServer({secret, rules: {rules: {'.read': false}}});
+
+      return server.listen();
+    });
+
+    afterEach(function() {
+      return server.close();
+    });
+
+    it('should give the rules debug message to response hooks', function() {
+      const calls = [];
+      const logger = {warn: () => undefined};
+      const bob = restFirebase.factory(server.url, {secret}).asUser('bob', {}, {debug: true});
+      const ref = bob({paths: 'foo', logger}).use({response: (req, resp) => calls.push(resp)});
+
+      return rejected(ref.get()).then(err => {
+        expect(err).to.be.a(restFirebase.PermissionDeniedError);
+        expect(calls[0].statusCode).to.be(401);
+        expect(calls[0].authDebug).to.match(/Attempt to read \/foo/);
+      });
+    });
+
+  });
+
+});
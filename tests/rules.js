@@ -0,0 +1,180 @@
+'use strict';
+
+const expect = require('expect.js');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const restFirebase = require('../');
+const emulator = require('../emulator');
+const rejected = require('./helpers').rejected;
+
+describe('rules management', function() {
+  const secret = 'some-secret';
+  const original = '{\n  // public data\n  "rules": {".read": true, "users": {".write": false}}\n}';
+  let server, firebase, file;
+
+  beforeEach(function() {
+    server = emulator.createServer({secret, rules: original});
+    file = path.join(os.tmpdir(), `rest-firebase-rules-${process.pid}.json`);
+
+    return server.listen().then(() => {
+      firebase = restFirebase.factory(server.url, {secret});
+    });
+  });
+
+  afterEach(function() {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+
+    return server.close();
+  });
+
+  it('should get the parsed rules document', function() {
+    return firebase.rules.get().then(
+      rules => expect(rules).to.eql({rules: {'.read': true, users: {'.write': false}}})
+    );
+  });
+
+  it('should get the rules document text', function() {
+    return firebase.rules.getText().then(
+      text => expect(text).to.be(original)
+    );
+  });
+
+  it('should require the factory secret', function() {
+    return rejected(restFirebase.factory(server.url).rules.get()).then(
+      err => expect(err.message).to.match(/secret is required/)
+    );
+  });
+
+  it('should set the rules document', function() {
+    const rules = {rules: {'.read': false}};
+
+    return firebase.rules.set(rules).then(
+      () => firebase.rules.get()
+    ).then(
+      saved => expect(saved).to.eql(rules)
+    );
+  });
+
+  it('should reject invalid documents', function() {
+    return rejected(firebase.rules.set({rules: {'.read': 'auth ==='}})).then(
+      err => expect(err.status).to.be(400)
+    );
+  });
+
+  it('should patch the rules of a node', function() {
+    return firebase.rules.patch('users/$uid', {'.write': 'auth.uid === $uid'}).then(
+      () => firebase.rules.patch('users', {'.write': null, '.indexOn': ['name']})
+    ).then(() => firebase.rules.get()).then(
+      rules => expect(rules).to.eql({rules: {
+        '.read': true,
+        users: {'$uid': {'.write': 'auth.uid === $uid'}, '.indexOn': ['name']}
+      }})
+    );
+  });
+
+  it('should reject invalid fragments', function() {
+    return rejected(firebase.rules.patch('users', true)).then(
+      err => expect(err.message).to.match(/should be an object/)
+    );
+  });
+
+  it('should list the changes of a local document', function() {
+    const local = {rules: {'.read': 'auth !== null', users: {'.indexOn': 'name'}, posts: {'.write': true}}};
+
+    return firebase.rules.diff(local).then(changes => {
+      expect(changes).to.eql([
+        {type: 'changed', path: '/rules/.read', before: true, after: 'auth !== null'},
+        {type: 'removed', path: '/rules/users/.write', before: false},
+        {type: 'added', path: '/rules/users/.indexOn', after: 'name'},
+        {type: 'added', path: '/rules/posts', after: {'.write': true}}
+      ]);
+      expect(firebase.rules.format(changes)).to.be([
+        '~ /rules/.read: true -> "auth !== null"',
+        '- /rules/users/.write: false',
+        '+ /rules/users/.indexOn: "name"',
+        '+ /rules/posts: {".write":true}'
+      ].join('\n'));
+    });
+  });
+
+  it('should not list changes of an identical document', function() {
+    return firebase.rules.diff(original).then(
+      changes => expect(changes).to.eql([])
+    );
+  });
+
+  it('should back up and restore the rules', function() {
+    return firebase.rules.backup(file).then(
+      () => firebase.rules.set({rules: {'.read': false}})
+    ).then(
+      () => firebase.rules.restore(file)
+    ).then(
+      () => firebase.rules.getText()
+    ).then(
+      text => expect(text).to.be(original)
+    );
+  });
+
+  describe('indexes', function() {
+
+    it('should add the missing indexes', function() {
+      return firebase.rules.patch('scores', {'.indexOn': 'score'}).then(
+        () => firebase.indexes.ensure({scores: ['score', 'name'], '/users/$uid/posts': '.value'})
+      ).then(added => {
+        expect(added).to.eql([
+          {path: '/scores', field: 'name'},
+          {path: '/users/$uid/posts', field: '.value'}
+        ]);
+
+        return firebase.rules.get();
+      }).then(
+        rules => expect(rules).to.eql({rules: {
+          '.read': true,
+          users: {'.write': false, $uid: {posts: {'.indexOn': ['.value']}}},
+          scores: {'.indexOn': ['score', 'name']}
+        }})
+      );
+    });
+
+    it('should not save the rules if no index is missing', function() {
+      return firebase.rules.patch('scores', {'.indexOn': ['score']}).then(
+        () => firebase.rules.getText()
+      ).then(
+        text => firebase.indexes.ensure({scores: 'score'}).then(added => {
+          expect(added).to.eql([]);
+          expect(server.rules).to.be(text);
+        })
+      );
+    });
+
+    it('should reject invalid specs', function() {
+      return rejected(firebase.indexes.ensure({scores: 1})).then(
+        err => expect(err.message).to.match(/map of paths to field names/)
+      );
+    });
+
+    it('should fix queries rejected for missing indexes', function() {
+      const ref = firebase({paths: 'scores', auth: secret}).orderByChild('score').limitToFirst(1);
+
+      server.requireIndexes = true;
+      server.reset({scores: {alice: {score: 20}, bob: {score: 10}}});
+
+      return rejected(ref.get()).then(err => {
+        expect(err).to.be.a(restFirebase.IndexNotDefinedError);
+        expect(err.path).to.be('/scores');
+        expect(err.field).to.be('score');
+
+        return firebase.indexes.ensure({[err.path]: err.field});
+      }).then(
+        () => ref.get()
+      ).then(
+        value => expect(value).to.eql({bob: {score: 10}})
+      );
+    });
+
+  });
+
+});
@@ -0,0 +1,182 @@
+'use strict';
+
+const expect = require('expect.js');
+const authdebug = require('../src/authdebug');
+const expression = require('../src/expression');
+const ruleset = require('../src/ruleset');
+
+describe('rules', function() {
+
+  describe('expression', function() {
+
+    function evaluate(source, scope) {
+      return expression.evaluate(expression.parse(source), scope || {});
+    }
+
+    it('should evaluate literals and operators', function() {
+      expect(evaluate('1 + 2 * 3')).to.be(7);
+      expect(evaluate('(1 + 2) * 3 === 9 && !false')).to.be(true);
+      expect(evaluate('"a" + "b" == \'ab\' ? 1 : 2')).to.be(1);
+      expect(evaluate('-1 < 0 || null')).to.be(true);
+    });
+
+    it('should evaluate variables and their properties', function() {
+      expect(evaluate('auth.uid === $uid', {auth: {uid: 'alice'}, $uid: 'alice'})).to.be(true);
+      expect(evaluate('auth.token["admin"]', {auth: {token: {admin: true}}})).to.be(true);
+    });
+
+    it('should support string methods', function() {
+      expect(evaluate('"Alice".toLowerCase().beginsWith("al")')).to.be(true);
+      expect(evaluate('"alice".length')).to.be(5);
+      expect(evaluate('"bob@example.com".matches(/^[a-z]+@example\\.com$/)')).to.be(true);
+      expect(evaluate('"a-b-c".replace("-", "+")')).to.be('a+b+c');
+    });
+
+    it('should only call the snapshot rule methods', function() {
+      const data = new ruleset.RuleSnapshot({users: {alice: {score: 10}}}, []);
+
+      expect(evaluate('data.child("users/alice/score").val()', {data})).to.be(10);
+      expect(evaluate('data.child("users").hasChildren(["alice"])', {data})).to.be(true);
+      expect(() => evaluate('data.raw()', {data})).to.throwError(/No such method/);
+    });
+
+    it('should reject unknown variables', function() {
+      expect(() => evaluate('foo === 1')).to.throwError(/Unknown variable "foo"/);
+    });
+
+    it('should reject non boolean logical operands', function() {
+      expect(() => evaluate('1 && true')).to.throwError(/requires boolean operands/);
+    });
+
+    it('should reject invalid expressions', function() {
+      expect(() => expression.parse('auth.uid ===')).to.throwError(/Unexpected end/);
+      expect(() => expression.parse('"foo')).to.throwError(/Unterminated string/);
+      expect(() => expression.parse('a = 1')).to.throwError(/Unexpected token/);
+    });
+
+  });
+
+  describe('Ruleset', function() {
+    let rules;
+
+    beforeEach(function() {
+      rules = new ruleset.Ruleset(`{
+        // Users can only edit their own profile.
+        "rules": {
+          "users": {
+            ".read": "auth !== null",
+            "$uid": {
+              ".write": "auth !== null && auth.uid === $uid",
+              ".validate": "newData.hasChildren(['name'])",
+              "name": {".validate": "newData.isString() && newData.val().length < 10"}
+            },
+            ".indexOn": "name"
+          }
+        }
+      }`);
+    });
+
+    function read(path, auth) {
+      return rules.read(path.split('/'), {auth, now: 1000, root: {}});
+    }
+
+    function write(path, value, auth) {
+      const segments = path.split('/');
+      const newRoot = {};
+
+      newRoot[segments[0]] = {};
+      newRoot[segments[0]][segments[1]] = value;
+
+      return rules.write(segments, [segments], {auth, now: 1000, root: {}, newRoot, data: value});
+    }
+
+    it('should cascade read rules', function() {
+      expect(read('users/alice', {uid: 'bob'}).allowed).to.be(true);
+      expect(read('users/alice', null).allowed).to.be(false);
+    });
+
+    it('should bind wildcard variables', function() {
+      expect(write('users/alice', {name: 'Alice'}, {uid: 'alice'}).allowed).to.be(true);
+      expect(write('users/alice', {name: 'Alice'}, {uid: 'bob'}).allowed).to.be(false);
+    });
+
+    it('should validate the new data', function() {
+      expect(write('users/alice', {score: 1}, {uid: 'alice'}).allowed).to.be(false);
+      expect(write('users/alice', {name: 'Alice Liddell'}, {uid: 'alice'}).allowed).to.be(false);
+    });
+
+    it('should not validate deletions', function() {
+      expect(write('users/alice', null, {uid: 'alice'}).allowed).to.be(true);
+    });
+
+    it('should trace the evaluated rules', function() {
+      const trace = read('users/alice', null);
+
+      expect(trace.rules).to.eql([
+        {path: '/users', type: '.read', expression: 'auth !== null', result: false}
+      ]);
+    });
+
+    it('should record evaluation errors as failures', function() {
+      rules = new ruleset.Ruleset({rules: {'.read': 'auth.uid === "alice"'}});
+
+      const trace = read('foo', null);
+
+      expect(trace.allowed).to.be(false);
+      expect(trace.rules[0].error).to.match(/Cannot read a property of null/);
+    });
+
+    it('should list the indexed fields', function() {
+      expect(rules.indexOn(['users'])).to.eql(['name']);
+      expect(rules.indexOn(['users', 'alice'])).to.eql([]);
+    });
+
+    it('should reject invalid rules', function() {
+      expect(() => new ruleset.Ruleset({rules: {'.read': 1}})).to.throwError(/\/\.read/);
+      expect(() => new ruleset.Ruleset({rules: {'.read': 'auth ==='}})).to.throwError(/Unexpected end/);
+      expect(() => new ruleset.Ruleset({})).to.throwError(/"rules" object/);
+    });
+
+  });
+
+  describe('authdebug', function() {
+    const trace = {
+      operation: 'write',
+      path: '/users/alice',
+      auth: {uid: 'bob'},
+      data: {name: 'a "quoted" name'},
+      rules: [
+        {path: '/', type: '.write', expression: 'false', result: false},
+        {path: '/users/alice', type: '.write', expression: 'auth.uid === $uid', result: false},
+        {path: '/users/alice', type: '.validate', expression: 'foo', result: false, error: 'Unknown variable "foo".'}
+      ],
+      allowed: false
+    };
+
+    it('should parse formatted traces', function() {
+      expect(authdebug.parse(authdebug.format(trace))).to.eql(trace);
+    });
+
+    it('should parse read traces', function() {
+      const message = 'Attempt to read /users with auth=null\n    /users:.read: "auth != null"\n        => false';
+
+      expect(authdebug.parse(message)).to.eql({
+        operation: 'read',
+        path: '/users',
+        auth: null,
+        rules: [{path: '/users', type: '.read', expression: 'auth != null', result: false}],
+        allowed: undefined
+      });
+    });
+
+    it('should encode messages as header values', function() {
+      const message = authdebug.format(trace);
+
+      expect(authdebug.encode(message)).not.to.match(/\n/);
+      expect(authdebug.decode(authdebug.encode(message))).to.be(message);
+      expect(authdebug.decode(authdebug.encode('é\\n'))).to.be('é\\n');
+    });
+
+  });
+
+});
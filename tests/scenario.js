@@ -0,0 +1,236 @@
+'use strict';
+
+const expect = require('expect.js');
+const restFirebase = require('../');
+const emulator = require('../emulator');
+const scenario = require('../src/scenario');
+const rejected = require('./helpers').rejected;
+
+describe('scenario', function() {
+  const secret = 'some-secret';
+  const logger = {warn: () => undefined};
+  let server, firebase, users;
+
+  beforeEach(function() {
+    server = emulator.createServer({
+      secret,
+      data: {counter: 0, users: {bob: {name: 'Bob'}}},
+      rules: {rules: {
+        counter: {'.read': true, '.write': 'auth !== null'},
+        users: {$uid: {'.read': 'auth !== null', '.write': 'auth.uid === $uid'}}
+      }}
+    });
+
+    return server.listen().then(() => {
+      firebase = restFirebase.factory(server.url, {secret});
+
+      const alice = firebase.asUser('alice', {}, {debug: true});
+
+      users = {
+        alice: refOpts => alice(Object.assign({logger}, refOpts)),
+        bob: firebase.asUser('bob').auth,
+        guest: null
+      };
+    });
+  });
+
+  afterEach(function() {
+    return server.close();
+  });
+
+  function logSteps(log) {
+    const step = (name, i) => () => {
+      log.push(`${name}${i}`);
+      return i;
+    };
+
+    return {alice: [step('alice', 0), step('alice', 1)], bob: [step('bob', 0)]};
+  }
+
+  it('should run the steps in the given order', function() {
+    const log = [];
+
+    return restFirebase.scenario(firebase, {users}).run(logSteps(log), {order: ['alice', 'bob', 'alice']}).then(
+      result => {
+        expect(log).to.eql(['alice0', 'bob0', 'alice1']);
+        expect(result.seed).to.be(undefined);
+        expect(result.order).to.eql(['alice', 'bob', 'alice']);
+        expect(result.results).to.eql({alice: [0, 1], bob: [0], guest: []});
+      }
+    );
+  });
+
+  it('should give each user a client factory', function() {
+    const s = restFirebase.scenario(firebase, {users});
+
+    return s.run({
+      alice: [db => db({paths: 'users/alice'}).set({name: 'Alice'})],
+      bob: [db => db({paths: 'users/alice/name'}).get()],
+      guest: [db => rejected(db({paths: 'users/bob'}).get()).then(err => err.name)]
+    }, {order: ['alice', 'bob', 'guest']}).then(result => {
+      expect(result.results.bob).to.eql(['Alice']);
+      expect(result.results.guest).to.eql(['PermissionDeniedError']);
+    });
+  });
+
+  it('should share a state between the steps of a run', function() {
+    const s = restFirebase.scenario(firebase, {users});
+
+    return s.run({
+      alice: [(db, state) => {
+        state.key = 'some-key';
+      }],
+      bob: [(db, state) => state.key]
+    }, {order: ['alice', 'bob']}).then(
+      result => expect(result.results.bob).to.eql(['some-key'])
+    );
+  });
+
+  it('should run the setup before the steps', function() {
+    const s = restFirebase.scenario(firebase, {users});
+
+    return s.run({
+      bob: [db => db({paths: 'counter'}).get()]
+    }, {setup: () => firebase.admin({paths: 'counter'}).set(5)}).then(
+      result => expect(result.results.bob).to.eql([5])
+    );
+  });
+
+  it('should draw the same interleaving from the same seed', function() {
+    const s = restFirebase.scenario(firebase, {users});
+    const first = [];
+    const second = [];
+
+    return s.run(logSteps(first), {seed: 42}).then(result => {
+      expect(result.seed).to.be(42);
+      expect(result.order).to.eql(first.map(step => step.replace(/\d$/, '')));
+
+      return s.run(logSteps(second), {seed: 42});
+    }).then(() => {
+      expect(second).to.eql(first);
+    });
+  });
+
+  it('should draw interleavings keeping each user steps in order', function() {
+    const steps = {alice: [1, 2, 3], bob: [1, 2], guest: []};
+    const orders = [0, 1, 2, 3, 4, 5, 6, 7].map(seed => scenario.interleave(steps, seed).join());
+
+    orders.forEach(order => {
+      expect(order.split(',').sort()).to.eql(['alice', 'alice', 'alice', 'bob', 'bob']);
+    });
+    expect(orders.filter((order, i) => orders.indexOf(order) === i).length).to.be.greaterThan(1);
+  });
+
+  it('should record each user timeline', function() {
+    const s = restFirebase.scenario(firebase, {users});
+
+    return s.run({
+      alice: [
+        db => db({paths: 'counter'}).set(1),
+        db => rejected(db({paths: 'users/bob'}).set({name: 'Alice'}))
+      ],
+      bob: [db => db({paths: 'counter'}).get()]
+    }, {order: ['alice', 'bob', 'alice']}).then(result => {
+      const alice = result.timeline.alice;
+      const bob = result.timeline.bob;
+
+      expect(alice.map(entry => [entry.type, entry.step, entry.method, entry.path, entry.seq])).to.eql([
+        ['request', 0, 'PUT', '/counter', 0],
+        ['response', 0, 'PUT', '/counter', 1],
+        ['request', 1, 'PUT', '/users/bob', 4],
+        ['response', 1, 'PUT', '/users/bob', 5]
+      ]);
+      expect(alice[0].payload).to.be(1);
+      expect(alice[1].status).to.be(200);
+      expect(alice[3].status).to.be(401);
+      expect(alice[3].authDebug).to.match(/Write was denied/);
+      expect(alice[3].duration).to.be.a('number');
+
+      expect(bob.map(entry => [entry.type, entry.path, entry.seq])).to.eql([
+        ['request', '/counter', 2],
+        ['response', '/counter', 3]
+      ]);
+      expect(bob[1].body).to.be(1);
+      expect(bob[1].authDebug).to.be(undefined);
+      expect(result.timeline.guest).to.eql([]);
+    });
+  });
+
+  it('should reject with the failing step, its seed and the timelines', function() {
+    const s = restFirebase.scenario(firebase, {users});
+    const steps = {
+      alice: [db => db({paths: 'users/alice'}).set({name: 'Alice'})],
+      bob: [db => db({paths: 'users/alice/name'}).get().then(name => {
+        if (name !== 'Alice') {
+          throw new Error('alice profile missing');
+        }
+      })]
+    };
+    const setup = () => firebase.admin({paths: 'users/alice'}).remove();
+
+    return rejected(s.explore(steps, {seed: 1, runs: 50, setup})).then(err => {
+      expect(err).to.be.a(restFirebase.ScenarioError);
+      expect(err.user).to.be('bob');
+      expect(err.step).to.be(0);
+      expect(err.order[0]).to.be('bob');
+      expect(err.seed).to.be.a('number');
+      expect(err.cause.message).to.be('alice profile missing');
+      expect(err.message).to.contain(`seed: ${err.seed}`);
+      expect(err.timeline.bob.map(entry => entry.type)).to.eql(['request', 'response']);
+      expect(err.results).to.eql({alice: [], bob: [], guest: []});
+
+      return rejected(s.run(steps, {seed: err.seed, setup})).then(again => {
+        expect(again.order).to.eql(err.order);
+        expect(again.cause.message).to.be('alice profile missing');
+      });
+    });
+  });
+
+  it('should report the order of failing runs without seed', function() {
+    const s = restFirebase.scenario(firebase, {users});
+
+    return rejected(s.run({
+      alice: [() => Promise.reject(new Error('some error'))],
+      bob: [() => 1]
+    }, {order: ['bob', 'alice']})).then(err => {
+      expect(err.message).to.be('Step 0 of "alice" failed (order: bob, alice): some error');
+      expect(err.results).to.eql({alice: [], bob: [1], guest: []});
+    });
+  });
+
+  it('should explore several interleavings', function() {
+    const s = restFirebase.scenario(firebase, {users});
+
+    return s.explore(logSteps([]), {seed: 7, runs: 3}).then(results => {
+      expect(results.map(result => result.seed)).to.eql([7, 8, 9]);
+    });
+  });
+
+  it('should reject invalid users', function() {
+    expect(() => restFirebase.scenario(firebase)).to.throwError(/map of users/);
+    expect(() => restFirebase.scenario(firebase, {users: {}})).to.throwError(/map of users/);
+  });
+
+  it('should reject invalid steps', function() {
+    const s = restFirebase.scenario(firebase, {users});
+
+    return Promise.all([
+      rejected(s.run()),
+      rejected(s.run({alice: [1]})),
+      rejected(s.run({carol: []})),
+      rejected(s.run({alice: [() => 1]}, {order: ['alice', 'alice']})),
+      rejected(s.run({alice: [() => 1]}, {order: ['bob']})),
+      rejected(s.run({alice: [() => 1]}, {seed: -1}))
+    ]).then(errs => {
+      expect(errs.map(err => err.message)).to.eql([
+        'Scenario steps should map users to lists of functions.',
+        'Scenario steps should map users to lists of functions.',
+        'Unknown scenario user: "carol".',
+        'The order should list each user once per step.',
+        'The order should list each user once per step.',
+        'The seed should be a positive integer.'
+      ]);
+    });
+  });
+
+});
@@ -0,0 +1,197 @@
+'use strict';
+
+const expect = require('expect.js');
+const restFirebase = require('../');
+const emulator = require('../emulator');
+const rejected = require('./helpers').rejected;
+
+describe('snapshot', function() {
+  let server, firebase;
+
+  beforeEach(function() {
+    server = emulator.createServer({
+      data: {
+        users: {
+          '10': {'name': 'Dan', '.priority': 1},
+          'alice': {'name': 'Alice', '.priority': 3},
+          'bob': {'name': 'Bob', '.priority': 2},
+          'carl': {'.value': 'Carl', '.priority': 'a'}
+        },
+        count: 1
+      }
+    });
+
+    return server.listen().then(() => {
+      firebase = restFirebase.factory(server.url);
+    });
+  });
+
+  afterEach(function() {
+    return server.close();
+  });
+
+  describe('once', function() {
+
+    it('should resolve with a DataSnapshot', function() {
+      const ref = firebase({paths: 'users/alice'});
+
+      return ref.once('value').then(snapshot => {
+        expect(snapshot).to.be.a(restFirebase.DataSnapshot);
+        expect(snapshot.key).to.be('alice');
+        expect(snapshot.ref.toString()).to.be(ref.toString());
+        expect(snapshot.exists()).to.be(true);
+        expect(snapshot.val()).to.eql({name: 'Alice'});
+        expect(snapshot.exportVal()).to.eql({'name': 'Alice', '.priority': 3});
+        expect(snapshot.getPriority()).to.be(3);
+      });
+    });
+
+    it('should resolve with an empty snapshot for missing values', function() {
+      return firebase({paths: 'foo'}).once().then(snapshot => {
+        expect(snapshot.exists()).to.be(false);
+        expect(snapshot.val()).to.be(null);
+        expect(snapshot.getPriority()).to.be(null);
+        expect(snapshot.numChildren()).to.be(0);
+      });
+    });
+
+    it('should only support value events', function() {
+      return rejected(firebase({paths: 'users'}).once('child_added')).then(
+        err => expect(err.message).to.match(/Only "value" events/)
+      );
+    });
+
+  });
+
+  describe('DataSnapshot', function() {
+
+    it('should give access to the children', function() {
+      return firebase({paths: 'users'}).once().then(snapshot => {
+        const carl = snapshot.child('carl');
+
+        expect(snapshot.numChildren()).to.be(4);
+        expect(snapshot.hasChildren()).to.be(true);
+        expect(snapshot.hasChild('alice/name')).to.be(true);
+        expect(snapshot.hasChild('eve')).to.be(false);
+        expect(snapshot.child('alice/name').val()).to.be('Alice');
+        expect(snapshot.child('alice/name').key).to.be('name');
+        expect(carl.val()).to.be('Carl');
+        expect(carl.getPriority()).to.be('a');
+        expect(carl.hasChildren()).to.be(false);
+      });
+    });
+
+    it('should iterate over the children in key order', function() {
+      const keys = [];
+
+      return firebase({paths: 'users'}).once().then(snapshot => {
+        snapshot.forEach(child => {
+          keys.push(child.key);
+        });
+
+        expect(keys).to.eql(['10', 'alice', 'bob', 'carl']);
+      });
+    });
+
+    it('should iterate over the children in the query order', function() {
+      const keys = [];
+
+      return firebase({paths: 'users'}).orderByPriority().once().then(snapshot => {
+        snapshot.forEach(child => {
+          keys.push(child.key);
+        });
+
+        expect(keys).to.eql(['10', 'bob', 'alice', 'carl']);
+      });
+    });
+
+    it('should stop iterating when the action returns true', function() {
+      const keys = [];
+
+      return firebase({paths: 'users'}).orderByChild('name').once().then(snapshot => {
+        const cancelled = snapshot.forEach(child => {
+          keys.push(child.key);
+          return child.key === 'bob';
+        });
+
+        expect(cancelled).to.be(true);
+        expect(keys).to.eql(['carl', 'alice', 'bob']);
+      });
+    });
+
+    it('should serialize to the export format', function() {
+      return firebase({paths: 'users/carl'}).once().then(
+        snapshot => expect(JSON.parse(JSON.stringify(snapshot))).to.eql({'.value': 'Carl', '.priority': 'a'})
+      );
+    });
+
+  });
+
+  describe('priorities', function() {
+
+    it('should set a value with a priority', function() {
+      const ref = firebase({paths: 'count'});
+
+      return ref.setWithPriority(2, 10).then(
+        () => ref.once()
+      ).then(snapshot => {
+        expect(snapshot.val()).to.be(2);
+        expect(snapshot.getPriority()).to.be(10);
+      });
+    });
+
+    it('should set an object with a priority', function() {
+      const ref = firebase({paths: 'users/eve'});
+
+      return ref.setWithPriority({name: 'Eve'}, 'z').then(
+        () => ref.once()
+      ).then(
+        snapshot => expect(snapshot.exportVal()).to.eql({'name': 'Eve', '.priority': 'z'})
+      );
+    });
+
+    it('should set a priority', function() {
+      const ref = firebase({paths: 'users/bob'});
+
+      return ref.setPriority(5).then(
+        () => ref.once()
+      ).then(snapshot => {
+        expect(snapshot.val()).to.eql({name: 'Bob'});
+        expect(snapshot.getPriority()).to.be(5);
+
+        return firebase({paths: 'count'}).setPriority(2);
+      }).then(
+        () => firebase({paths: 'count'}).once()
+      ).then(
+        snapshot => expect(snapshot.exportVal()).to.eql({'.value': 1, '.priority': 2})
+      );
+    });
+
+    it('should remove a priority', function() {
+      const ref = firebase({paths: 'users/carl'});
+
+      return ref.setPriority(null).then(
+        () => ref.once()
+      ).then(
+        snapshot => expect(snapshot.exportVal()).to.be('Carl')
+      );
+    });
+
+    it('should reject invalid priorities', function() {
+      return rejected(firebase({paths: 'count'}).setPriority(true)).then(
+        err => expect(err.message).to.match(/priority should be/)
+      );
+    });
+
+    it('should keep get() results free of priorities', function() {
+      return firebase({paths: 'users'}).get().then(value => expect(value).to.eql({
+        10: {name: 'Dan'},
+        alice: {name: 'Alice'},
+        bob: {name: 'Bob'},
+        carl: 'Carl'
+      }));
+    });
+
+  });
+
+});
@@ -0,0 +1,258 @@
+'use strict';
+
+const expect = require('expect.js');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+const restFirebase = require('../');
+const emulator = require('../emulator');
+const transfer = require('../src/transfer');
+const rejected = require('./helpers').rejected;
+
+describe('transfer', function() {
+  const data = {
+    users: {
+      alice: {name: 'Alice', scores: {a: 1, b: 2}},
+      bob: {name: 'Bob', active: true}
+    },
+    count: 2,
+    active: true
+  };
+  let server, firebase, file;
+
+  beforeEach(function() {
+    server = emulator.createServer({data});
+    file = path.join(os.tmpdir(), `rest-firebase-export-${process.pid}.json`);
+
+    return server.listen().then(() => {
+      firebase = restFirebase.factory(server.url);
+    });
+  });
+
+  afterEach(function() {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+
+    return server.close();
+  });
+
+  describe('limiter', function() {
+
+    it('should bound the number of pending calls', function() {
+      const run = transfer.limiter(2);
+      let pending = 0;
+      let maxPending = 0;
+      const task = value => run(() => {
+        pending += 1;
+        maxPending = Math.max(pending, maxPending);
+
+        return new Promise(resolve => setTimeout(resolve, 5)).then(() => {
+          pending -= 1;
+          return value;
+        });
+      });
+
+      return Promise.all([1, 2, 3, 4, 5].map(task)).then(values => {
+        expect(values).to.eql([1, 2, 3, 4, 5]);
+        expect(maxPending).to.be(2);
+      });
+    });
+
+    it('should keep running after a rejection', function() {
+      const run = transfer.limiter(1);
+
+      return rejected(run(() => Promise.reject(new Error('oops')))).then(
+        () => run(() => Promise.resolve(1))
+      ).then(
+        value => expect(value).to.be(1)
+      );
+    });
+
+  });
+
+  describe('chunk', function() {
+
+    it('should keep small values in one update', function() {
+      expect(transfer.chunk({a: 1, b: {c: 2}}, 100)).to.eql([
+        {payload: {a: 1, b: {c: 2}}, bytes: 14}
+      ]);
+    });
+
+    it('should split large values into bounded updates', function() {
+      const batches = transfer.chunk({a: {b: 'x'.repeat(20), c: 'y'.repeat(20)}, d: 1}, 40);
+
+      expect(batches.map(batch => batch.payload)).to.eql([
+        {'a/b': 'x'.repeat(20)},
+        {'a/c': 'y'.repeat(20), d: 1}
+      ]);
+      batches.forEach(batch => expect(batch.bytes).to.be.below(41));
+    });
+
+    it('should not split primitives with a priority', function() {
+      const value = {a: {'.value': 'x'.repeat(20), '.priority': 1}};
+
+      expect(transfer.chunk(value, 10)).to.eql([{payload: value, bytes: 50}]);
+    });
+
+  });
+
+  describe('export', function() {
+
+    it('should export the location value', function() {
+      return firebase().export().then(
+        value => expect(value).to.eql(data)
+      );
+    });
+
+    it('should fetch subtrees separately', function() {
+      const requests = [];
+      const handle = server.handle.bind(server);
+
+      server.handle = (req, resp) => {
+        requests.push(decodeURIComponent(req.url));
+        handle(req, resp);
+      };
+
+      return firebase().export({depth: 2, concurrency: 1}).then(value => {
+        expect(value).to.eql(data);
+        expect(requests).to.eql([
+          '/.json?shallow=true',
+          '/users.json?shallow=true',
+          '/active.json?shallow=true',
+          '/users/alice.json?format=export',
+          '/users/bob.json?format=export'
+        ]);
+      });
+    });
+
+    it('should save the value to a file', function() {
+      return firebase({paths: 'users'}).export({file}).then(
+        () => expect(JSON.parse(fs.readFileSync(file, 'utf8'))).to.eql(data.users)
+      );
+    });
+
+    it('should write the value to a stream', function() {
+      const chunks = [];
+      const writable = new stream.Writable({
+        write: (chunk, encoding, cb) => {
+          chunks.push(chunk.toString());
+          cb();
+        }
+      });
+
+      return firebase({paths: 'users/bob'}).export({stream: writable}).then(
+        () => expect(JSON.parse(chunks.join(''))).to.eql(data.users.bob)
+      );
+    });
+
+    it('should reject invalid options', function() {
+      return rejected(firebase().export({concurrency: 0})).then(
+        err => expect(err.message).to.match(/concurrency/)
+      );
+    });
+
+  });
+
+  describe('import', function() {
+
+    it('should write the value with bounded updates', function() {
+      const progress = [];
+      const value = {logs: {a: 'x'.repeat(30), b: 'y'.repeat(30), c: 'z'.repeat(30)}};
+
+      server.reset({other: 1});
+
+      return firebase().import(value, {chunkSize: 50, progress: p => progress.push(p)}).then(result => {
+        expect(server.data).to.eql({other: 1, logs: value.logs});
+        expect(result.updates).to.be(3);
+        expect(progress.map(p => p.updates)).to.eql([1, 2, 3]);
+        expect(progress[2].bytes).to.be(progress[2].totalBytes);
+      });
+    });
+
+    it('should import a JSON file', function() {
+      fs.writeFileSync(file, JSON.stringify({carl: {name: 'Carl'}}));
+
+      return firebase({paths: 'users'}).import(file).then(
+        () => expect(server.data.users.carl).to.eql({name: 'Carl'})
+      );
+    });
+
+    it('should import a JSON stream', function() {
+      const readable = new stream.Readable({read: () => undefined});
+
+      readable.push('{"dan": {"name"');
+      readable.push(': "Dan"}}');
+      readable.push(null);
+
+      return firebase({paths: 'users'}).import(readable).then(
+        () => expect(server.data.users.dan).to.eql({name: 'Dan'})
+      );
+    });
+
+    it('should round trip exports', function() {
+      return firebase().export({file}).then(
+        () => server.reset(null)
+      ).then(
+        () => firebase().import(file, {chunkSize: 20})
+      ).then(
+        () => expect(server.data).to.eql(data)
+      );
+    });
+
+  });
+
+  describe('bulkUpdate', function() {
+
+    it('should send the update in bounded chunks', function() {
+      const progress = [];
+      const updates = {
+        'users/alice/name': 'A'.repeat(20),
+        'users/bob': {name: 'B'.repeat(20)},
+        'users/carl/name': 'C'.repeat(20),
+        'count': 3
+      };
+
+      return firebase().bulkUpdate(updates, {chunkSize: 70, progress: p => progress.push(p)}).then(result => {
+        expect(result.updates).to.be(3);
+        expect(progress.map(p => p.updates)).to.eql([1, 2, 3]);
+        expect(progress[2].totalUpdates).to.be(3);
+        expect(server.data.users).to.eql({
+          alice: {name: 'A'.repeat(20), scores: {a: 1, b: 2}},
+          bob: {name: 'B'.repeat(20)},
+          carl: {name: 'C'.repeat(20)}
+        });
+        expect(server.data.count).to.be(3);
+      });
+    });
+
+    it('should not split the values', function() {
+      const updates = {'users/bob': {name: 'Robert', bio: 'x'.repeat(100)}};
+
+      return firebase().bulkUpdate(updates, {chunkSize: 20}).then(result => {
+        expect(result.updates).to.be(1);
+        expect(server.data.users.bob).to.eql(updates['users/bob']);
+      });
+    });
+
+    it('should keep small updates in one request', function() {
+      return firebase({paths: 'users'}).bulkUpdate({'alice/name': 'Al', 'bob/active': null}).then(result => {
+        expect(result.updates).to.be(1);
+        expect(server.data.users).to.eql({alice: {name: 'Al', scores: {a: 1, b: 2}}, bob: {name: 'Bob'}});
+      });
+    });
+
+    it('should reject invalid updates', function() {
+      return rejected(firebase().bulkUpdate([1])).then(err => {
+        expect(err.message).to.match(/updates should be an object/);
+
+        return rejected(firebase().bulkUpdate({}, {chunkSize: 0}));
+      }).then(
+        err => expect(err.message).to.match(/chunk size/)
+      );
+    });
+
+  });
+
+});
@@ -0,0 +1,266 @@
+'use strict';
+
+const expect = require('expect.js');
+const http = require('http');
+const zlib = require('zlib');
+const restFirebase = require('../');
+const emulator = require('../emulator');
+
+describe('transport', function() {
+
+  describe('createHttpTransport', function() {
+    let server, transport, connections, handler;
+
+    beforeEach(function(done) {
+      connections = 0;
+      handler = (req, resp) => {
+        resp.writeHead(200, {'Content-Type': 'application/json'});
+        resp.end(JSON.stringify({method: req.method, url: req.url, headers: req.headers}));
+      };
+      server = http.createServer((req, resp) => handler(req, resp));
+      server.on('connection', () => (connections += 1));
+      server.listen(0, done);
+    });
+
+    afterEach(function(done) {
+      if (transport) {
+        transport.destroy();
+        transport = undefined;
+      }
+
+      server.close(() => done());
+    });
+
+    function url(path) {
+      return `http://127.0.0.1:${server.address().port}${path || '/'}`;
+    }
+
+    it('should resolve with the response', function() {
+      transport = restFirebase.createHttpTransport();
+
+      return transport({method: 'PUT', url: url('/foo.json?a=1'), headers: {'x-foo': 'bar'}, body: '1'}).then(resp => {
+        const body = JSON.parse(resp.body);
+
+        expect(resp.statusCode).to.be(200);
+        expect(resp.statusMessage).to.be('OK');
+        expect(resp.headers['content-type']).to.be('application/json');
+        expect(body.method).to.be('PUT');
+        expect(body.url).to.be('/foo.json?a=1');
+        expect(body.headers['x-foo']).to.be('bar');
+        expect(body.headers['content-length']).to.be('1');
+      });
+    });
+
+    it('should reuse connections', function() {
+      transport = restFirebase.createHttpTransport();
+
+      return transport({method: 'GET', url: url()}).then(
+        () => transport({method: 'GET', url: url()})
+      ).then(
+        () => expect(connections).to.be(1)
+      );
+    });
+
+    it('should resend requests when a reused connection is closed', function() {
+      const served = new WeakSet();
+
+      transport = restFirebase.createHttpTransport();
+      handler = (req, resp) => {
+        // Close kept alive connections instead of serving a second request.
+        if (served.has(req.socket)) {
+          req.socket.destroy();
+          return;
+        }
+
+        served.add(req.socket);
+        resp.writeHead(200, {'Content-Type': 'application/json'});
+        resp.end('{}');
+      };
+
+      return transport({method: 'GET', url: url()}).then(
+        () => transport({method: 'GET', url: url()})
+      ).then(resp => {
+        expect(resp.statusCode).to.be(200);
+        expect(connections).to.be(2);
+      });
+    });
+
+    it('should bound the number of sockets', function() {
+      transport = restFirebase.createHttpTransport({maxSockets: 2});
+
+      return Promise.all([1, 2, 3, 4, 5].map(
+        () => transport({method: 'GET', url: url()})
+      )).then(
+        () => expect(connections).to.be(2)
+      );
+    });
+
+    it('should open a connection per request without keep-alive', function() {
+      transport = restFirebase.createHttpTransport({keepAlive: false});
+
+      return transport({method: 'GET', url: url()}).then(
+        () => transport({method: 'GET', url: url()})
+      ).then(
+        () => expect(connections).to.be(2)
+      );
+    });
+
+    it('should decode gzip responses', function() {
+      transport = restFirebase.createHttpTransport();
+      handler = (req, resp) => {
+        expect(req.headers['accept-encoding']).to.be('gzip');
+        resp.writeHead(200, {'Content-Type': 'application/json', 'Content-Encoding': 'gzip'});
+        resp.end(zlib.gzipSync('{"foo": "bar"}'));
+      };
+
+      return transport({method: 'GET', url: url()}).then(
+        resp => expect(JSON.parse(resp.body)).to.eql({foo: 'bar'})
+      );
+    });
+
+    it('should follow the redirects of GET requests', function() {
+      transport = restFirebase.createHttpTransport();
+      handler = (req, resp) => {
+        if (req.url === '/foo.json?a=1') {
+          resp.writeHead(307, {Location: '/bar.json?a=1'});
+          resp.end();
+          return;
+        }
+
+        resp.writeHead(200, {'Content-Type': 'application/json'});
+        resp.end(JSON.stringify({method: req.method, url: req.url}));
+      };
+
+      return transport({method: 'GET', url: url('/foo.json?a=1')}).then(resp => {
+        expect(resp.statusCode).to.be(200);
+        expect(JSON.parse(resp.body)).to.eql({method: 'GET', url: '/bar.json?a=1'});
+
+        return transport({method: 'PUT', url: url('/foo.json?a=1'), body: '1'});
+      }).then(resp => {
+        expect(resp.statusCode).to.be(307);
+        expect(resp.headers.location).to.be('/bar.json?a=1');
+      });
+    });
+
+    it('should reject after too many redirects', function() {
+      let hops = 0;
+
+      transport = restFirebase.createHttpTransport();
+      handler = (req, resp) => {
+        hops += 1;
+        resp.writeHead(302, {Location: `/foo-${hops}.json`});
+        resp.end();
+      };
+
+      return transport({method: 'GET', url: url('/foo.json')}).then(
+        () => Promise.reject(new Error('unexpected')),
+        err => {
+          expect(err.code).to.be('ERR_TOO_MANY_REDIRECTS');
+          expect(hops).to.be(11);
+        }
+      );
+    });
+
+    [true, false].forEach(gzip => {
+
+      it(`should reject when the connection drops during a ${gzip ? 'gzip' : 'plain'} response`, function() {
+        const data = JSON.stringify({foo: new Array(1000).join('bar')});
+
+        transport = restFirebase.createHttpTransport({gzip});
+        handler = (req, resp) => {
+          const body = gzip ? zlib.gzipSync(data) : new Buffer(data);
+
+          resp.writeHead(200, gzip ? {'Content-Encoding': 'gzip'} : {});
+          resp.write(body.slice(0, 20));
+          setTimeout(() => resp.socket.destroy(), 20);
+        };
+
+        return transport({method: 'GET', url: url(), timeout: 0}).then(
+          () => Promise.reject(new Error('unexpected')),
+          err => expect(err.code).to.be('ECONNRESET')
+        );
+      });
+
+    });
+
+    it('should reject with ETIMEDOUT when the request times out', function() {
+      transport = restFirebase.createHttpTransport();
+      handler = (req, resp) => setTimeout(() => resp.end(), 200);
+
+      return transport({method: 'GET', url: url(), timeout: 20}).then(
+        () => Promise.reject(new Error('unexpected')),
+        err => expect(err.code).to.be('ETIMEDOUT')
+      );
+    });
+
+  });
+
+  describe('custom transport', function() {
+
+    it('should send requests and rules requests', function() {
+      const requests = [];
+      const transport = req => {
+        requests.push(req);
+        return Promise.resolve({statusCode: 200, statusMessage: 'OK', headers: {}, body: '{"foo": 1}'});
+      };
+      const firebase = restFirebase.factory('http://localhost', {secret: 'some-secret', transport});
+
+      return firebase({paths: 'foo'}).child('bar').set({foo: 1}).then(value => {
+        expect(value).to.eql({foo: 1});
+
+        return firebase.rules.getText();
+      }).then(text => {
+        expect(text).to.be('{"foo": 1}');
+        expect(requests.map(req => `${req.method} ${req.url}`)).to.eql([
+          'PUT http://localhost/foo/bar.json',
+          'GET http://localhost/.settings/rules.json?auth=some-secret'
+        ]);
+        expect(requests[0].body).to.be('{"foo":1}');
+        expect(requests[0].headers['content-type']).to.be('application/json');
+      });
+    });
+
+    it('should map failures to RequestError', function() {
+      const transport = () => Promise.reject(Object.assign(new Error('reset'), {code: 'ECONNRESET'}));
+      const firebase = restFirebase.factory('http://localhost', {transport});
+
+      return firebase({paths: 'foo'}).get().then(
+        () => Promise.reject(new Error('unexpected')),
+        err => {
+          expect(err).to.be.a(restFirebase.NetworkError);
+          expect(err.code).to.be('ECONNRESET');
+        }
+      );
+    });
+
+  });
+
+  describe('with the emulator', function() {
+    let server;
+
+    beforeEach(function() {
+      server = emulator.createServer({data: {count: 0}});
+
+      return server.listen();
+    });
+
+    afterEach(function() {
+      return server.close();
+    });
+
+    it('should handle concurrent writes', function() {
+      const ref = restFirebase.factory(server.url)({paths: 'items'});
+      const writes = [];
+
+      for (let i = 0; i < 50; i++) {
+        writes.push(ref.child(`item${i}`).set(i));
+      }
+
+      return Promise.all(writes).then(
+        () => expect(Object.keys(server.data.items)).to.have.length(50)
+      );
+    });
+
+  });
+
+});
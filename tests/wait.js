@@ -0,0 +1,134 @@
+'use strict';
+
+const expect = require('expect.js');
+const restFirebase = require('../');
+const emulator = require('../emulator');
+const rejected = require('./helpers').rejected;
+
+describe('wait', function() {
+  const secret = 'some-secret';
+  let server, firebase;
+
+  beforeEach(function() {
+    server = emulator.createServer({
+      secret,
+      data: {jobs: {a: {status: 'pending'}}},
+      rules: {rules: {jobs: {'.read': true}}}
+    });
+
+    return server.listen().then(() => {
+      firebase = restFirebase.factory(server.url, {secret});
+    });
+  });
+
+  afterEach(function() {
+    return server.close();
+  });
+
+  function later(fn) {
+    setTimeout(fn, 30);
+  }
+
+  [true, false].forEach(stream => {
+
+    describe(stream ? 'with streaming' : 'with polling', function() {
+
+      it('should resolve with a value already matching', function() {
+        return firebase.admin({paths: 'jobs/a/status'}).waitFor(status => status === 'pending', {stream}).then(
+          value => expect(value).to.be('pending')
+        );
+      });
+
+      it('should resolve once the value matches', function() {
+        const ref = firebase.admin({paths: 'jobs/a'});
+
+        later(() => ref.update({status: 'done', result: 1}));
+
+        return ref.waitFor(job => job.status === 'done', {stream}).then(
+          job => expect(job).to.eql({status: 'done', result: 1})
+        );
+      });
+
+      it('should resolve once the value equals the expected one', function() {
+        const ref = firebase.admin({paths: 'jobs'});
+
+        later(() => ref.child('b').set({status: 'pending'}));
+
+        return ref.waitForValue({a: {status: 'pending'}, b: {status: 'pending'}}, {stream}).then(
+          jobs => expect(Object.keys(jobs).sort()).to.eql(['a', 'b'])
+        );
+      });
+
+      it('should reject with the last value and a diff on timeout', function() {
+        const ref = firebase.admin({paths: 'jobs/a'});
+
+        return rejected(ref.waitForValue({status: 'done', result: 1}, {stream, timeout: 100})).then(err => {
+          expect(err).to.be.a(restFirebase.WaitTimeoutError);
+          expect(err.path).to.be('/jobs/a');
+          expect(err.value).to.eql({status: 'pending'});
+          expect(err.expected).to.eql({status: 'done', result: 1});
+          expect(err.diff).to.eql([
+            {type: 'changed', path: '/status', before: 'pending', after: 'done'},
+            {type: 'added', path: '/result', after: 1}
+          ]);
+          expect(err.message).to.contain('Timed out after 100ms waiting for /jobs/a.');
+          expect(err.message).to.contain('~ /status: "pending" -> "done"');
+        });
+      });
+
+      it('should reject with the predicate error', function() {
+        const ref = firebase.admin({paths: 'jobs/a'});
+
+        return rejected(ref.waitFor(() => {
+          throw new Error('failed');
+        }, {stream})).then(
+          err => expect(err.message).to.be('failed')
+        );
+      });
+
+      it('should reject when the location cannot be read', function() {
+        const ref = firebase({paths: 'private'});
+
+        return rejected(ref.waitFor(() => true, {stream, timeout: 1000})).then(
+          err => expect(err).to.be.a(restFirebase.PermissionDeniedError)
+        );
+      });
+
+    });
+
+  });
+
+  it('should reject with the last value on timeout', function() {
+    return rejected(firebase.admin({paths: 'jobs/a/status'}).waitFor(() => false, {timeout: 50})).then(err => {
+      expect(err).to.be.a(restFirebase.WaitTimeoutError);
+      expect(err.value).to.be('pending');
+      expect(err.diff).to.be(undefined);
+      expect(err.message).to.contain('Last value: "pending"');
+    });
+  });
+
+  it('should poll with a backoff when the reference uses a custom transport', function() {
+    const ref = firebase.admin({paths: 'jobs/a/status', transport: restFirebase.createHttpTransport()});
+    const reads = [];
+
+    return rejected(ref.use({request: () => {
+      reads.push(Date.now());
+    }}).waitFor(() => false, {timeout: 200, interval: 20, maxInterval: 40})).then(err => {
+      expect(err).to.be.a(restFirebase.WaitTimeoutError);
+      expect(reads.length).to.be.within(3, 8);
+    });
+  });
+
+  it('should reject invalid arguments', function() {
+    const ref = firebase.admin({paths: 'jobs/a'});
+
+    return rejected(ref.waitFor()).then(err => {
+      expect(err.message).to.match(/predicate/);
+
+      return rejected(ref.waitFor(() => true, {timeout: -1}));
+    }).then(
+      err => expect(err.message).to.match(/"timeout"/)
+    );
+  });
+
+});